@@ -20,15 +20,14 @@ module.exports = function(grunt) {
 		pkg : grunt.file.readJSON('package.json'),
 		jslint : {
 			server : {
-				src : [ 'lib/*.js', 'test/*.js' ],
+				src : [ 'lib/*.js' ],
 				directives : {
 					node : true,
 					todo : true,
 					white : true,
 					vars : true,
 					nomen : true,
-					plusplus : true,
-					predef : [ 'describe', 'it', 'before', 'after' ]
+					plusplus : true
 				},
 				options : {
 					log : 'out/lint.log',
@@ -36,6 +35,26 @@ module.exports = function(grunt) {
 					errorsOnly : true,
 					failOnError : false
 				}
+			},
+			// the tests set up their fixtures with the sync fs methods
+			test : {
+				src : [ 'test/*.js' ],
+				directives : {
+					node : true,
+					todo : true,
+					white : true,
+					vars : true,
+					nomen : true,
+					plusplus : true,
+					stupid : true,
+					predef : [ 'describe', 'it', 'before', 'after', 'beforeEach', 'afterEach' ]
+				},
+				options : {
+					log : 'out/lint-test.log',
+					jslintXml : 'out/jslint-test.xml',
+					errorsOnly : true,
+					failOnError : false
+				}
 			}
 		},
 		mochacov : {
@@ -0,0 +1,300 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Archive sinks store archived log files remotely before the LogManager
+ * deletes them. A sink is an object with the following function :
+ * 
+ * <code>
+ * upload(file,key)		returns a promise that resolves once the file is stored - the promise is rejected if the upload failed
+ * 						- file is the absolute file path, and key is the file path relative to the log dir, using '/' as the separator
+ * </code>
+ * 
+ * The promise must only resolve once the upload is confirmed - the LogManager
+ * deletes the file after that.
+ * 
+ * The following presets are available :
+ * 
+ * <code>
+ * dir		copies the files into a local dir - options : {dir:'/archive/logs'} - REQUIRED
+ * s3		PUTs the files to an S3 compatible HTTP endpoint using path style URLs, i.e., {endpoint}/{bucket}/{prefix}{key} - options :
+ * 
+ * 			endpoint			OPTIONAL - Default is 'https://s3.amazonaws.com'
+ * 			bucket				REQUIRED
+ * 			prefix				OPTIONAL - key prefix, e.g., 'logs/api-gateway/'. Default is ''
+ * 			region				OPTIONAL - Default is 'us-east-1'
+ * 			accessKeyId			OPTIONAL - if set, then requests are signed using AWS Signature Version 4
+ * 			secretAccessKey		OPTIONAL - REQUIRED if accessKeyId is set
+ * 			timeoutMillis		OPTIONAL - request socket timeout. Default is 60000
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var path = require('path');
+	var url = require('url');
+	var http = require('http');
+	var https = require('https');
+	var crypto = require('crypto');
+	var when = require('when');
+	var uuid = require('uuid');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+
+	var mkdirsPromise = function mkdirsPromise(dir) {
+		return when.promise(function(resolve, reject) {
+			fs.mkdir(dir, parseInt('0755', 8), function(err) {
+				if (!err || err.code === 'EEXIST') {
+					resolve();
+				} else if (err.code === 'ENOENT') {
+					resolve(when(mkdirsPromise(path.dirname(dir)), function() {
+						return mkdirsPromise(dir);
+					}));
+				} else {
+					reject(err);
+				}
+			});
+		});
+	};
+
+	var statPromise = function(filePath) {
+		return when.promise(function(resolve, reject) {
+			fs.stat(filePath, function(err, stats) {
+				if (err) {
+					reject(err);
+				} else {
+					resolve(stats);
+				}
+			});
+		});
+	};
+
+	var dir = function(options) {
+		assert(options && lodash.isString(options.dir), 'options.dir is required for the dir archive sink');
+		return {
+			upload : function(logFile, key) {
+				var archiveFile = path.join(options.dir, key);
+				// the file is copied to a temp file first, so that partially copied files are never mistaken for archived files
+				var tempFile = archiveFile + '.' + uuid.v4() + '.tmp';
+				var copyPromise = when(mkdirsPromise(path.dirname(archiveFile)), function() {
+					return when.promise(function(resolve, reject) {
+						var inp = fs.createReadStream(logFile);
+						var out = fs.createWriteStream(tempFile);
+						inp.on('error', reject);
+						out.on('error', reject);
+						out.on('finish', resolve);
+						inp.pipe(out);
+					});
+				});
+
+				return when.all([ copyPromise.then(function() {
+					return statPromise(tempFile);
+				}), statPromise(logFile) ]).then(function(stats) {
+					if (stats[0].size !== stats[1].size) {
+						throw new Error('archive file size does not match : ' + tempFile);
+					}
+					return when.promise(function(resolve, reject) {
+						fs.rename(tempFile, archiveFile, function(err) {
+							if (err) {
+								reject(err);
+							} else {
+								if (log.isDebugEnabled()) {
+									log.debug('archived : ' + logFile + ' -> ' + archiveFile);
+								}
+								resolve();
+							}
+						});
+					});
+				}).otherwise(function(err) {
+					fs.unlink(tempFile, function(err) {
+						// the temp file may not have been created
+						if (err && err.code !== 'ENOENT') {
+							log.error('failed to delete the archive temp file : ' + tempFile + ' : ' + err);
+						}
+					});
+					throw err;
+				});
+			}
+		};
+	};
+
+	var sha256Hex = function(data) {
+		return crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+	};
+
+	var hmac = function(key, data) {
+		return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+	};
+
+	/**
+	 * URI encodes each path segment as specified by AWS Signature Version 4
+	 * 
+	 * @param objectPath
+	 */
+	var encodePath = function(objectPath) {
+		return objectPath.split('/').map(function(segment) {
+			return encodeURIComponent(segment).replace(/[!'()*]/g, function(c) {
+				return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+			});
+		}).join('/');
+	};
+
+	/**
+	 * Signs the request headers using AWS Signature Version 4 - the payload is
+	 * not signed, so that the file can be streamed
+	 * 
+	 * @param options
+	 *            s3 options
+	 * @param method
+	 * @param host
+	 * @param encodedPath
+	 * @param date
+	 * @returns the headers to add to the request
+	 */
+	var signatureV4Headers = function(options, method, host, encodedPath, date) {
+		var amzDate = date.toISOString().replace(/[:\-]|\.\d{3}/g, '');
+		var dateStamp = amzDate.substring(0, 8);
+		var scope = [ dateStamp, options.region, 's3', 'aws4_request' ].join('/');
+		var headers = {
+			host : host,
+			'x-amz-content-sha256' : 'UNSIGNED-PAYLOAD',
+			'x-amz-date' : amzDate
+		};
+		var signedHeaders = lodash.keys(headers).sort();
+		var canonicalRequest = [ method, encodedPath, '', signedHeaders.map(function(name) {
+			return name + ':' + headers[name] + '\n';
+		}).join(''), signedHeaders.join(';'), 'UNSIGNED-PAYLOAD' ].join('\n');
+		var stringToSign = [ 'AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest) ].join('\n');
+		var signingKey = [ dateStamp, options.region, 's3', 'aws4_request' ].reduce(hmac, 'AWS4' + options.secretAccessKey);
+		var signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+		headers.authorization = 'AWS4-HMAC-SHA256 Credential=' + options.accessKeyId + '/' + scope + ', SignedHeaders=' + signedHeaders.join(';') + ', Signature='
+				+ signature;
+		delete headers.host;
+		return headers;
+	};
+
+	var s3 = function(options) {
+		options = lodash.assign({
+			endpoint : 'https://s3.amazonaws.com',
+			prefix : '',
+			region : 'us-east-1',
+			timeoutMillis : 60000
+		}, options);
+		assert(lodash.isString(options.bucket), 'options.bucket is required for the s3 archive sink');
+		if (options.accessKeyId) {
+			assert(lodash.isString(options.secretAccessKey), 'options.secretAccessKey is required if options.accessKeyId is set');
+		}
+		var endpoint = url.parse(options.endpoint);
+		var transport = endpoint.protocol === 'https:' ? https : http;
+		var basePath = (endpoint.pathname || '/').replace(/\/$/, '');
+
+		return {
+			upload : function(logFile, key) {
+				return when(statPromise(logFile), function(stats) {
+					return when.promise(function(resolve, reject) {
+						var encodedPath = basePath + '/' + encodePath(options.bucket + '/' + options.prefix + key);
+						var headers = {
+							'content-length' : stats.size,
+							'content-type' : 'application/octet-stream'
+						};
+						if (options.accessKeyId) {
+							lodash.assign(headers, signatureV4Headers(options, 'PUT', endpoint.host, encodedPath, new Date()));
+						}
+						var req = transport.request({
+							method : 'PUT',
+							protocol : endpoint.protocol,
+							hostname : endpoint.hostname,
+							port : endpoint.port,
+							path : encodedPath,
+							headers : headers
+						});
+						var done = false;
+						var fail = function(err) {
+							if (!done) {
+								done = true;
+								req.abort();
+								reject(err);
+							}
+						};
+
+						req.setTimeout(options.timeoutMillis, function() {
+							fail(new Error('archive upload timed out : ' + logFile));
+						});
+						req.on('error', fail);
+						req.on('response', function(res) {
+							var body = '';
+							res.setEncoding('utf8');
+							res.on('data', function(data) {
+								body += data;
+							});
+							res.on('end', function() {
+								if (done) {
+									return;
+								}
+								if (res.statusCode >= 200 && res.statusCode < 300) {
+									done = true;
+									if (log.isDebugEnabled()) {
+										log.debug('archived : ' + logFile + ' -> ' + encodedPath);
+									}
+									resolve();
+								} else {
+									fail(new Error('archive upload failed : ' + logFile + ' : HTTP ' + res.statusCode + ' : ' + body));
+								}
+							});
+						});
+
+						var inp = fs.createReadStream(logFile);
+						inp.on('error', fail);
+						inp.pipe(req);
+					});
+				});
+			}
+		};
+	};
+
+	var presets = {
+		dir : dir,
+		s3 : s3
+	};
+
+	/**
+	 * 
+	 * @param sink
+	 *            either a preset options object with the preset name as the
+	 *            type property, or an archive sink
+	 * @returns archive sink
+	 */
+	var resolve = function(sink) {
+		assert(lodash.isObject(sink), 'archive sink must be a preset options object or an archive sink');
+		if (lodash.isFunction(sink.upload)) {
+			return sink;
+		}
+		assert(presets[sink.type], 'unknown archive sink preset : ' + sink.type);
+		return presets[sink.type](sink);
+	};
+
+	module.exports = {
+		presets : presets,
+		resolve : resolve
+	};
+
+}());
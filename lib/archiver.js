@@ -0,0 +1,285 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Uploads files to an archive sink - see archive-sinks.js - and keeps track of
+ * which files were archived, and which are still pending. The state is
+ * persisted to the backlog file, so that pending uploads are retried, and
+ * archived files are known, across restarts.
+ * 
+ * Failed uploads are retried with an exponential backoff, i.e., the delay
+ * doubles after each attempt. Files that still fail to upload remain in the
+ * backlog.
+ * 
+ * options
+ * 
+ * <code>
+ * sink					REQUIRED - archive sink, or archive sink preset options - see archive-sinks.js
+ * baseDir				REQUIRED - the archive keys are the file paths relative to the base dir
+ * backlogFile			REQUIRED - JSON file
+ * retries				OPTIONAL - number of times a failed upload is retried. Default is 3
+ * retryDelayMillis		OPTIONAL - delay before the first retry. Default is 1000
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var path = require('path');
+	var when = require('when');
+	var delay = require('when/delay');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var archiveSinks = require('./archive-sinks');
+
+	var Archiver = function(options) {
+		options = lodash.assign({
+			retries : 3,
+			retryDelayMillis : 1000
+		}, options);
+		assert(lodash.isString(options.baseDir), 'options.baseDir is required and must be a String');
+		assert(lodash.isString(options.backlogFile), 'options.backlogFile is required and must be a String');
+		assert(lodash.isNumber(options.retries) && options.retries >= 0, 'options.retries must be >= 0');
+		assert(lodash.isNumber(options.retryDelayMillis) && options.retryDelayMillis >= 0, 'options.retryDelayMillis must be >= 0');
+
+		this.sink = archiveSinks.resolve(options.sink);
+		this.baseDir = options.baseDir;
+		this.backlogFile = options.backlogFile;
+		this.retries = options.retries;
+		this.retryDelayMillis = options.retryDelayMillis;
+		// file path -> upload promise
+		this.uploads = {};
+		this.statePromise = null;
+		this.savePromise = when.resolve();
+	};
+
+	/**
+	 * 
+	 * @param archiver
+	 * @returns a promise that resolves to the state : {pending:{file->{attempts,lastError}},archived:{file->archivedTime}}
+	 *          - the backlog file is read once
+	 */
+	var statePromise = function(archiver) {
+		if (!archiver.statePromise) {
+			archiver.statePromise = when.promise(function(resolve, reject) {
+				fs.readFile(archiver.backlogFile, 'utf8', function(err, data) {
+					if (err) {
+						if (err.code === 'ENOENT') {
+							resolve({
+								pending : {},
+								archived : {}
+							});
+						} else {
+							reject(err);
+						}
+						return;
+					}
+					try {
+						resolve(lodash.assign({
+							pending : {},
+							archived : {}
+						}, JSON.parse(data)));
+					} catch (parseError) {
+						log.error('archive backlog file is corrupt - it will be replaced : ' + archiver.backlogFile + ' : ' + parseError);
+						resolve({
+							pending : {},
+							archived : {}
+						});
+					}
+				});
+			});
+		}
+		return archiver.statePromise;
+	};
+
+	/**
+	 * Writes the state to a temp file, which is then renamed to the backlog
+	 * file. Saves are serialized, i.e., each save waits for the previous one.
+	 * 
+	 * @param archiver
+	 * @returns a promise that resolves once the state is saved
+	 */
+	var save = function(archiver) {
+		var savePromise = when(archiver.savePromise, function() {
+			return statePromise(archiver);
+		}).then(function(state) {
+			var tempFile = archiver.backlogFile + '.tmp';
+			return when.promise(function(resolve, reject) {
+				fs.writeFile(tempFile, JSON.stringify(state), function(err) {
+					if (err) {
+						reject(err);
+						return;
+					}
+					fs.rename(tempFile, archiver.backlogFile, function(err) {
+						if (err) {
+							reject(err);
+						} else {
+							resolve();
+						}
+					});
+				});
+			});
+		}).otherwise(function(err) {
+			log.error('failed to save the archive backlog : ' + archiver.backlogFile + ' : ' + err);
+			throw err;
+		});
+		// a failed save must not prevent the next save
+		archiver.savePromise = savePromise.otherwise(function(err) {
+			if (log.isDebugEnabled()) {
+				log.debug('continuing after the failed archive backlog save : ' + err);
+			}
+		});
+		return savePromise;
+	};
+
+	/**
+	 * 
+	 * @param file
+	 *            absolute file path
+	 * @returns the archive key
+	 */
+	Archiver.prototype.key = function(file) {
+		return path.relative(this.baseDir, file).split(path.sep).join('/');
+	};
+
+	/**
+	 * Uploads the file, unless an upload for the file is already in progress,
+	 * in which case the in progress upload's promise is returned.
+	 * 
+	 * @param file
+	 *            absolute file path
+	 * @returns a promise that resolves to the archive key once the file is
+	 *          archived, or is rejected with the last upload error once all
+	 *          retries failed
+	 */
+	Archiver.prototype.archive = function(file) {
+		var self = this;
+		if (this.uploads[file]) {
+			return this.uploads[file];
+		}
+
+		var key = this.key(file);
+		var upload = function(attempt) {
+			return when(self.sink.upload(file, key), null, function(err) {
+				if (err && err.code === 'ENOENT') {
+					// the file was deleted - there is nothing left to archive
+					return when(self.forget(file), function() {
+						throw err;
+					});
+				}
+				var attemptSavedPromise = when(statePromise(self), function(state) {
+					state.pending[file] = {
+						attempts : (state.pending[file] ? state.pending[file].attempts : 0) + 1,
+						lastError : err && err.message ? err.message : String(err)
+					};
+					return save(self);
+				}).otherwise(function(saveErr) {
+					// failing to record the attempt should not stop the retries - save() logs the error
+					if (log.isDebugEnabled()) {
+						log.debug('failed to record the archive upload attempt : ' + file + ' : ' + saveErr);
+					}
+				});
+				return when(attemptSavedPromise, function() {
+					if (attempt >= self.retries) {
+						throw err;
+					}
+					log.warn('archive upload failed - retry ' + (attempt + 1) + ' of ' + self.retries + ' : ' + file + ' : ' + err);
+					return delay(self.retryDelayMillis * Math.pow(2, attempt)).then(function() {
+						return upload(attempt + 1);
+					});
+				});
+			});
+		};
+
+		var uploadPromise = when(statePromise(this), function(state) {
+			state.pending[file] = state.pending[file] || {
+				attempts : 0
+			};
+			return save(self);
+		}).then(function() {
+			return upload(0);
+		}).then(function() {
+			return when(statePromise(self), function(state) {
+				delete state.pending[file];
+				state.archived[file] = new Date().toISOString();
+				return save(self);
+			}).yield(key);
+		}).ensure(function() {
+			delete self.uploads[file];
+		});
+
+		this.uploads[file] = uploadPromise;
+		return uploadPromise;
+	};
+
+	/**
+	 * 
+	 * @param file
+	 * @returns a promise that resolves to true if the file was archived
+	 */
+	Archiver.prototype.isArchived = function(file) {
+		return when(statePromise(this), function(state) {
+			return !!state.archived[file];
+		});
+	};
+
+	/**
+	 * 
+	 * @returns a promise that resolves to the backlog, i.e., the file paths
+	 *          that are pending upload
+	 */
+	Archiver.prototype.pendingFiles = function() {
+		return when(statePromise(this), function(state) {
+			return lodash.keys(state.pending).sort();
+		});
+	};
+
+	/**
+	 * 
+	 * @param file
+	 *            absolute file path
+	 * @returns true if the file is the backlog file, or its temp file
+	 */
+	Archiver.prototype.isBacklogFile = function(file) {
+		return file === this.backlogFile || file === this.backlogFile + '.tmp';
+	};
+
+	/**
+	 * Removes the file from the state - invoked when the file is deleted, or
+	 * when the file no longer exists
+	 * 
+	 * @param file
+	 * @returns a promise that resolves once the state is saved
+	 */
+	Archiver.prototype.forget = function(file) {
+		var self = this;
+		return when(statePromise(this), function(state) {
+			if (!state.pending[file] && !state.archived[file]) {
+				return;
+			}
+			delete state.pending[file];
+			delete state.archived[file];
+			return save(self);
+		});
+	};
+
+	module.exports = Archiver;
+
+}());
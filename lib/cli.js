@@ -0,0 +1,341 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Command line interface for the log dir operations - see bin/rrf-logs
+ * 
+ * <code>
+ * rrf-logs <command> [options]
+ * 
+ * ls							lists the files with their size, modification time and status - see LogManager.FILE_STATUSES
+ * head <file> [-n lines]		file is relative to the log dir, or an absolute path
+ * tail <file> [-n lines]
+ * follow <file> [-n lines]		follows the file until interrupted
+ * sweep [--dry-run]			see LogManager.sweep()
+ * purge-inactive [--dry-run]	deletes the log files of processes that are no longer running - see LogManager.deleteAllNonActiveLogFiles()
+ * clean [--dry-run]			deletes all files in the log dir - see LogManager.cleanLogDir()
+ * 
+ * --config <file>				JSON file containing LogManager options - see log-manager.js. A relative logDir is resolved against the config file's dir
+ * --log-dir <dir>
+ * --retention-days <days>
+ * --max-active-files <count>
+ * --naming-scheme <name>
+ * --recursive					sweeps the sub dirs too, and lists the files with their paths relative to the log dir
+ * --json						outputs JSON - follow outputs a JSON object per line
+ * </code>
+ * 
+ * The flags override the config file settings. The exit code is 0 on success,
+ * and 1 on failure - including when a sweep, purge-inactive or clean report
+ * contains errors.
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var fs = require('fs');
+	var path = require('path');
+	var when = require('when');
+	var optimist = require('optimist');
+
+	var LogManager = require('./log-manager');
+
+	var USAGE = [ 'Usage: rrf-logs <command> [options]', '', 'Commands:', '  ls                          list the log dir files',
+			'  head <file> [-n lines]      output the first lines of a file', '  tail <file> [-n lines]      output the last lines of a file',
+			'  follow <file> [-n lines]    output the last lines of a file, and then follow it', '  sweep [--dry-run]           gzip and delete log files',
+			'  purge-inactive [--dry-run]  delete the log files of processes that are no longer running',
+			'  clean [--dry-run]           delete all files in the log dir', '', 'Options:',
+			'  --config <file>             JSON file containing the LogManager options', '  --log-dir <dir>',
+			'  --retention-days <days>', '  --max-active-files <count>', '  --naming-scheme <name>', '  --recursive                 include the sub dirs',
+				'  --json                      output JSON', '' ]
+			.join('\n');
+
+	var FLAGS = {
+		'log-dir' : 'logDir',
+		'retention-days' : 'retentionDays',
+		'max-active-files' : 'maxNumberActiveFiles',
+		'naming-scheme' : 'namingScheme'
+	};
+
+	var parseArgs = function(args) {
+		return optimist(args).boolean([ 'json', 'dry-run', 'recursive' ]).string([ 'config', 'log-dir', 'naming-scheme' ]).alias('n', 'lines').argv;
+	};
+
+	/**
+	 * 
+	 * @param argv
+	 * @returns a promise that resolves to the LogManager options from the
+	 *          config file and flags
+	 */
+	var logManagerOptionsPromise = function(argv) {
+		return when.promise(function(resolve, reject) {
+			if (!argv.config) {
+				resolve({});
+				return;
+			}
+			fs.readFile(argv.config, 'utf8', function(err, json) {
+				if (err) {
+					reject(err);
+					return;
+				}
+				try {
+					resolve(JSON.parse(json));
+				} catch (parseErr) {
+					reject(parseErr);
+				}
+			});
+		}).then(function(options) {
+			if (argv.config && lodash.isString(options.logDir)) {
+				options.logDir = path.resolve(path.dirname(argv.config), options.logDir);
+			}
+			lodash.forOwn(FLAGS, function(option, flag) {
+				if (!lodash.isUndefined(argv[flag])) {
+					options[option] = argv[flag];
+				}
+			});
+			// boolean flags default to false, so they can only enable the config setting
+			if (argv.recursive) {
+				options.recursive = true;
+			}
+			if (lodash.isString(options.logDir)) {
+				options.logDir = path.resolve(options.logDir);
+			}
+			return options;
+		});
+	};
+
+	/**
+	 * 
+	 * @param file
+	 * @returns a promise that resolves to true if the file exists
+	 */
+	var existsPromise = function(file) {
+		return when.promise(function(resolve) {
+			fs.exists(file, resolve);
+		});
+	};
+
+	var errorMessage = function(err) {
+		return err && err.message ? err.message : String(err);
+	};
+
+	/**
+	 * 
+	 * @param report
+	 * @returns a copy of the report, which can be serialized as JSON
+	 */
+	var jsonReport = function(report) {
+		return lodash.assign({}, report, {
+			errors : report.errors.map(function(error) {
+				return {
+					file : error.file,
+					operation : error.operation,
+					error : errorMessage(error.error)
+				};
+			})
+		});
+	};
+
+	var printReport = function(report, argv, streams) {
+		if (argv.json) {
+			streams.stdout.write(JSON.stringify(jsonReport(report), null, 2) + '\n');
+			return;
+		}
+		report.gzipped.forEach(function(file) {
+			streams.stdout.write('gzipped ' + file + '\n');
+		});
+		report.archived.forEach(function(file) {
+			streams.stdout.write('archived ' + file + '\n');
+		});
+		report.deleted.forEach(function(file) {
+			streams.stdout.write('deleted ' + file + '\n');
+		});
+		report.skipped.forEach(function(skipped) {
+			streams.stdout.write('skipped ' + skipped.file + ' (' + skipped.reason + ')\n');
+		});
+		report.errors.forEach(function(error) {
+			streams.stderr.write('error ' + error.operation + (error.file ? ' ' + error.file : '') + ' : ' + errorMessage(error.error) + '\n');
+		});
+		if (report.dryRun) {
+			streams.stdout.write('dry run - no files were changed\n');
+		}
+	};
+
+	var ls = function(logManager, argv, streams) {
+		return when(logManager.logDirectoryFilesWithStatusPromise(), function(files) {
+			if (argv.json) {
+				streams.stdout.write(JSON.stringify(files.map(function(fileStats) {
+					return lodash.assign({}, fileStats, {
+						error : fileStats.error ? errorMessage(fileStats.error) : undefined
+					});
+				}), null, 2) + '\n');
+			} else {
+				files.forEach(function(fileStats) {
+					var stats = fileStats.stats;
+					streams.stdout.write([ fileStats.status, stats ? stats.size : '-', stats ? stats.mtime.toISOString() : '-', fileStats.file ].join('\t') + '\n');
+				});
+			}
+			return 0;
+		});
+	};
+
+	var reportCommand = function(method) {
+		return function(logManager, argv, streams) {
+			return when(logManager[method]({
+				dryRun : argv['dry-run'] || undefined
+			}), function(report) {
+				printReport(report, argv, streams);
+				return report.errors.length > 0 ? 1 : 0;
+			});
+		};
+	};
+
+	/**
+	 * 
+	 * @param method
+	 *            'head' or 'tail'
+	 */
+	var linesCommand = function(method) {
+		return function(logManager, argv, streams, file) {
+			var data = [];
+			return when.promise(function(resolve) {
+				logManager[method]({
+					file : file,
+					lines : argv.lines,
+					onDataCallback : function(chunk) {
+						if (argv.json) {
+							data.push(chunk);
+						} else {
+							streams.stdout.write(chunk);
+						}
+					},
+					onCloseCallback : function(code) {
+						if (argv.json && code === 0) {
+							streams.stdout.write(JSON.stringify({
+								file : file,
+								lines : Buffer.concat(data).toString().split(/\r?\n/).filter(function(line, i, lines) {
+									return i < lines.length - 1 || line.length > 0;
+								})
+							}, null, 2) + '\n');
+						}
+						resolve(code === 0 ? 0 : 1);
+					}
+				});
+			});
+		};
+	};
+
+	var follow = function(logManager, argv, streams, file) {
+		return when.promise(function(resolve) {
+			var followedFile = file;
+			var listenerId = null;
+			var stop = function() {
+				logManager.stopTailFollowing(followedFile, listenerId);
+				resolve(0);
+			};
+
+			logManager.tailFollow({
+				file : file,
+				lines : argv.lines,
+				lineMode : argv.json,
+				onDataCallback : function(data) {
+					if (argv.json) {
+						streams.stdout.write(JSON.stringify({
+							file : file,
+							line : data
+						}) + '\n');
+					} else {
+						streams.stdout.write(data);
+					}
+				},
+				onCloseCallback : function(code) {
+					process.removeListener('SIGINT', stop);
+					resolve(code === 0 ? 0 : 1);
+				},
+				onRegistrationCallback : function(err, registeredFile, id) {
+					if (err) {
+						streams.stderr.write(errorMessage(err) + '\n');
+						resolve(1);
+					} else {
+						followedFile = registeredFile;
+						listenerId = id;
+						process.once('SIGINT', stop);
+					}
+				}
+			});
+		});
+	};
+
+	var COMMANDS = {
+		ls : ls,
+		head : linesCommand('head'),
+		tail : linesCommand('tail'),
+		follow : follow,
+		sweep : reportCommand('sweep'),
+		'purge-inactive' : reportCommand('deleteAllNonActiveLogFiles'),
+		clean : reportCommand('cleanLogDir')
+	};
+
+	var FILE_COMMANDS = [ 'head', 'tail', 'follow' ];
+
+	/**
+	 * 
+	 * @param args
+	 *            the command line args, i.e., without the node and script args
+	 * @param streams
+	 *            OPTIONAL - {stdout,stderr}. Default is process.stdout and
+	 *            process.stderr
+	 * @param callback
+	 *            function(exitCode){}
+	 */
+	var run = function(args, streams, callback) {
+		streams = streams || {
+			stdout : process.stdout,
+			stderr : process.stderr
+		};
+
+		var argv = parseArgs(args);
+		var command = argv._[0];
+		if (!COMMANDS[command] || (lodash.contains(FILE_COMMANDS, command) && !argv._[1])) {
+			streams.stderr.write(USAGE);
+			callback(1);
+			return;
+		}
+
+		when(logManagerOptionsPromise(argv), function(options) {
+			var logManager = new LogManager(options);
+			if (!lodash.contains(FILE_COMMANDS, command)) {
+				return COMMANDS[command](logManager, argv, streams);
+			}
+
+			var file = path.resolve(logManager.logDir, String(argv._[1]));
+			return when(existsPromise(file), function(exists) {
+				if (!exists) {
+					streams.stderr.write('file does not exist : ' + file + '\n');
+					return 1;
+				}
+				return COMMANDS[command](logManager, argv, streams, file);
+			});
+		}).then(callback, function(err) {
+			streams.stderr.write(errorMessage(err) + '\n');
+			callback(1);
+		});
+	};
+
+	module.exports = {
+		run : run
+	};
+
+}());
@@ -0,0 +1,164 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * The compression codecs that are used to archive log files. Each codec has
+ * its own file extension, which is how archived files are recognised.
+ * 
+ * <code>
+ * gzip			.gz			levels 0-9
+ * deflate		.deflate	levels 0-9 - zlib format
+ * brotli		.br			levels 0-11 - only available if the Node version supports brotli
+ * </code>
+ * 
+ * A codec has the following properties :
+ * 
+ * <code>
+ * name
+ * extension
+ * contentType
+ * available				false if the Node version does not support the codec - its files are still recognised, but cannot be read or written
+ * createCompressor(level)	returns a transform stream - level is OPTIONAL, the codec's default level is used if not specified
+ * createDecompressor()		returns a transform stream
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var path = require('path');
+	var zlib = require('zlib');
+
+	var zlibCodec = function(name, extension, contentType, createCompressor, createDecompressor) {
+		return {
+			name : name,
+			extension : extension,
+			contentType : contentType,
+			available : true,
+			minLevel : 0,
+			maxLevel : 9,
+			createCompressor : function(level) {
+				return createCompressor(lodash.isUndefined(level) ? {} : {
+					level : level
+				});
+			},
+			createDecompressor : createDecompressor
+		};
+	};
+
+	var brotliAvailable = lodash.isFunction(zlib.createBrotliCompress);
+
+	var CODECS = {
+		gzip : zlibCodec('gzip', '.gz', 'application/x-gzip', zlib.createGzip, zlib.createGunzip),
+		deflate : zlibCodec('deflate', '.deflate', 'application/zlib', zlib.createDeflate, zlib.createInflate),
+		brotli : {
+			name : 'brotli',
+			extension : '.br',
+			contentType : 'application/x-brotli',
+			available : brotliAvailable,
+			minLevel : 0,
+			maxLevel : 11,
+			createCompressor : function(level) {
+				assert(brotliAvailable, 'brotli is not supported by this Node version : ' + process.version);
+				var params = {};
+				if (!lodash.isUndefined(level)) {
+					params[zlib.constants.BROTLI_PARAM_QUALITY] = level;
+				}
+				return zlib.createBrotliCompress({
+					params : params
+				});
+			},
+			createDecompressor : function() {
+				assert(brotliAvailable, 'brotli is not supported by this Node version : ' + process.version);
+				return zlib.createBrotliDecompress();
+			}
+		}
+	};
+
+	/**
+	 * 
+	 * @returns the file extensions of all codecs
+	 */
+	var extensions = function() {
+		return lodash.pluck(lodash.values(CODECS), 'extension');
+	};
+
+	/**
+	 * 
+	 * @param file
+	 *            file name or path
+	 * @returns the codec for the file's extension, or undefined if the file is
+	 *          not compressed
+	 */
+	var forFile = function(file) {
+		var extension = path.extname(file);
+		return lodash.find(lodash.values(CODECS), function(codec) {
+			return codec.extension === extension;
+		});
+	};
+
+	/**
+	 * 
+	 * @param file
+	 * @returns true if the file has a codec extension
+	 */
+	var isCompressed = function(file) {
+		return !!forFile(file);
+	};
+
+	/**
+	 * 
+	 * @param file
+	 *            file name or path
+	 * @returns the file without its codec extension, e.g., ops.1.log.001 for
+	 *          ops.1.log.001.gz
+	 */
+	var uncompressedFile = function(file) {
+		var codec = forFile(file);
+		return codec ? file.substring(0, file.length - codec.extension.length) : file;
+	};
+
+	/**
+	 * 
+	 * @param name
+	 *            codec name
+	 * @param level
+	 *            OPTIONAL - validated against the codec's levels
+	 * @returns the codec - an error is thrown if the codec is unknown, not
+	 *          available, or the level is out of range
+	 */
+	var resolve = function(name, level) {
+		var codec = CODECS[name];
+		assert(codec, 'unknown compression codec : ' + name);
+		assert(codec.available, 'compression codec is not supported by this Node version : ' + name);
+		if (!lodash.isUndefined(level)) {
+			assert(lodash.isNumber(level) && level >= codec.minLevel && level <= codec.maxLevel, 'compression level for ' + name + ' must be between '
+					+ codec.minLevel + ' and ' + codec.maxLevel);
+		}
+		return codec;
+	};
+
+	module.exports = {
+		CODECS : CODECS,
+		extensions : extensions,
+		forFile : forFile,
+		isCompressed : isCompressed,
+		uncompressedFile : uncompressedFile,
+		resolve : resolve
+	};
+
+}());
@@ -0,0 +1,176 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Parses a standard 5 field cron expression and computes when it next fires.
+ * Times are evaluated in local time.
+ * 
+ * <code>
+ * [minute 0-59] [hour 0-23] [day of month 1-31] [month 1-12] [day of week 0-7, where 0 and 7 are Sunday]
+ * </code>
+ * 
+ * Each field supports '*', single values, ranges (1-5), lists (1,3,5) and
+ * steps (0-30/10 - a step can also be applied to '*'). As with cron, if both
+ * the day of month and day of week are restricted, i.e., they do not start
+ * with '*', then a day matches if either field matches.
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+
+	var FIELDS = [ {
+		name : 'minute',
+		min : 0,
+		max : 59
+	}, {
+		name : 'hour',
+		min : 0,
+		max : 23
+	}, {
+		name : 'day of month',
+		min : 1,
+		max : 31
+	}, {
+		name : 'month',
+		min : 1,
+		max : 12
+	}, {
+		name : 'day of week',
+		min : 0,
+		max : 7
+	} ];
+
+	// enough to find a match that is more than 4 years away, e.g., Feb 29
+	var MAX_ITERATIONS = 50000;
+
+	var parseNumber = function(text, field) {
+		assert(/^\d+$/.test(text), 'invalid ' + field.name + ' : ' + text);
+		var value = parseInt(text, 10);
+		assert(value >= field.min && value <= field.max, field.name + ' must be between ' + field.min + ' and ' + field.max + ' : ' + text);
+		return value;
+	};
+
+	/**
+	 * 
+	 * @param text
+	 *            the cron field
+	 * @param field
+	 * @returns an object with a key for each matching value
+	 */
+	var parseField = function(text, field) {
+		var values = {};
+		text.split(',').forEach(function(part) {
+			var stepParts = part.split('/');
+			assert(stepParts.length <= 2, 'invalid ' + field.name + ' : ' + part);
+			var step = stepParts.length === 2 ? parseInt(stepParts[1], 10) : 1;
+			assert(/^\d+$/.test(stepParts[1] || '1') && step > 0, 'invalid ' + field.name + ' step : ' + part);
+
+			var range = stepParts[0];
+			var start, end, i;
+			if (range === '*') {
+				start = field.min;
+				end = field.max;
+			} else if (range.indexOf('-') > 0) {
+				start = parseNumber(range.split('-')[0], field);
+				end = parseNumber(range.split('-')[1], field);
+				assert(start <= end, 'invalid ' + field.name + ' range : ' + range);
+			} else {
+				start = parseNumber(range, field);
+				end = stepParts.length === 2 ? field.max : start;
+			}
+
+			for (i = start; i <= end; i += step) {
+				values[i] = true;
+			}
+		});
+		return values;
+	};
+
+	/**
+	 * 
+	 * @param expression
+	 *            5 field cron expression, e.g., '0 3 * * *' for every day at
+	 *            3:00 AM
+	 */
+	var CronSchedule = function(expression) {
+		assert(lodash.isString(expression), 'cron expression is required and must be a String');
+		var parts = expression.trim().split(/\s+/);
+		assert(parts.length === 5, 'cron expression must have 5 fields : ' + expression);
+
+		this.expression = expression;
+		this.minutes = parseField(parts[0], FIELDS[0]);
+		this.hours = parseField(parts[1], FIELDS[1]);
+		this.daysOfMonth = parseField(parts[2], FIELDS[2]);
+		this.months = parseField(parts[3], FIELDS[3]);
+		this.daysOfWeek = parseField(parts[4], FIELDS[4]);
+		if (this.daysOfWeek[7]) {
+			this.daysOfWeek[0] = true;
+		}
+		// as with Vixie cron, a field that starts with '*' is not restricted, even with a step
+		this.daysOfMonthRestricted = parts[2].charAt(0) !== '*';
+		this.daysOfWeekRestricted = parts[4].charAt(0) !== '*';
+	};
+
+	CronSchedule.prototype.dayMatches = function(date) {
+		var dayOfMonthMatches = !!this.daysOfMonth[date.getDate()];
+		var dayOfWeekMatches = !!this.daysOfWeek[date.getDay()];
+		if (this.daysOfMonthRestricted && this.daysOfWeekRestricted) {
+			return dayOfMonthMatches || dayOfWeekMatches;
+		}
+		return dayOfMonthMatches && dayOfWeekMatches;
+	};
+
+	/**
+	 * 
+	 * @param date
+	 * @returns true if the date's minute matches the schedule
+	 */
+	CronSchedule.prototype.matches = function(date) {
+		return !!(this.months[date.getMonth() + 1] && this.dayMatches(date) && this.hours[date.getHours()] && this.minutes[date.getMinutes()]);
+	};
+
+	/**
+	 * 
+	 * @param from
+	 *            OPTIONAL - default is now
+	 * @returns the next Date after 'from' that matches the schedule, or null
+	 *          if the schedule never matches, e.g., Feb 31
+	 */
+	CronSchedule.prototype.next = function(from) {
+		from = from || new Date();
+		var date = new Date(from.getFullYear(), from.getMonth(), from.getDate(), from.getHours(), from.getMinutes() + 1);
+		var i;
+		for (i = 0; i < MAX_ITERATIONS; i++) {
+			if (!this.months[date.getMonth() + 1]) {
+				date = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+			} else if (!this.dayMatches(date)) {
+				date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+			} else if (!this.hours[date.getHours()]) {
+				date = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1);
+			} else if (!this.minutes[date.getMinutes()]) {
+				date = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes() + 1);
+			} else {
+				return date;
+			}
+		}
+		return null;
+	};
+
+	module.exports = CronSchedule;
+
+}());
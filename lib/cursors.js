@@ -0,0 +1,89 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+
+/**
+ * A cursor marks a position in a log file, so that a follow can be resumed
+ * where it left off - see LogManager.tailFollow(). It is made of the file's
+ * identity and a byte offset :
+ * 
+ * <code>
+ * file		the file path relative to the log dir, without its codec extension - so that the cursor still applies once the file is compressed
+ * offset	the byte offset of the uncompressed data that follows the delivered chunk or line
+ * </code>
+ * 
+ * Cursors are opaque to clients, i.e., they are encoded as URL safe base64
+ * Strings, which can be used as Server-Sent Event ids.
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var path = require('path');
+
+	/**
+	 * 
+	 * @param file
+	 *            the file path relative to the log dir - its codec extension
+	 *            is expected to have been stripped
+	 * @param offset
+	 * @returns the cursor
+	 */
+	var encode = function(file, offset) {
+		return new Buffer(JSON.stringify({
+			file : file,
+			offset : offset
+		})).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/\=+$/, '');
+	};
+
+	/**
+	 * 
+	 * @param cursor
+	 * @returns {file,offset}, or null if the cursor is invalid - the file must
+	 *          be a normalized relative path that does not leave the log dir
+	 */
+	var decode = function(cursor) {
+		if (!lodash.isString(cursor) || !/^[A-Za-z0-9_\-]+$/.test(cursor)) {
+			return null;
+		}
+		var position;
+		try {
+			position = JSON.parse(new Buffer(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+		} catch (err) {
+			return null;
+		}
+		if (!lodash.isObject(position) || !lodash.isString(position.file) || !lodash.isNumber(position.offset)) {
+			return null;
+		}
+		var file = position.file;
+		if (!file || file === '.' || path.normalize(file) !== file || file.charAt(0) === path.sep || lodash.contains(file.split(path.sep), '..')) {
+			return null;
+		}
+		if (position.offset < 0 || Math.floor(position.offset) !== position.offset) {
+			return null;
+		}
+		return {
+			file : file,
+			offset : position.offset
+		};
+	};
+
+	module.exports = {
+		encode : encode,
+		decode : decode
+	};
+
+}());
@@ -0,0 +1,632 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Pure Node implementations of head -n, tail -n and tail -f, i.e., no child
+ * processes are spawned.
+ * 
+ * Compressed files, i.e., files with a codec extension such as '.gz' - see
+ * codecs.js - are transparently decompressed by head, tail and read.
+ * 
+ * The onCloseCallback is invoked with a code that mimics the process exit code :
+ * 0 on success, 1 on failure.
+ */
+(function() {
+	'use strict';
+
+	var fs = require('fs');
+	var PassThrough = require('stream').PassThrough;
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var codecs = require('./codecs');
+
+	var CHUNK_SIZE = 64 * 1024;
+	var NEWLINE = 10;
+
+	var noop = function() {
+		return undefined;
+	};
+
+	var isCompressed = codecs.isCompressed;
+
+	/**
+	 * 
+	 * @param stats
+	 *            fs.Stats
+	 * @returns the file's birth time - or its inode change time on platforms
+	 *          and file systems that do not support birth times
+	 */
+	var birthtime = function(stats) {
+		return stats.birthtime && stats.birthtime.getTime() > 0 ? stats.birthtime : stats.ctime;
+	};
+
+	/**
+	 * 
+	 * @param source
+	 *            file read stream
+	 * @param file
+	 * @returns the source stream, or a stream that decompresses the source if
+	 *          the file is compressed. Source stream errors are forwarded, as
+	 *          are errors for codecs that are not available.
+	 */
+	var decompress = function(source, file) {
+		if (!isCompressed(file)) {
+			return source;
+		}
+		var decompressor;
+		try {
+			decompressor = codecs.forFile(file).createDecompressor();
+		} catch (err) {
+			decompressor = new PassThrough();
+			setImmediate(function() {
+				source.destroy();
+				decompressor.emit('error', err);
+			});
+		}
+		source.on('error', function(err) {
+			decompressor.emit('error', err);
+		});
+		return source.pipe(decompressor);
+	};
+
+	/**
+	 * 
+	 * @param file
+	 * @returns a readable stream for the file's contents - compressed files are
+	 *          decompressed
+	 */
+	var createReadStream = function(file) {
+		return decompress(fs.createReadStream(file), file);
+	};
+
+	/**
+	 * Seeks backwards from the end of the file to find where the last lines
+	 * start.
+	 * 
+	 * @param file
+	 * @param lines
+	 * @returns a promise that resolves to {offset,size} - where offset is the
+	 *          byte offset of the first of the last lines, and size is the file
+	 *          size when it was read
+	 */
+	var tailOffsetPromise = function(file, lines) {
+		return when.promise(function(resolve, reject) {
+			fs.open(file, 'r', function(err, fd) {
+				if (err) {
+					reject(err);
+					return;
+				}
+
+				var done = function(err, offset, size) {
+					fs.close(fd, function() {
+						if (err) {
+							reject(err);
+						} else {
+							resolve({
+								offset : offset,
+								size : size
+							});
+						}
+					});
+				};
+
+				fs.fstat(fd, function(err, stats) {
+					if (err) {
+						done(err);
+						return;
+					}
+
+					var size = stats.size;
+					var newlineCount = 0;
+					var buffer = new Buffer(CHUNK_SIZE);
+
+					// a trailing newline terminates the last line - it does not start a new one
+					var readChunk = function(end) {
+						if (end <= 0) {
+							done(null, 0, size);
+							return;
+						}
+						var start = Math.max(0, end - CHUNK_SIZE);
+						fs.read(fd, buffer, 0, end - start, start, function(err, bytesRead) {
+							if (err) {
+								done(err);
+								return;
+							}
+							var i;
+							for (i = bytesRead - 1; i >= 0; i--) {
+								if (buffer[i] === NEWLINE && (start + i) !== size - 1) {
+									newlineCount++;
+									if (newlineCount === lines) {
+										done(null, start + i + 1, size);
+										return;
+									}
+								}
+							}
+							readChunk(start);
+						});
+					};
+
+					readChunk(size);
+				});
+			});
+		});
+	};
+
+	/**
+	 * Splits data into lines, i.e., buffers data until a newline is seen.
+	 * 
+	 * @param onLine
+	 *            function(line){} - where line is a Buffer that includes the
+	 *            trailing newline, except for the last line if the data does
+	 *            not end with a newline
+	 * @returns an object with a write(data) function for each chunk of data and
+	 *          an end() function for when there is no more data
+	 */
+	var lineSplitter = function(onLine) {
+		var partialLine = [];
+		return {
+			write : function(data) {
+				var start = 0;
+				var i, line;
+				for (i = 0; i < data.length; i++) {
+					if (data[i] === NEWLINE) {
+						partialLine.push(data.slice(start, i + 1));
+						// reset before onLine, which may end() the splitter, e.g., when following is stopped
+						line = Buffer.concat(partialLine);
+						partialLine = [];
+						onLine(line);
+						start = i + 1;
+					}
+				}
+				if (start < data.length) {
+					partialLine.push(data.slice(start));
+				}
+			},
+			end : function() {
+				var line;
+				if (partialLine.length > 0) {
+					line = Buffer.concat(partialLine);
+					partialLine = [];
+					onLine(line);
+				}
+			}
+		};
+	};
+
+	/**
+	 * A compressed file cannot be read backwards, so the whole file is
+	 * streamed while keeping only the last lines.
+	 * 
+	 * @param options
+	 *            see tail()
+	 */
+	var tailStream = function(options) {
+		var onClose = options.onCloseCallback || noop;
+		var lines = options.lines || 10;
+		var lastLines = [];
+		var failed = false;
+
+		var splitter = lineSplitter(function(line) {
+			lastLines.push(line);
+			if (lastLines.length > lines) {
+				lastLines.shift();
+			}
+		});
+
+		var stream = createReadStream(options.file);
+		stream.on('data', splitter.write);
+		stream.on('error', function(err) {
+			if (!failed) {
+				failed = true;
+				log.error('tail() failed : ' + options.file + ' : ' + err);
+				onClose(1);
+			}
+		});
+		stream.on('end', function() {
+			splitter.end();
+			if (lastLines.length > 0) {
+				options.onDataCallback(Buffer.concat(lastLines));
+			}
+			onClose(0);
+		});
+	};
+
+	/**
+	 * Performs a tail -n
+	 * 
+	 * options
+	 * 
+	 * <code>
+	 * file					REQUIRED - absolute file path to tail
+	 * onDataCallback		REQUIRED - function(data){} - where data is Buffer
+	 * onCloseCallback		OPTIONAL - function(code){}
+	 * lines				OPTIONAL - default is 10
+	 * </code>
+	 */
+	var tail = function(options) {
+		var onClose = options.onCloseCallback || noop;
+		if (isCompressed(options.file)) {
+			tailStream(options);
+			return;
+		}
+		when(tailOffsetPromise(options.file, options.lines || 10), function(tailOffset) {
+			if (tailOffset.offset >= tailOffset.size) {
+				onClose(0);
+				return;
+			}
+			var stream = fs.createReadStream(options.file, {
+				start : tailOffset.offset,
+				end : tailOffset.size - 1
+			});
+			stream.on('data', options.onDataCallback);
+			stream.on('error', function(err) {
+				log.error('tail() failed : ' + options.file + ' : ' + err);
+				onClose(1);
+			});
+			stream.on('end', function() {
+				onClose(0);
+			});
+		}, function(err) {
+			log.error('tail() failed : ' + options.file + ' : ' + err);
+			onClose(1);
+		});
+	};
+
+	/**
+	 * Performs a head -n
+	 * 
+	 * options
+	 * 
+	 * <code>
+	 * file					REQUIRED - absolute file path to head
+	 * onDataCallback		REQUIRED - function(data){} - where data is Buffer
+	 * onCloseCallback		OPTIONAL - function(code){}
+	 * lines				OPTIONAL - default is 10
+	 * </code>
+	 */
+	var head = function(options) {
+		var onClose = options.onCloseCallback || noop;
+		var lines = options.lines || 10;
+		var newlineCount = 0;
+		var closed = false;
+		var close = function(code) {
+			if (!closed) {
+				closed = true;
+				onClose(code);
+			}
+		};
+
+		var source = fs.createReadStream(options.file);
+		var stream = decompress(source, options.file);
+		stream.on('data', function(data) {
+			if (closed) {
+				return;
+			}
+			var i;
+			for (i = 0; i < data.length; i++) {
+				if (data[i] === NEWLINE) {
+					newlineCount++;
+					if (newlineCount === lines) {
+						options.onDataCallback(data.slice(0, i + 1));
+						source.destroy();
+						close(0);
+						return;
+					}
+				}
+			}
+			options.onDataCallback(data);
+		});
+		stream.on('error', function(err) {
+			log.error('head() failed : ' + options.file + ' : ' + err);
+			close(1);
+		});
+		stream.on('end', function() {
+			close(0);
+		});
+	};
+
+	/**
+	 * Reads the whole file, or the rest of the file from the offset
+	 * 
+	 * options
+	 * 
+	 * <code>
+	 * file					REQUIRED - absolute file path to read
+	 * onDataCallback		REQUIRED - function(data,offset){} - where data is Buffer, and offset is the byte offset of the data
+	 * 								 - for compressed files, the offset is the offset of the decompressed data
+	 * onCloseCallback		OPTIONAL - function(code){}
+	 * offset				OPTIONAL - byte offset to start reading from. Default is 0
+	 * </code>
+	 * 
+	 * @returns an object with pause(), resume() and close(code) functions - once
+	 *          closed, no more data is delivered, and the onCloseCallback is
+	 *          invoked with the code, which defaults to 0
+	 */
+	var read = function(options) {
+		var onClose = options.onCloseCallback || noop;
+		var offset = options.offset || 0;
+		var compressed = isCompressed(options.file);
+		var closed = false;
+		var close = function(code) {
+			if (!closed) {
+				closed = true;
+				onClose(code);
+			}
+		};
+
+		// compressed files cannot be read from an offset, so the data before the offset is skipped
+		var position = compressed ? 0 : offset;
+		var source = fs.createReadStream(options.file, {
+			start : position
+		});
+		var stream = decompress(source, options.file);
+		stream.on('data', function(data) {
+			if (closed) {
+				return;
+			}
+			var start = position;
+			position += data.length;
+			if (position <= offset) {
+				return;
+			}
+			if (start < offset) {
+				data = data.slice(offset - start);
+				start = offset;
+			}
+			options.onDataCallback(data, start);
+		});
+		stream.on('error', function(err) {
+			if (!closed) {
+				log.error('read() failed : ' + options.file + ' : ' + err);
+				close(1);
+			}
+		});
+		stream.on('end', function() {
+			close(0);
+		});
+
+		return {
+			pause : function() {
+				stream.pause();
+			},
+			resume : function() {
+				stream.resume();
+			},
+			close : function(code) {
+				source.destroy();
+				close(code || 0);
+			}
+		};
+	};
+
+	/**
+	 * Performs a tail -f. Changes to the file are detected via fs.watch(), or
+	 * by polling if pollIntervalMillis is specified. If the file is truncated,
+	 * then it is followed from the beginning.
+	 * 
+	 * options
+	 * 
+	 * <code>
+	 * file					REQUIRED - absolute file path to tail
+	 * onDataCallback		REQUIRED - function(data,offset){} - where data is Buffer, and offset is the byte offset of the data
+	 * onCloseCallback		OPTIONAL - function(code){}
+	 * onTruncateCallback	OPTIONAL - function(){} - invoked when the file was truncated, before its data is delivered from the beginning
+	 * lines				OPTIONAL - default is 10
+	 * offset				OPTIONAL - byte offset to start following from - overrides lines
+	 * pollIntervalMillis	OPTIONAL - if specified, then the file is polled for changes instead of using fs.watch()
+	 * </code>
+	 */
+	var Follower = function(options) {
+		this.file = options.file;
+		this.onDataCallback = options.onDataCallback;
+		this.onCloseCallback = options.onCloseCallback || noop;
+		this.onTruncateCallback = options.onTruncateCallback || noop;
+		this.pollIntervalMillis = options.pollIntervalMillis;
+		this.position = 0;
+		this.reading = false;
+		this.readPending = false;
+		// invoked once the file has been read to its end - see read()
+		this.readCallbacks = [];
+		this.paused = false;
+		this.closed = false;
+		this.watcher = null;
+		this.onChange = null;
+
+		var self = this;
+		var offsetPromise = typeof options.offset === 'number' ? when.resolve({
+			offset : options.offset
+		}) : tailOffsetPromise(this.file, options.lines || 10);
+		when(offsetPromise, function(tailOffset) {
+			if (self.closed) {
+				return;
+			}
+			self.position = tailOffset.offset;
+			self.watch();
+			self.read();
+		}, function(err) {
+			log.error('tailFollow() failed : ' + self.file + ' : ' + err);
+			self.close(1);
+		});
+	};
+
+	Follower.prototype.watch = function() {
+		var self = this;
+		this.onChange = function() {
+			self.read();
+		};
+		if (this.pollIntervalMillis) {
+			fs.watchFile(this.file, {
+				persistent : true,
+				interval : this.pollIntervalMillis
+			}, this.onChange);
+		} else {
+			this.watcher = fs.watch(this.file, this.onChange);
+			this.watcher.on('error', function(err) {
+				log.error('tailFollow() watch failed : ' + self.file + ' : ' + err);
+				self.close(1);
+			});
+		}
+	};
+
+	/**
+	 * Reads from the current position to the end of the file. If a read is
+	 * already in progress, then another read is performed once it completes.
+	 * The file is read a chunk at a time, and no further chunk is read while
+	 * the follower is paused - i.e., a paused follower buffers at most the
+	 * chunk that is already being read.
+	 * 
+	 * @param callback
+	 *            OPTIONAL - function(){} - invoked once the file has been read
+	 *            to its end, or the follower is closed
+	 */
+	Follower.prototype.read = function(callback) {
+		var self = this;
+		if (callback) {
+			this.readCallbacks.push(callback);
+		}
+		if (this.closed) {
+			this.flushReadCallbacks();
+			return;
+		}
+		if (this.reading || this.paused) {
+			this.readPending = true;
+			return;
+		}
+		this.reading = true;
+		this.readPending = false;
+
+		var readDone = function() {
+			self.reading = false;
+			if (self.readPending) {
+				self.read();
+			} else {
+				self.flushReadCallbacks();
+			}
+		};
+
+		fs.stat(this.file, function(err, stats) {
+			if (err || self.closed) {
+				if (err && err.code !== 'ENOENT') {
+					log.warn('tailFollow() failed to stat : ' + self.file + ' : ' + err);
+				}
+				readDone();
+				return;
+			}
+			if (stats.size < self.position) {
+				if (log.isDebugEnabled()) {
+					log.debug('tailFollow() file was truncated : ' + self.file);
+				}
+				self.position = 0;
+				self.onTruncateCallback();
+			}
+			if (stats.size === self.position) {
+				readDone();
+				return;
+			}
+
+			var end = Math.min(stats.size, self.position + CHUNK_SIZE);
+			var stream = fs.createReadStream(self.file, {
+				start : self.position,
+				end : end - 1
+			});
+			stream.on('data', function(data) {
+				if (!self.closed) {
+					var offset = self.position;
+					self.position += data.length;
+					self.onDataCallback(data, offset);
+				}
+			});
+			stream.on('error', function(err) {
+				log.warn('tailFollow() read failed : ' + self.file + ' : ' + err);
+				readDone();
+			});
+			stream.on('end', function() {
+				// the next chunk is read by readDone(), or once the follower is resumed
+				if (self.position < stats.size) {
+					self.readPending = true;
+				}
+				readDone();
+			});
+		});
+	};
+
+	/**
+	 * Stops reading the file until resume() is invoked - the chunk that is
+	 * already being read is still delivered
+	 */
+	Follower.prototype.pause = function() {
+		this.paused = true;
+	};
+
+	Follower.prototype.resume = function() {
+		this.paused = false;
+		if (this.readPending && !this.reading) {
+			this.read();
+		}
+	};
+
+	Follower.prototype.flushReadCallbacks = function() {
+		var callbacks = this.readCallbacks;
+		this.readCallbacks = [];
+		callbacks.forEach(function(callback) {
+			callback();
+		});
+	};
+
+	/**
+	 * Stops following the file
+	 * 
+	 * @param code
+	 *            OPTIONAL - the code passed to the onCloseCallback. Default is
+	 *            0
+	 */
+	Follower.prototype.close = function(code) {
+		if (this.closed) {
+			return;
+		}
+		this.closed = true;
+		if (this.watcher) {
+			this.watcher.close();
+			this.watcher = null;
+		} else if (this.onChange) {
+			fs.unwatchFile(this.file, this.onChange);
+		}
+		this.onCloseCallback(code || 0);
+		this.flushReadCallbacks();
+	};
+
+	var follow = function(options) {
+		return new Follower(options);
+	};
+
+	module.exports = {
+		head : head,
+		tail : tail,
+		read : read,
+		createReadStream : createReadStream,
+		decompress : decompress,
+		lineSplitter : lineSplitter,
+		isCompressed : isCompressed,
+		birthtime : birthtime,
+		follow : follow,
+		Follower : Follower,
+		tailOffsetPromise : tailOffsetPromise
+	};
+
+}());
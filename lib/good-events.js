@@ -0,0 +1,209 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Parses the JSON lines that are written by the hapi good process monitor, i.e.,
+ * the 'ops', 'request', 'log' and 'error' events, into event objects with the
+ * following properties :
+ * 
+ * <code>
+ * event			the event type, e.g., 'ops' - taken from the line, or else from the log file name
+ * timestamp		Date
+ * pid				taken from the line, or else from the log file name
+ * data				the parsed JSON object
+ * fields			the typed fields of the standard events - see EVENT_FIELDS. Undefined for other events
+ * </code>
+ * 
+ * The typed fields of the standard events are :
+ * 
+ * <code>
+ * ops				{heapUsed,heapTotal,rss,load,eventLoopDelay,uptime} - load is the 1 minute load average
+ * request			{id,method,path,statusCode,responseTime,remoteAddress}
+ * log				{tags,message} - tags is an Array
+ * error			{url,method,message,stack}
+ * </code>
+ * 
+ * A field is undefined if the line does not contain it, or if it does not have
+ * the expected type.
+ * 
+ * Lines that cannot be parsed are returned as a LogParseError. Blank lines are
+ * skipped.
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var util = require('util');
+
+	var fileReader = require('./file-reader');
+
+	var typed = function(value, isType) {
+		return isType(value) ? value : undefined;
+	};
+
+	var property = function(object, name) {
+		return lodash.isObject(object) ? object[name] : undefined;
+	};
+
+	/**
+	 * event -> function(data){} - which returns the typed fields of the event
+	 */
+	var EVENT_FIELDS = {
+		ops : function(data) {
+			var mem = property(data.proc, 'mem');
+			var load = property(data.os, 'load');
+			return {
+				heapUsed : typed(property(mem, 'heapUsed'), lodash.isNumber),
+				heapTotal : typed(property(mem, 'heapTotal'), lodash.isNumber),
+				rss : typed(property(mem, 'rss'), lodash.isNumber),
+				load : lodash.isArray(load) ? typed(load[0], lodash.isNumber) : undefined,
+				eventLoopDelay : typed(property(data.proc, 'delay'), lodash.isNumber),
+				uptime : typed(property(data.proc, 'uptime'), lodash.isNumber)
+			};
+		},
+		request : function(data) {
+			return {
+				id : typed(data.id, lodash.isString),
+				method : typed(data.method, lodash.isString),
+				path : typed(data.path, lodash.isString),
+				statusCode : typed(data.statusCode, lodash.isNumber),
+				responseTime : typed(data.responseTime, lodash.isNumber),
+				remoteAddress : typed(property(data.source, 'remoteAddress'), lodash.isString)
+			};
+		},
+		log : function(data) {
+			return {
+				tags : typed(data.tags, lodash.isArray),
+				message : data.data
+			};
+		},
+		error : function(data) {
+			return {
+				url : typed(data.url, lodash.isString),
+				method : typed(data.method, lodash.isString),
+				message : typed(data.message, lodash.isString),
+				stack : typed(data.stack, lodash.isString)
+			};
+		}
+	};
+
+	/**
+	 * 
+	 * @param message
+	 * @param line
+	 *            the line that failed to parse
+	 * @param lineNumber
+	 *            OPTIONAL
+	 * @param file
+	 *            OPTIONAL
+	 */
+	var LogParseError = function(message, line, lineNumber, file) {
+		Error.call(this);
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, LogParseError);
+		}
+		this.name = 'LogParseError';
+		this.message = message;
+		this.line = line;
+		this.lineNumber = lineNumber;
+		this.file = file;
+	};
+	util.inherits(LogParseError, Error);
+
+	/**
+	 * 
+	 * @param line
+	 *            String
+	 * @param defaults
+	 *            OPTIONAL - {event,pid,file,lineNumber} - event and pid are
+	 *            used if the line does not contain them, i.e., they are parsed
+	 *            from the log file name. file and lineNumber are used for
+	 *            errors.
+	 * @returns the parsed event, LogParseError, or null if the line is blank
+	 */
+	var parseLine = function(line, defaults) {
+		defaults = defaults || {};
+		var text = line.replace(/\r?\n$/, '');
+		if (!text.trim()) {
+			return null;
+		}
+
+		var error = function(message) {
+			return new LogParseError(message, text, defaults.lineNumber, defaults.file);
+		};
+
+		var data;
+		try {
+			data = JSON.parse(text);
+		} catch (err) {
+			return error('invalid JSON : ' + err.message);
+		}
+		if (!lodash.isPlainObject(data)) {
+			return error('expected a JSON object');
+		}
+
+		var event = data.event || defaults.event;
+		if (!lodash.isString(event)) {
+			return error('event is missing');
+		}
+		if (!lodash.isNumber(data.timestamp) && !lodash.isString(data.timestamp)) {
+			return error('timestamp is missing');
+		}
+		var timestamp = new Date(data.timestamp);
+		if (lodash.isNaN(timestamp.getTime())) {
+			return error('invalid timestamp : ' + data.timestamp);
+		}
+
+		var pid = lodash.isUndefined(data.pid) ? defaults.pid : parseInt(data.pid, 10);
+		return {
+			event : event,
+			timestamp : timestamp,
+			pid : pid,
+			data : data,
+			fields : lodash.has(EVENT_FIELDS, event) ? EVENT_FIELDS[event](data) : undefined
+		};
+	};
+
+	/**
+	 * Splits data into lines and parses each line.
+	 * 
+	 * @param onParsed
+	 *            function(eventOrError){}
+	 * @param defaults
+	 *            OPTIONAL - see parseLine()
+	 * @returns an object with write(data) and end() functions
+	 */
+	var lineParser = function(onParsed, defaults) {
+		defaults = lodash.clone(defaults || {});
+		var lineNumber = 0;
+		return fileReader.lineSplitter(function(line) {
+			lineNumber++;
+			defaults.lineNumber = lineNumber;
+			var parsed = parseLine(line.toString(), defaults);
+			if (parsed) {
+				onParsed(parsed);
+			}
+		});
+	};
+
+	module.exports = {
+		LogParseError : LogParseError,
+		parseLine : parseLine,
+		lineParser : lineParser,
+		EVENT_FIELDS : EVENT_FIELDS
+	};
+
+}());
@@ -0,0 +1,500 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * hapi plugin that exposes a LogManager over HTTP. The following routes are
+ * registered :
+ * 
+ * <code>
+ * GET	{basePath}/files					lists the log dir files with their stats - see LogManager.logDirectoryFilesWithStatsPromise()
+ * GET	{basePath}/files/{file}				downloads the file as is, i.e., compressed files are not decompressed
+ * GET	{basePath}/files/{file}/head		?lines=10 - returns the first lines as text/plain - compressed files are decompressed
+ * GET	{basePath}/files/{file}/tail		?lines=10 - returns the last lines as text/plain - compressed files are decompressed
+ * GET	{basePath}/files/{file}/follow		?lines=10&parsed=false&cursor= - follows the file as Server-Sent Events (text/event-stream)
+ * POST	{basePath}/sweep					?dryRun=true - runs a sweep and returns the sweep report - see LogManager.sweep()
+ * </code>
+ * 
+ * {file} must be the name of a file in the log dir - 400 is returned for any
+ * other path, and 404 if the file does not exist. If the LogManager is
+ * recursive, then {file} can also be a path relative to the log dir, as listed,
+ * where the '/' is URL encoded as %2F, e.g., api%2F1%2Fops.1234.log.001
+ * 
+ * The follow route shares the LogManager's follower for the file, i.e., see
+ * LogManager.tailFollow(). Each line is sent as a 'message' event - the data
+ * is the line, or the JSON parsed hapi good event if parsed=true, in which case
+ * lines that cannot be parsed are sent as a 'parseError' event. When the
+ * follower closes, a 'close' event is sent with the close code as data. When
+ * the client disconnects, its listener is removed via
+ * LogManager.stopTailFollowing(). Clients that join a file that is already
+ * being followed only receive new lines.
+ * 
+ * Each message's id is the cursor of its line. A client that reconnects with
+ * the Last-Event-ID header - which browsers send automatically - or the cursor
+ * query param resumes where it left off, across the log stream's newer log
+ * files, even if {file} has been compressed since - see LogManager.tailFollow().
+ * 400 is returned if the cursor is invalid or does not belong to {file}.
+ * 
+ * options
+ * 
+ * <code>
+ * logManager		REQUIRED - LogManager
+ * basePath			OPTIONAL - Default is '/logs'
+ * maxLines			OPTIONAL - the max value for the lines query param. Default is 10000
+ * heartbeatMillis	OPTIONAL - how often an SSE comment is sent to followers to keep the connection alive. Default is 15000
+ * auth				OPTIONAL - hapi route auth config that is applied to all routes, e.g., the name of an auth strategy
+ * authorize		OPTIONAL - function(request,action,callback){} - invoked before each route is handled
+ * 							 - action is one of the ACTIONS
+ * 							 - callback(err,authorized) - if err is set, then it is replied, else 403 is replied if not authorized
+ * </code>
+ * 
+ * Register the plugin using : server.pack.register(require('runrightfast-process-monitor-logs').hapiPlugin, options, callback)
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var path = require('path');
+	var stream = require('stream');
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var codecs = require('./codecs');
+	var goodEvents = require('./good-events');
+
+	var ACTIONS = {
+		LIST : 'list',
+		DOWNLOAD : 'download',
+		HEAD : 'head',
+		TAIL : 'tail',
+		FOLLOW : 'follow',
+		SWEEP : 'sweep'
+	};
+
+	var defaultOptions = {
+		basePath : '/logs',
+		maxLines : 10000,
+		heartbeatMillis : 15000
+	};
+
+	var validateOptions = function(options) {
+		assert(lodash.isObject(options), 'options is required and must be an Object');
+		assert(lodash.isObject(options.logManager), 'options.logManager is required');
+		assert(lodash.isString(options.basePath) && options.basePath.charAt(0) === '/', "options.basePath must be a String that starts with '/'");
+		assert(lodash.isNumber(options.maxLines) && options.maxLines > 0, 'options.maxLines must be a number > 0');
+		assert(lodash.isNumber(options.heartbeatMillis) && options.heartbeatMillis > 0, 'options.heartbeatMillis must be a number > 0');
+		if (!lodash.isUndefined(options.authorize)) {
+			assert(lodash.isFunction(options.authorize), 'options.authorize must be a function');
+		}
+	};
+
+	/**
+	 * Wraps the route handler with the authorize hook
+	 * 
+	 * @param plugin
+	 * @param options
+	 * @param action
+	 * @param handler
+	 *            function(request,reply){}
+	 */
+	var authorizedHandler = function(plugin, options, action, handler) {
+		if (!options.authorize) {
+			return handler;
+		}
+		return function(request, reply) {
+			options.authorize(request, action, function(err, authorized) {
+				if (err) {
+					reply(err);
+				} else if (!authorized) {
+					reply(plugin.hapi.error.forbidden('not authorized to ' + action));
+				} else {
+					handler(request, reply);
+				}
+			});
+		};
+	};
+
+	/**
+	 * 
+	 * @param plugin
+	 * @param options
+	 * @param request
+	 * @returns the absolute path of the {file} param, or a hapi error if the
+	 *          param is not a file in the log dir
+	 */
+	var logFilePath = function(plugin, options, request) {
+		var name = request.params.file;
+		var relativePath = options.logManager.recursive && name && path.normalize(name) === name && name.charAt(0) !== path.sep
+				&& !lodash.contains(name.split(path.sep), '..');
+		if (!name || (name !== path.basename(name) && !relativePath) || name === '.' || name === '..') {
+			return plugin.hapi.error.badRequest('invalid file : ' + name);
+		}
+		return path.join(options.logManager.logDir, name);
+	};
+
+	/**
+	 * 
+	 * @param plugin
+	 * @param options
+	 * @param request
+	 * @param callback
+	 *            function(err,file,stats) - where err is a hapi error and file
+	 *            is the absolute file path
+	 */
+	var logFile = function(plugin, options, request, callback) {
+		var name = request.params.file;
+		var file = logFilePath(plugin, options, request);
+		if (file instanceof Error) {
+			callback(file);
+			return;
+		}
+
+		fs.stat(file, function(err, stats) {
+			if (err && err.code !== 'ENOENT') {
+				log.error('failed to stat : ' + file + ' : ' + err);
+				callback(plugin.hapi.error.internal('failed to stat file : ' + name, err));
+			} else if (err || !stats.isFile() || (options.logManager.archiver && options.logManager.archiver.isBacklogFile(file))) {
+				// the archive backlog file is not a log file
+				callback(plugin.hapi.error.notFound('file not found : ' + name));
+			} else {
+				callback(null, file, stats);
+			}
+		});
+	};
+
+	/**
+	 * 
+	 * @param plugin
+	 * @param options
+	 * @param request
+	 * @returns the lines query param as a number, or a hapi error if invalid
+	 */
+	var linesParam = function(plugin, options, request) {
+		var lines = request.query.lines;
+		if (lodash.isUndefined(lines)) {
+			return 10;
+		}
+		if (!/^\d+$/.test(lines) || parseInt(lines, 10) < 1 || parseInt(lines, 10) > options.maxLines) {
+			return plugin.hapi.error.badRequest('lines must be an integer between 1 and ' + options.maxLines);
+		}
+		return parseInt(lines, 10);
+	};
+
+	var linesHandler = function(plugin, options, method) {
+		return function(request, reply) {
+			var lines = linesParam(plugin, options, request);
+			if (lines instanceof Error) {
+				reply(lines);
+				return;
+			}
+			logFile(plugin, options, request, function(err, file) {
+				if (err) {
+					reply(err);
+					return;
+				}
+				var chunks = [];
+				options.logManager[method]({
+					file : file,
+					lines : lines,
+					onDataCallback : function(data) {
+						chunks.push(data);
+					},
+					onCloseCallback : function(code) {
+						if (code === 0) {
+							reply(Buffer.concat(chunks)).type('text/plain');
+						} else {
+							reply(plugin.hapi.error.internal('failed to ' + method + ' file : ' + request.params.file));
+						}
+					},
+					onMissingCallback : function() {
+						// the file was deleted after it was checked
+						reply(plugin.hapi.error.notFound('file not found : ' + request.params.file));
+					}
+				});
+			});
+		};
+	};
+
+	/**
+	 * 
+	 * @param event
+	 *            OPTIONAL - SSE event name
+	 * @param data
+	 *            String
+	 * @param id
+	 *            OPTIONAL - SSE event id
+	 * @returns the SSE message
+	 */
+	var sseMessage = function(event, data, id) {
+		var message = id ? 'id: ' + id + '\n' : '';
+		message += event ? 'event: ' + event + '\n' : '';
+		data.split(/\r?\n/).forEach(function(line) {
+			message += 'data: ' + line + '\n';
+		});
+		return message + '\n';
+	};
+
+	var followHandler = function(plugin, options) {
+		return function(request, reply) {
+			var lines = linesParam(plugin, options, request);
+			if (lines instanceof Error) {
+				reply(lines);
+				return;
+			}
+			var parsed = request.query.parsed;
+			if (!lodash.isUndefined(parsed) && parsed !== 'true' && parsed !== 'false') {
+				reply(plugin.hapi.error.badRequest('parsed must be true or false'));
+				return;
+			}
+			parsed = parsed === 'true';
+			var cursor = request.headers['last-event-id'] || request.query.cursor;
+
+			// a resumed file may have been compressed since, so it is not required to exist
+			var resolveFile = cursor ? function(callback) {
+				var file = logFilePath(plugin, options, request);
+				callback(file instanceof Error ? file : null, file);
+			} : lodash.partial(logFile, plugin, options, request);
+
+			resolveFile(function(err, file) {
+				if (err) {
+					reply(err);
+					return;
+				}
+
+				var events = new stream.PassThrough();
+				// the file, or the id of a resumed follow - see LogManager.tailFollow()
+				var followedId = null;
+				var listenerId = null;
+				var closed = false;
+				var heartbeat = null;
+				// the registration error and the invalid cursor error must not both reply
+				var replied = false;
+
+				var replyError = function(error) {
+					if (!replied) {
+						replied = true;
+						reply(error);
+					}
+				};
+
+				var close = function() {
+					if (closed) {
+						return;
+					}
+					closed = true;
+					if (heartbeat) {
+						clearInterval(heartbeat);
+					}
+					if (listenerId) {
+						options.logManager.stopTailFollowing(followedId, listenerId);
+					}
+					events.end();
+				};
+
+				// returns a promise that resolves once the stream is drained, if the client is not keeping up
+				var send = function(event, data, id) {
+					if (closed || events.write(sseMessage(event, data, id))) {
+						return undefined;
+					}
+					return when.promise(function(resolve) {
+						events.once('drain', resolve);
+					});
+				};
+
+				var tailFollowOptions = {
+					file : file,
+					lines : lines,
+					parsed : parsed,
+					lineMode : true,
+					cursor : cursor,
+					onDataCallback : function(data, lineCursor) {
+						// the listener buffers the data until the returned promise resolves - see tail-listener.js
+						if (!parsed) {
+							return send(null, data, lineCursor);
+						}
+						if (data instanceof goodEvents.LogParseError) {
+							return send('parseError', JSON.stringify({
+								message : data.message,
+								line : data.line,
+								lineNumber : data.lineNumber
+							}), lineCursor);
+						}
+						return send(null, JSON.stringify(data.data), lineCursor);
+					},
+					onCloseCallback : function(code) {
+						send('close', String(code));
+						close();
+					},
+					onRegistrationCallback : function(err, file, id) {
+						if (err) {
+							// the file was deleted after it was checked
+							replyError(plugin.hapi.error.notFound('file not found : ' + request.params.file));
+							return;
+						}
+						if (replied) {
+							options.logManager.stopTailFollowing(file, id);
+							return;
+						}
+						replied = true;
+						followedId = file;
+						listenerId = id;
+						if (log.isDebugEnabled()) {
+							log.debug('SSE client is following : ' + file + ' -> ' + listenerId);
+						}
+						// hapi destroys the stream when the client disconnects
+						request.raw.req.once('aborted', close);
+						request.raw.req.once('close', close);
+						request.raw.res.once('close', close);
+						heartbeat = setInterval(function() {
+							if (!closed) {
+								events.write(': heartbeat\n\n');
+							}
+						}, options.heartbeatMillis);
+						reply(events).type('text/event-stream').header('cache-control', 'no-cache');
+					}
+				};
+
+				try {
+					options.logManager.tailFollow(tailFollowOptions);
+				} catch (e) {
+					// the cursor is invalid, or does not belong to the file
+					replyError(plugin.hapi.error.badRequest(e.message));
+				}
+			});
+		};
+	};
+
+	var listHandler = function(plugin, options) {
+		return function(request, reply) {
+			if (log.isDebugEnabled()) {
+				log.debug('listing the log dir : ' + request.path);
+			}
+			when(options.logManager.logDirectoryFilesWithStatsPromise(), function(files) {
+				reply(lodash.sortBy(files, 'file'));
+			}, function(err) {
+				reply(plugin.hapi.error.internal('failed to list the log dir', err));
+			});
+		};
+	};
+
+	var downloadHandler = function(plugin, options) {
+		return function(request, reply) {
+			logFile(plugin, options, request, function(err, file, stats) {
+				if (err) {
+					reply(err);
+					return;
+				}
+				var name = request.params.file;
+				var codec = codecs.forFile(file);
+				reply(fs.createReadStream(file)).bytes(stats.size).type(codec ? codec.contentType : 'text/plain').header('content-disposition',
+						'attachment; filename="' + path.basename(name) + '"');
+			});
+		};
+	};
+
+	var sweepHandler = function(plugin, options) {
+		return function(request, reply) {
+			var dryRun = request.query.dryRun;
+			if (!lodash.isUndefined(dryRun) && dryRun !== 'true' && dryRun !== 'false') {
+				reply(plugin.hapi.error.badRequest('dryRun must be true or false'));
+				return;
+			}
+			when(options.logManager.sweep({
+				dryRun : lodash.isUndefined(dryRun) ? undefined : dryRun === 'true'
+			}), function(report) {
+				reply(report);
+			});
+		};
+	};
+
+	/**
+	 * hapi plugin registration
+	 * 
+	 * @param plugin
+	 * @param options
+	 *            see above
+	 * @param next
+	 */
+	var register = function(plugin, options, next) {
+		options = lodash.assign({}, defaultOptions, options);
+		try {
+			validateOptions(options);
+		} catch (err) {
+			next(err);
+			return;
+		}
+
+		var routes = [ {
+			method : 'GET',
+			path : options.basePath + '/files',
+			action : ACTIONS.LIST,
+			handler : listHandler(plugin, options)
+		}, {
+			method : 'GET',
+			path : options.basePath + '/files/{file}',
+			action : ACTIONS.DOWNLOAD,
+			handler : downloadHandler(plugin, options)
+		}, {
+			method : 'GET',
+			path : options.basePath + '/files/{file}/head',
+			action : ACTIONS.HEAD,
+			handler : linesHandler(plugin, options, 'head')
+		}, {
+			method : 'GET',
+			path : options.basePath + '/files/{file}/tail',
+			action : ACTIONS.TAIL,
+			handler : linesHandler(plugin, options, 'tail')
+		}, {
+			method : 'GET',
+			path : options.basePath + '/files/{file}/follow',
+			action : ACTIONS.FOLLOW,
+			handler : followHandler(plugin, options)
+		}, {
+			method : 'POST',
+			path : options.basePath + '/sweep',
+			action : ACTIONS.SWEEP,
+			handler : sweepHandler(plugin, options)
+		} ];
+
+		plugin.route(routes.map(function(route) {
+			var config = {};
+			if (!lodash.isUndefined(options.auth)) {
+				config.auth = options.auth;
+			}
+			return {
+				method : route.method,
+				path : route.path,
+				handler : authorizedHandler(plugin, options, route.action, route.handler),
+				config : config
+			};
+		}));
+
+		if (log.isDebugEnabled()) {
+			log.debug('registered hapi plugin routes under : ' + options.basePath);
+		}
+		next();
+	};
+
+	module.exports.register = register;
+	module.exports.ACTIONS = ACTIONS;
+
+	// pkginfo adds the name and version, which hapi requires to register the plugin
+	require('pkginfo')(module, 'name', 'version');
+
+}());
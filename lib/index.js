@@ -15,3 +15,6 @@
  */
 
 module.exports.LogManager = require('./log-manager');
+module.exports.namingSchemes = require('./naming-schemes');
+module.exports.goodEvents = require('./good-events');
+module.exports.hapiPlugin = require('./hapi-plugin');
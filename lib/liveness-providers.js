@@ -0,0 +1,281 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Liveness providers determine which of the pids that were parsed from the log
+ * file names belong to running processes. A provider is an object with the
+ * following function :
+ * 
+ * <code>
+ * processesPromise(pids)		returns a promise that resolves to an object that maps each running pid to {startTime}
+ * 								- startTime is the Date the process was started, or undefined if the provider cannot tell
+ * </code>
+ * 
+ * The LogManager compares the process start time with the log file's birth
+ * time - if the process was started after the log file was created, then the
+ * pid was reused, and the log file is treated as inactive.
+ * 
+ * The following presets are available :
+ * 
+ * <code>
+ * ps			runs 'ps -e -o lstart' - this is the default. The ps must support lstart, e.g., procps - busybox ps does not
+ * proc			reads /proc/[pid]/stat - options : {procDir:'/proc', clockTicksPerSecond:100}
+ * signal		process.kill(pid,0) - the start time is unknown, so pid reuse is not detected
+ * pidfile		reads the pids from the *.pid files in a dir - options : {dir:'/var/run/app'} - REQUIRED
+ * 				- the start time is unknown, but pidfiles are removed when processes exit, so a reused pid has no pidfile
+ * </code>
+ * 
+ * Presets can run within container PID namespaces as long as the processes
+ * that write the logs are visible, e.g., use the pidfile preset when the log
+ * dir is shared with processes in other containers.
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var path = require('path');
+	var childProcess = require('child_process');
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+
+	/**
+	 * 
+	 * @param pids
+	 *            OPTIONAL - if specified, then only these pids are kept
+	 * @param processes
+	 *            pid -> {startTime}
+	 * @returns processes
+	 */
+	var filterPids = function(pids, processes) {
+		if (!pids) {
+			return processes;
+		}
+		return lodash.pick(processes, pids.map(String));
+	};
+
+	var readFilePromise = function(file) {
+		return when.promise(function(resolve, reject) {
+			fs.readFile(file, 'utf8', function(err, data) {
+				if (err) {
+					reject(err);
+				} else {
+					resolve(data);
+				}
+			});
+		});
+	};
+
+	var ps = function() {
+		return {
+			processesPromise : function(pids) {
+				return when.promise(function(resolve, reject) {
+					var env = lodash.assign({}, process.env, {
+						LC_ALL : 'C'
+					});
+					childProcess.exec('ps -e -o pid= -o lstart=', {
+						env : env
+					}, function(error, stdout) {
+						if (error) {
+							log.error('ps failed : ' + error);
+							reject(error);
+							return;
+						}
+						var processes = {};
+						var unparseableLine = lodash.find(stdout.split('\n'), function(line) {
+							if (!line.trim()) {
+								return false;
+							}
+							var match = /^\s*(\d+)\s+(\S+(?:\s+\S+)*)\s*$/.exec(line);
+							var startTime = match ? new Date(match[2]) : null;
+							if (!startTime || lodash.isNaN(startTime.getTime())) {
+								return true;
+							}
+							processes[match[1]] = {
+								startTime : startTime
+							};
+							return false;
+						});
+						// e.g., busybox ps does not support lstart - rather than treating every pid as dead, the output is rejected
+						if (!lodash.isUndefined(unparseableLine)) {
+							var parseError = new Error('failed to parse the ps output - the ps preset requires a ps that supports \'-o lstart\', otherwise use the proc preset : ' + unparseableLine);
+							log.error(parseError.message);
+							reject(parseError);
+							return;
+						}
+						resolve(filterPids(pids, processes));
+					});
+				});
+			}
+		};
+	};
+
+	var proc = function(options) {
+		options = lodash.assign({
+			procDir : '/proc',
+			clockTicksPerSecond : 100
+		}, options);
+
+		var bootTimePromise = function() {
+			return when(readFilePromise(path.join(options.procDir, 'stat')), function(stat) {
+				var match = /^btime\s+(\d+)$/m.exec(stat);
+				return match ? parseInt(match[1], 10) : undefined;
+			});
+		};
+
+		var processPromise = function(pid, bootTime) {
+			return when(readFilePromise(path.join(options.procDir, String(pid), 'stat')), function(stat) {
+				// the process name is in parentheses and can contain spaces, so the fields are counted from the last ')'
+				var fields = stat.substring(stat.lastIndexOf(')') + 2).split(' ');
+				if (fields[0] === 'Z' || fields[0] === 'X') {
+					return null;
+				}
+				var startTicks = parseInt(fields[19], 10);
+				return {
+					startTime : lodash.isUndefined(bootTime) || lodash.isNaN(startTicks) ? undefined : new Date((bootTime + startTicks / options.clockTicksPerSecond) * 1000)
+				};
+			}, function() {
+				return null;
+			});
+		};
+
+		var pidsPromise = function() {
+			return when.promise(function(resolve, reject) {
+				fs.readdir(options.procDir, function(err, files) {
+					if (err) {
+						reject(err);
+					} else {
+						resolve(files.filter(function(file) {
+							return (/^\d+$/).test(file);
+						}).map(function(file) {
+							return parseInt(file, 10);
+						}));
+					}
+				});
+			});
+		};
+
+		return {
+			processesPromise : function(pids) {
+				return when.all([ bootTimePromise(), pids || pidsPromise() ]).then(function(results) {
+					var bootTime = results[0];
+					var processes = {};
+					return when.map(results[1], function(pid) {
+						return when(processPromise(pid, bootTime), function(processInfo) {
+							if (processInfo) {
+								processes[pid] = processInfo;
+							}
+						});
+					}).yield(processes);
+				});
+			}
+		};
+	};
+
+	var signal = function() {
+		return {
+			processesPromise : function(pids) {
+				assert(lodash.isArray(pids), 'the signal liveness provider requires the pids');
+				var processes = {};
+				pids.forEach(function(pid) {
+					try {
+						process.kill(pid, 0);
+						processes[pid] = {};
+					} catch (err) {
+						// EPERM means that the process exists, but belongs to another user
+						if (err.code === 'EPERM') {
+							processes[pid] = {};
+						}
+					}
+				});
+				return when.resolve(processes);
+			}
+		};
+	};
+
+	var pidfile = function(options) {
+		assert(options && lodash.isString(options.dir), 'options.dir is required for the pidfile liveness provider');
+		return {
+			processesPromise : function(pids) {
+				var filesPromise = when.promise(function(resolve, reject) {
+					fs.readdir(options.dir, function(err, files) {
+						if (err) {
+							reject(err);
+						} else {
+							resolve(files.filter(function(file) {
+								return path.extname(file) === '.pid';
+							}));
+						}
+					});
+				});
+
+				var processes = {};
+				return when.map(filesPromise, function(file) {
+					return when(readFilePromise(path.join(options.dir, file)), function(data) {
+						var pid = parseInt(data.trim(), 10);
+						if (!lodash.isNaN(pid)) {
+							processes[pid] = {};
+						}
+					}, function(err) {
+						// the pidfile was removed after the dir was read
+						if (log.isDebugEnabled()) {
+							log.debug('failed to read pidfile : ' + file + ' : ' + err);
+						}
+					});
+				}).then(function() {
+					return filterPids(pids, processes);
+				});
+			}
+		};
+	};
+
+	var presets = {
+		ps : ps,
+		proc : proc,
+		signal : signal,
+		pidfile : pidfile
+	};
+
+	/**
+	 * 
+	 * @param provider
+	 *            either a preset name, an options object with the preset name
+	 *            as the type property, or a liveness provider
+	 * @returns liveness provider
+	 */
+	var resolve = function(provider) {
+		if (lodash.isString(provider)) {
+			assert(presets[provider], 'unknown liveness provider preset : ' + provider);
+			return presets[provider]();
+		}
+		assert(lodash.isObject(provider), 'liveness provider must be a preset name, options object, or liveness provider');
+		if (lodash.isFunction(provider.processesPromise)) {
+			return provider;
+		}
+		assert(presets[provider.type], 'unknown liveness provider preset : ' + provider.type);
+		return presets[provider.type](provider);
+	};
+
+	module.exports = {
+		presets : presets,
+		resolve : resolve
+	};
+
+}());
@@ -18,19 +18,48 @@
  * The LogManager performs the following
  * 
  * <code>
- * 1. watches the log dir for new files
+ * 1. watches the log dir for new files and periodically sweeps the log dir - a sweep is also run when the LogManager is started
  * 2. GZIPs any log files files that have no corresponding active process - this is dtermined by parsing the pid out of the log file name
+ *    The compression codec and level can be configured per event - gzip is the default. The gzip naming is kept for the reports and events.
  * 3. For any log files that have an active process, files with sequences older than the maxNumberActiveFiles are gzipped.
  * 4. Files older than retentionDays are deleted.
+ * 5. If an archive sink is configured, then gzipped files are uploaded to it - and files are only deleted once their upload is confirmed.
+ * 6. If recursive is enabled, then the log dir's sub directories are watched and swept as well - applying the same rules to each sub directory
  * </code>
  * 
  * It also provides the following functionality: <code>
  * 1. get a directory listing for the log dir
  * 2. perform a tail -n on a log file
  * 3. perform a head -n on a log file
- * 4. tail a log file
+ * 4. tail a log file - or a log stream, i.e., across the sequence files of an event and pid - or all pids of an event as one merged feed.
+ *    A follow can be resumed from a cursor, i.e., where it left off.
+ * 5. read a log file - gzipped log files are decompressed when read
+ * 6. search the log files
+ * 7. aggregate the 'ops' event metrics into time buckets
+ * 8. runtime statistics - as a snapshot, or in the Prometheus text format
+ * 9. the compression queue status
+ * 10. recover compressions that were interrupted, e.g., by a crash - this is also done when the LogManager is started
  * </code>
  * 
+ * The LogManager is an event emitter - listeners are notified asynchronously.
+ * The following events are emitted :
+ * 
+ * <code>
+ * fileAdded		{file} - a file was added to the log dir - only while the LogManager is started
+ * gzipStarted		{file}
+ * gzipped			{file,gzipFile,codec,originalSize,compressedSize} - sizes are in bytes, and gzipFile is the compressed file
+ * archived			{file,key} - the file was uploaded to the archive sink
+ * deleted			{file,reason} - where reason is one of LogManager.DELETE_REASONS
+ * sweepCompleted	the sweep report - see sweep()
+ * tailStarted		{file,listenerId}
+ * tailStopped		{file,listenerId}
+ * tailSwitched		{file,from,to} - a log stream's follower switched to another log file, where file is the stream id - see tailFollow()
+ * tailOverflow		{file,listenerId,overflow} - a tail listener's buffer started to overflow, where overflow is the overflow policy
+ * error			(err,{file,operation}) - errors are also recorded in the reports. Only emitted if there are 'error' listeners
+ * </code>
+ * 
+ * gzipStarted, gzipped, archived and deleted are not emitted for dry runs.
+ * 
  * options
  * 
  * <code>
@@ -39,6 +68,27 @@
  * logLevel : 'WARN',								// OPTIONAL - default is 'WARN',
  * maxNumberActiveFiles : 5,				    	// OPTIONAL - max number of active log files to keep. Default is 5.
  * retentionDays : 10,						        // OPTIONAL - number of days to retain gzipped log files. Default is 10 days
+ * sweepIntervalMillis : 3600000					// OPTIONAL - how often to sweep the log dir. 0 disables interval sweeps. Default is 1 hour
+ * sweepCron : '0 3 * * *'							// OPTIONAL - cron expression, or array of cron expressions, for when to sweep the log dir - see cron-schedule.js
+ * dryRun : false									// OPTIONAL - if true, then maintenance operations only report what they would do. Default is false
+ * namingScheme : 'good'							// OPTIONAL - naming scheme preset name ('good','dated','numbered') or naming scheme options. Default is 'good'
+ * 												//          - see naming-schemes.js
+ * livenessProvider : 'ps'							// OPTIONAL - liveness provider preset name ('ps','proc','signal','pidfile'), preset options, or liveness provider. Default is 'ps'
+ * 												//          - determines which log files belong to running processes - see liveness-providers.js
+ * archiveSink : {type:'dir',dir:'/archive'}		// OPTIONAL - archive sink preset options, or archive sink - see archive-sinks.js
+ * archiveBacklogFile : '/logs/.archive-backlog.json'	// OPTIONAL - where the archive state is persisted - see archiver.js. Default is '.archive-backlog.json' in the log dir
+ * archiveRetries : 3								// OPTIONAL - number of times a failed upload is retried. Default is 3
+ * archiveRetryDelayMillis : 1000					// OPTIONAL - delay before the first retry, which doubles after each retry. Default is 1000
+ * compression : {									// OPTIONAL - how log files are compressed - see codecs.js
+ * 		codec : 'gzip',								// OPTIONAL - 'gzip', 'deflate' or 'brotli'. Default is 'gzip'
+ * 		level : 6,									// OPTIONAL - default is the codec's default level
+ * 		events : {									// OPTIONAL - event -> {codec,level} - overrides the codec and level for the event's log files
+ * 			request : {codec:'brotli',level:9}
+ * 		}
+ * }
+ * compressionConcurrency : 2						// OPTIONAL - max number of log files that are compressed at the same time. Default is 2
+ * recursive : false								// OPTIONAL - if true, then the sub directories are watched and swept, e.g., for logs that are grouped as logDir/<service>/<instance>/
+ * 												//          - and the file listings contain the paths relative to the log dir. Default is false
  * }
  * </code>
  */
@@ -49,36 +99,51 @@
 	var assert = require('assert');
 	var extend = require('extend');
 	var fs = require('fs');
-	var childProcess = require('child_process');
-	var zlib = require('zlib');
 	var path = require('path');
+	var util = require('util');
 	var when = require('when');
 	var uuid = require('uuid');
-	var file = require('file');
 
 	var events = require('runrightfast-commons').events;
-	var eventEmitter = new events.AsyncEventEmitter();
 
 	var logging = require('runrightfast-commons').logging;
 	var pkgInfo = require('./pkgInfo');
 	var log = logging.getLogger(pkgInfo.name);
-
-	var fileWatcher = null;
-
-	// [event].[pid].log.[fileNumber]
-	// e.g., ops.25559.log.001
-	var goodLogFilePattern = /^\w+\.(?:(\d+))\.log\.(?:(\d+))$/;
-
-	var gzippedLogFilePattern = /^\w+\.(?:(\d+))\.log\.(?:(\d+))\.gz$/;
-
-	// matches text and gzipped log files
-	var allLogFilesPattern = /^\w+\.(?:(\d+))\.log\.(?:(\d+))(\.gz)?$/;
+	var namingSchemes = require('./naming-schemes');
+	var livenessProviders = require('./liveness-providers');
+	var runtimeStats = require('./stats');
+	var Archiver = require('./archiver');
+	var codecs = require('./codecs');
+	var TaskQueue = require('./task-queue');
+	var fileReader = require('./file-reader');
+	var StreamFollower = require('./stream-follower');
+	var MergedFollower = require('./merged-follower');
+	var TailListener = require('./tail-listener');
+	var cursors = require('./cursors');
+	var LogSearch = require('./log-search');
+	var opsMetrics = require('./ops-metrics');
+	var goodEvents = require('./good-events');
+	var CronSchedule = require('./cron-schedule');
+
+	// setTimeout() delays are stored as a 32-bit signed integer
+	var MAX_TIMEOUT_MILLIS = 2147483647;
 
 	/* default config */
-	var config = {
+	var defaultConfig = {
 		logLevel : 'WARN',
 		maxNumberActiveFiles : 5,
-		retentionDays : 10
+		retentionDays : 10,
+		sweepIntervalMillis : 1000 * 60 * 60,
+		dryRun : false,
+		namingScheme : 'good',
+		livenessProvider : 'ps',
+		archiveRetries : 3,
+		archiveRetryDelayMillis : 1000,
+		compression : {
+			codec : 'gzip'
+		},
+		compressionConcurrency : 2,
+		recursive : false
 	};
 
 	var validateConfig = function(config) {
@@ -86,75 +151,1168 @@
 		assert(lodash.isString(config.logDir), 'options.logDir is required and must be a String');
 		assert(lodash.isNumber(config.retentionDays) && config.retentionDays > 0, 'options.retentionDays is required and must be > 0');
 		assert(lodash.isNumber(config.maxNumberActiveFiles) && config.maxNumberActiveFiles > 0, 'options.maxNumberActiveFiles is required and must be > 0');
+		assert(lodash.isBoolean(config.dryRun), 'options.dryRun must be a Boolean');
+		assert(lodash.isBoolean(config.recursive), 'options.recursive must be a Boolean');
+		assert(lodash.isNumber(config.sweepIntervalMillis) && config.sweepIntervalMillis >= 0, 'options.sweepIntervalMillis must be >= 0');
+		if (!lodash.isUndefined(config.sweepCron)) {
+			assert(lodash.isString(config.sweepCron) || lodash.isArray(config.sweepCron), 'options.sweepCron must be a String or an Array of Strings');
+		}
+		assert(lodash.isObject(config.compression), 'options.compression must be an Object');
+		assert(lodash.isNumber(config.compressionConcurrency) && config.compressionConcurrency > 0, 'options.compressionConcurrency must be > 0');
+		if (!lodash.isUndefined(config.compression.events)) {
+			assert(lodash.isObject(config.compression.events), 'options.compression.events must be an Object');
+		}
+	};
+
+	/**
+	 * 
+	 * @param compression
+	 *            the compression config
+	 * @returns {codec,level,events} - where events maps the event to
+	 *          {codec,level}. The codecs are resolved, and an error is thrown
+	 *          if a codec or level is invalid.
+	 */
+	var resolveCompression = function(compression) {
+		var resolved = {
+			codec : codecs.resolve(compression.codec, compression.level),
+			level : compression.level,
+			events : {}
+		};
+		lodash.forOwn(compression.events || {}, function(eventCompression, event) {
+			var codecName = eventCompression.codec || compression.codec;
+			// the default level only applies to the default codec
+			var level = lodash.isUndefined(eventCompression.level) && codecName === compression.codec ? compression.level : eventCompression.level;
+			resolved.events[event] = {
+				codec : codecs.resolve(codecName, level),
+				level : level
+			};
+		});
+		return resolved;
+	};
+
+	var birthtime = fileReader.birthtime;
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param logFiles
+	 *            parsed log files - the birthtime property is set on the log
+	 *            files whose process start time is known
+	 * @returns a promise that resolves to the running processes for the log
+	 *          files' pids : pid -> {startTime} - see liveness-providers.js
+	 */
+	var processesPromise = function(logManager, logFiles) {
+		var pids = lodash.uniq(logFiles.filter(function(logFile) {
+			return lodash.isNumber(logFile.pid);
+		}).map(function(logFile) {
+			return logFile.pid;
+		}));
+
+		return when(logManager.livenessProvider.processesPromise(pids), function(processes) {
+			if (log.isDebugEnabled()) {
+				log.debug('running processes : ' + JSON.stringify(processes));
+			}
+			var logFilesWithStartTime = logFiles.filter(function(logFile) {
+				return processes[logFile.pid] && processes[logFile.pid].startTime;
+			});
+			return when.map(logFilesWithStartTime, function(logFile) {
+				return when.promise(function(resolve) {
+					fs.stat(logFile.file, function(err, stats) {
+						if (!err) {
+							logFile.birthtime = birthtime(stats);
+						}
+						resolve();
+					});
+				});
+			}).yield(processes);
+		});
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param fileName
+	 *            the file path relative to the log dir
+	 * @returns the parsed log file, i.e., the naming scheme match result with
+	 *          the absolute file path added as the 'file' property - or null if
+	 *          the file is not a log file
+	 */
+	var parseLogFile = function(logManager, fileName) {
+		var logFile = logManager.namingScheme.parse(path.basename(fileName));
+		if (logFile) {
+			logFile.file = path.join(logManager.logDir, fileName);
+		}
+		return logFile;
+	};
+
+	/**
+	 * Process start times have a resolution of up to a second
+	 */
+	var PID_REUSE_TOLERANCE_MILLIS = 1000;
+
+	/**
+	 * 
+	 * @param processes
+	 *            pid -> {startTime} - see processesPromise()
+	 * @param logFile
+	 *            parsed log file
+	 * @returns true if the log file's process is not running, or if the
+	 *          process was started after the log file was created, i.e., the pid
+	 *          was reused. Log files for naming schemes without a pid are never
+	 *          considered to be inactive.
+	 */
+	var isInactiveLogFile = function(processes, logFile) {
+		if (!lodash.isNumber(logFile.pid)) {
+			return false;
+		}
+		var processInfo = processes[logFile.pid];
+		if (!processInfo) {
+			return true;
+		}
+		return !!(processInfo.startTime && logFile.birthtime && processInfo.startTime.getTime() > logFile.birthtime.getTime() + PID_REUSE_TOLERANCE_MILLIS);
+	};
+
+	/**
+	 * The reasons why a sweep skipped a file
+	 */
+	var SKIP_REASONS = {
+		ACTIVE_PID : 'active pid',
+		ACTIVE_FILE : 'active file',
+		WITHIN_RETENTION : 'within retention',
+		FILE_NOT_FOUND : 'file does not exist',
+		NOT_ARCHIVED : 'not archived',
+		COMPRESSION_IN_PROGRESS : 'compression in progress'
+	};
+
+	/**
+	 * The reasons why a file was deleted
+	 */
+	var DELETE_REASONS = {
+		RETENTION : 'retention',
+		INACTIVE : 'inactive',
+		CLEAN : 'clean'
+	};
+
+	/**
+	 * Records the error in the report, and emits it as an 'error' event -
+	 * unless there are no 'error' listeners, which would crash the process.
+	 * 
+	 * @param logManager
+	 * @param report
+	 * @param error
+	 *            {file,operation,error}
+	 */
+	var reportError = function(logManager, report, error) {
+		report.errors.push(error);
+		logManager.stats.error(error.operation);
+		if (logManager.listeners('error').length > 0) {
+			logManager.emit('error', error.error, {
+				file : error.file,
+				operation : error.operation
+			});
+		}
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param report
+	 *            OPTIONAL - if not specified, then a new report is created.
+	 *            If report.dryRun is not specified, then it defaults to the
+	 *            LogManager's dryRun setting.
+	 * @returns the report
+	 */
+	var initReport = function(logManager, report) {
+		report = report || {};
+		if (lodash.isUndefined(report.dryRun)) {
+			report.dryRun = logManager.dryRun;
+		}
+		[ 'gzipped', 'archived', 'deleted', 'skipped', 'errors' ].forEach(function(key) {
+			report[key] = report[key] || [];
+		});
+		return report;
+	};
+
+	/**
+	 * Lists the files in the log dir, recursing into sub directories
+	 * 
+	 * @param dir
+	 * @returns a promise that resolves to an array of absolute file paths
+	 */
+	var walkFilesPromise = function walkFilesPromise(dir) {
+		return when.promise(function(resolve, reject) {
+			fs.readdir(dir, function(err, names) {
+				if (err) {
+					reject(err);
+					return;
+				}
+				var promises = names.map(function(name) {
+					var filePath = path.join(dir, name);
+					return when.promise(function(resolve) {
+						fs.lstat(filePath, function(err, stats) {
+							if (err) {
+								// the file was deleted while walking the dir
+								resolve(err.code === 'ENOENT' ? [] : [ filePath ]);
+							} else if (stats.isDirectory()) {
+								resolve(when(walkFilesPromise(filePath), null, function(err) {
+									// the sub dir was deleted while walking the dir
+									if (err.code === 'ENOENT') {
+										return [];
+									}
+									throw err;
+								}));
+							} else {
+								resolve([ filePath ]);
+							}
+						});
+					});
+				});
+				resolve(when.reduce(promises, function(filePaths, dirFilePaths) {
+					return filePaths.concat(dirFilePaths);
+				}, []));
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param file
+	 *            absolute file path
+	 * @returns true if the file is the archive backlog file, or its temp file -
+	 *          it lives in the log dir by default, but is not a log file
+	 */
+	var isArchiveBacklogFile = function(logManager, file) {
+		return !!logManager.archiver && logManager.archiver.isBacklogFile(file);
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param filePath
+	 * @param caller
+	 *            used for logging
+	 * @param reason
+	 *            one of DELETE_REASONS
+	 * @param report
+	 * @returns a promise that resolves when the file is deleted, or it failed
+	 *          to be deleted. Failures are recorded in the report, unless the
+	 *          file no longer exists.
+	 */
+	var deleteFile = function(logManager, filePath, caller, reason, report) {
+		return when.promise(function(resolve) {
+			if (report.dryRun) {
+				if (log.isInfoEnabled()) {
+					log.info(caller + '() : dry run : would delete : ' + filePath);
+				}
+				report.deleted.push(filePath);
+				resolve();
+				return;
+			}
+			fs.unlink(filePath, function(err) {
+				if (err) {
+					fs.exists(filePath, function(exists) {
+						if (exists) {
+							log.error(caller + '() : failed to delete : ' + filePath + ' : ' + err);
+							reportError(logManager, report, {
+								file : filePath,
+								operation : 'delete',
+								error : err
+							});
+						}
+						resolve();
+					});
+				} else {
+					if (log.isInfoEnabled()) {
+						log.info(caller + '() : deleted : ' + filePath);
+					}
+					report.deleted.push(filePath);
+					logManager.stats.deleted(reason);
+					logManager.emit('deleted', {
+						file : filePath,
+						reason : reason
+					});
+					resolve();
+				}
+			});
+		});
+	};
+
+	/**
+	 * Uploads the file to the archive sink - see archiver.js
+	 * 
+	 * @param logManager
+	 * @param filePath
+	 * @param report
+	 * @returns a promise that resolves to true if the file was archived.
+	 *          Failures are recorded in the report, unless the file no longer
+	 *          exists.
+	 */
+	var archiveFile = function(logManager, filePath, report) {
+		return when(logManager.archiver.archive(filePath), function(key) {
+			if (log.isInfoEnabled()) {
+				log.info('archived : ' + filePath + ' -> ' + key);
+			}
+			report.archived.push(filePath);
+			logManager.stats.archived();
+			logManager.emit('archived', {
+				file : filePath,
+				key : key
+			});
+			return true;
+		}, function(err) {
+			if (!err || err.code !== 'ENOENT') {
+				log.error('failed to archive : ' + filePath + ' : ' + err);
+				reportError(logManager, report, {
+					file : filePath,
+					operation : 'archive',
+					error : err
+				});
+			}
+			return false;
+		});
+	};
+
+	/**
+	 * Retries the uploads that are pending in the archive backlog
+	 * 
+	 * @param logManager
+	 * @param report
+	 * @returns a promise that resolves when all pending uploads were attempted
+	 */
+	var archiveBacklog = function(logManager, report) {
+		if (!logManager.archiver || report.dryRun) {
+			return when.resolve();
+		}
+		return when.map(logManager.archiver.pendingFiles(), function(filePath) {
+			return archiveFile(logManager, filePath, report);
+		}).otherwise(function(err) {
+			log.error('failed to read the archive backlog : ' + err);
+			reportError(logManager, report, {
+				operation : 'archive',
+				error : err
+			});
+		});
+	};
+
+	/**
+	 * Deletes a file whose retention period expired. If an archive sink is
+	 * configured, then the file is only deleted once it is archived.
+	 * 
+	 * @param logManager
+	 * @param filePath
+	 * @param report
+	 * @returns a promise that resolves when the file is deleted, or skipped
+	 */
+	var deleteExpiredFile = function(logManager, filePath, report) {
+		var archiver = logManager.archiver;
+		if (!archiver || report.dryRun) {
+			return deleteFile(logManager, filePath, 'deleteOldLogFiles', DELETE_REASONS.RETENTION, report);
+		}
+		return when(archiver.isArchived(filePath), function(archived) {
+			return archived || archiveFile(logManager, filePath, report);
+		}).then(function(archived) {
+			if (!archived) {
+				report.skipped.push({
+					file : filePath,
+					reason : SKIP_REASONS.NOT_ARCHIVED
+				});
+				return;
+			}
+			return when(deleteFile(logManager, filePath, 'deleteOldLogFiles', DELETE_REASONS.RETENTION, report), function() {
+				if (lodash.contains(report.deleted, filePath)) {
+					return archiver.forget(filePath);
+				}
+			});
+		}).otherwise(function(err) {
+			reportError(logManager, report, {
+				file : filePath,
+				operation : 'archive',
+				error : err
+			});
+		});
 	};
 
-	var getPidsPromise = function() {
+	/**
+	 * Compressed files are written to a temp file, which is renamed once it is
+	 * verified - see compressFile()
+	 */
+	var COMPRESSION_TEMP_FILE_EXTENSION = '.tmp';
+
+	/**
+	 * Flushes the file to disk
+	 * 
+	 * @param filePath
+	 *            file or dir
+	 * @returns a promise that resolves once the file is flushed
+	 */
+	var fsyncPromise = function(filePath) {
 		return when.promise(function(resolve, reject) {
-			childProcess.exec("ps | awk '{print $1;}'", function(error, stdout, stderr) {
-				if (error) {
-					log.error('exec error: ' + error);
-					reject(error);
+			fs.open(filePath, 'r', function(err, fd) {
+				if (err) {
+					reject(err);
+					return;
+				}
+				fs.fsync(fd, function(err) {
+					fs.close(fd, function() {
+						if (err) {
+							reject(err);
+						} else {
+							resolve();
+						}
+					});
+				});
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @param filePath
+	 * @param codec
+	 * @returns a promise that resolves to the number of bytes the file
+	 *          decompresses to - it is rejected if the file is not valid
+	 */
+	var decompressedSizePromise = function(filePath, codec) {
+		return when.promise(function(resolve, reject) {
+			var decompressor = codec.createDecompressor();
+			var inp = fs.createReadStream(filePath);
+			var size = 0;
+			inp.on('error', reject);
+			decompressor.on('error', reject);
+			decompressor.on('data', function(data) {
+				size += data.length;
+			});
+			decompressor.on('end', function() {
+				resolve(size);
+			});
+			inp.pipe(decompressor);
+		});
+	};
+
+	var renamePromise = function(from, to) {
+		return when.promise(function(resolve, reject) {
+			fs.rename(from, to, function(err) {
+				if (err) {
+					reject(err);
 				} else {
-					var pids = stdout.split('\n');
-					pids.shift();
-					pids = pids.map(function(pid) {
-						return parseInt(pid, 10);
+					resolve();
+				}
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @param logFile
+	 * @param tempFile
+	 * @param compression
+	 *            {codec,level}
+	 * @returns a promise that resolves to {originalSize,compressedSize} once
+	 *          the temp file is written and flushed to disk
+	 */
+	var writeCompressedFilePromise = function(logFile, tempFile, compression) {
+		return when.promise(function(resolve, reject) {
+			var compressor = compression.codec.createCompressor(compression.level);
+			var inp = fs.createReadStream(logFile);
+			var out = fs.createWriteStream(tempFile);
+			var originalSize = 0;
+			inp.on('error', reject);
+			compressor.on('error', reject);
+			out.on('error', reject);
+			inp.on('data', function(data) {
+				originalSize += data.length;
+			});
+			out.on('finish', function() {
+				resolve(when(fsyncPromise(tempFile), function() {
+					return {
+						originalSize : originalSize,
+						compressedSize : out.bytesWritten
+					};
+				}));
+			});
+			inp.pipe(compressor).pipe(out);
+		});
+	};
+
+	/**
+	 * Compresses the log file using the codec that is configured for its
+	 * event, and then deletes the log file - see LogManager.gzip()
+	 * 
+	 * The log file is compressed into a temp file, which is flushed to disk and
+	 * verified, i.e., it must decompress to the log file's size. Only then is it
+	 * renamed to the compressed file name, and the log file deleted. If any step
+	 * fails, then the temp file is deleted and the log file is kept.
+	 * 
+	 * @param logManager
+	 * @param logFile
+	 *            absolute file path
+	 * @param report
+	 * @returns a promise that resolves to the compressed file, or to undefined
+	 *          if the log file failed to be compressed. Failures are recorded in
+	 *          the report.
+	 */
+	var compressFile = function(logManager, logFile, report) {
+		var parsedLogFile = logManager.namingScheme.parse(path.basename(logFile));
+		var compression = (parsedLogFile && logManager.compression.events[parsedLogFile.event]) || logManager.compression;
+		var gzipFile = logFile + compression.codec.extension;
+		var tempFile = gzipFile + COMPRESSION_TEMP_FILE_EXTENSION;
+		var operation = 'gzip';
+
+		var existsPromise = when.promise(function(resolve) {
+			// the file may have been deleted while it was queued
+			fs.exists(logFile, resolve);
+		});
+
+		return when(existsPromise, function(exists) {
+			if (!exists) {
+				report.skipped.push({
+					file : logFile,
+					reason : SKIP_REASONS.FILE_NOT_FOUND
+				});
+				return;
+			}
+
+			logManager.emit('gzipStarted', {
+				file : logFile
+			});
+			var sizesPromise = when(writeCompressedFilePromise(logFile, tempFile, compression), function(sizes) {
+				operation = 'verify';
+				var logFileSizePromise = when.promise(function(resolve, reject) {
+					fs.stat(logFile, function(err, stats) {
+						if (err) {
+							reject(err);
+						} else {
+							resolve(stats.size);
+						}
 					});
-					pids = pids.filter(function(pid) {
-						return !lodash.isNaN(pid);
+				});
+				return when.all([ decompressedSizePromise(tempFile, compression.codec), logFileSizePromise ]).then(function(verifiedSizes) {
+					if (verifiedSizes[0] !== sizes.originalSize || verifiedSizes[1] !== sizes.originalSize) {
+						throw new Error('compressed file verification failed : ' + tempFile + ' : bytes read = ' + sizes.originalSize + ' : decompressed bytes = '
+								+ verifiedSizes[0] + ' : log file size = ' + verifiedSizes[1]);
+					}
+					operation = 'rename';
+					return renamePromise(tempFile, gzipFile);
+				}).then(function() {
+					// makes the rename durable - not supported on all platforms
+					return fsyncPromise(path.dirname(gzipFile)).otherwise(function(err) {
+						if (log.isDebugEnabled()) {
+							log.debug('failed to fsync dir : ' + path.dirname(gzipFile) + ' : ' + err);
+						}
+					});
+				}).yield(sizes);
+			});
+
+			return when(sizesPromise, function(sizes) {
+				return when.promise(function(resolve) {
+					fs.unlink(logFile, function(err) {
+						if (err) {
+							fs.exists(logFile, function(exists) {
+								if (exists) {
+									log.error('failed to delete : ' + logFile + ' : ' + err);
+									reportError(logManager, report, {
+										file : logFile,
+										operation : 'delete',
+										error : err
+									});
+								}
+								resolve();
+							});
+							return;
+						}
+						if (log.isDebugEnabled()) {
+							log.debug('deleted : ' + logFile);
+						}
+						report.gzipped.push(logFile);
+						logManager.stats.gzipped(sizes.originalSize, sizes.compressedSize);
+						logManager.emit('gzipped', {
+							file : logFile,
+							gzipFile : gzipFile,
+							codec : compression.codec.name,
+							originalSize : sizes.originalSize,
+							compressedSize : sizes.compressedSize
+						});
+						resolve(gzipFile);
 					});
+				});
+			}, function(err) {
+				log.error('gzip(' + logFile + ') failed : ' + operation + ' : ' + err);
+				reportError(logManager, report, {
+					file : logFile,
+					operation : operation,
+					error : err
+				});
+				fs.unlink(tempFile, function(err) {
+					// the temp file may not have been created
+					if (err && err.code !== 'ENOENT') {
+						log.error('failed to delete the compression temp file : ' + tempFile + ' : ' + err);
+					}
+				});
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param report
+	 *            failures are recorded in the report
+	 * @returns a promise that resolves to {processes,logFiles} - where
+	 *          logFiles are the parsed log files in the log dir
+	 */
+	var scanLogDirPromise = function(logManager, report) {
+		var logFilesPromise = when(logManager.logDirectoryFilesPromise(), function(files) {
+			var logFiles = [];
+			files.forEach(function(file) {
+				var matchResult = parseLogFile(logManager, file);
+				if (matchResult) {
 					if (log.isDebugEnabled()) {
-						log.debug('stdout: ' + pids + (stderr ? ('\nstderr: ' + stderr) : ''));
+						log.debug(file + ' : matchResult : ' + JSON.stringify(matchResult));
+					}
+					logFiles.push(matchResult);
+				} else {
+					if (log.isDebugEnabled()) {
+						log.debug('no match for : ' + file);
+					}
+				}
+			});
+			return logFiles;
+		}, function(err) {
+			reportError(logManager, report, {
+				operation : 'readdir',
+				error : err
+			});
+			throw err;
+		});
+
+		return when(logFilesPromise, function(logFiles) {
+			return when(processesPromise(logManager, logFiles), function(processes) {
+				return {
+					processes : processes,
+					logFiles : logFiles
+				};
+			}, function(err) {
+				reportError(logManager, report, {
+					operation : 'pids',
+					error : err
+				});
+				throw err;
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param options
+	 *            head, tail, read or tailFollow options
+	 * @returns the options as is, unless options.parsed is true - in which case
+	 *          a copy is returned whose onDataCallback is invoked with a parsed
+	 *          event or LogParseError per line - see good-events.js
+	 */
+	var parsedOptions = function(logManager, options) {
+		if (!options.parsed) {
+			return options;
+		}
+		var logFile = logManager.namingScheme.parse(path.basename(options.file)) || {};
+		var parser = goodEvents.lineParser(options.onDataCallback, {
+			event : logFile.event,
+			pid : logFile.pid,
+			file : options.file
+		});
+		var onCloseCallback = options.onCloseCallback;
+		return lodash.assign({}, options, {
+			onDataCallback : parser.write,
+			onCloseCallback : function(code) {
+				parser.end();
+				if (onCloseCallback) {
+					onCloseCallback(code);
+				}
+			}
+		});
+	};
+
+	/**
+	 * The tailFollow() counterpart of parsedOptions() - the lines are parsed in
+	 * line mode, so that a promise that is returned by the onDataCallback is
+	 * passed on - see tail-listener.js
+	 * 
+	 * @param logManager
+	 * @param options
+	 *            tailFollow options
+	 * @returns the options as is, unless options.parsed is true
+	 */
+	var parsedTailFollowOptions = function(logManager, options) {
+		if (!options.parsed) {
+			return options;
+		}
+		if (options.merged) {
+			// merged feeds deliver tagged lines - see merged-follower.js
+			return lodash.assign({}, options, {
+				onDataCallback : function(taggedLine) {
+					return options.onDataCallback(lodash.assign({
+						parsed : goodEvents.parseLine(taggedLine.line, {
+							event : options.event,
+							pid : taggedLine.pid,
+							file : taggedLine.file
+						})
+					}, taggedLine));
+				}
+			});
+		}
+
+		var defaults;
+		var parseFile = function(file) {
+			var logFile = file ? logManager.namingScheme.parse(path.basename(file)) || {} : {};
+			defaults = {
+				event : logFile.event,
+				pid : logFile.pid,
+				file : file,
+				lineNumber : 0
+			};
+		};
+		parseFile(options.file);
+		return lodash.assign({}, options, {
+			lineMode : true,
+			onDataCallback : function(line, cursor) {
+				defaults.lineNumber++;
+				var parsed = goodEvents.parseLine(line, defaults);
+				return parsed ? options.onDataCallback(parsed, cursor) : undefined;
+			},
+			onSwitchCallback : function(from, to) {
+				// the line numbers are per log file
+				parseFile(to);
+				return options.onSwitchCallback ? options.onSwitchCallback(from, to) : undefined;
+			}
+		});
+	};
+
+	/**
+	 * 
+	 * @param options
+	 *            tailFollow() options
+	 * @returns the id of the log stream to follow : 'stream:' +
+	 *          [dir/]event.pid - or [dir/]event.* if no pid is specified. For
+	 *          merged feeds, the id is 'merged:' + [dir/]event
+	 */
+	var streamId = function(options) {
+		if (options.merged) {
+			return 'merged:' + path.join(options.dir || '', options.event);
+		}
+		return 'stream:' + path.join(options.dir || '', options.event + '.' + (lodash.isUndefined(options.pid) ? '*' : options.pid));
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param file
+	 *            the absolute path of the file that the data was read from
+	 * @param offset
+	 *            the byte offset of the data
+	 * @returns {file,offset} - where file is relative to the log dir, without
+	 *          its codec extension - or undefined if the data has no cursor,
+	 *          e.g., because the file is not in the log dir
+	 */
+	var cursorPosition = function(logManager, file, offset) {
+		if (!lodash.isNumber(offset)) {
+			return undefined;
+		}
+		var relativeFile = path.relative(logManager.logDir, file);
+		if (!relativeFile || relativeFile.split(path.sep)[0] === '..') {
+			return undefined;
+		}
+		return {
+			file : codecs.uncompressedFile(relativeFile),
+			offset : offset
+		};
+	};
+
+	/**
+	 * Resolves what to follow from the cursor - the log stream of the cursor's
+	 * log file, i.e., its event and pid, or the file itself if its name does
+	 * not match the naming scheme. If options.file or options.event is
+	 * specified, then the cursor must belong to it.
+	 * 
+	 * @param logManager
+	 * @param options
+	 *            tailFollow() options
+	 * @returns a copy of the options, where file, or event, pid and dir are
+	 *          set, along with offset and resumeFile
+	 */
+	var resumeOptions = function(logManager, options) {
+		var cursor = cursors.decode(options.cursor);
+		assert(cursor, 'options.cursor is invalid');
+		assert(!options.merged, 'merged feeds cannot be resumed from a cursor');
+		var file = path.join(logManager.logDir, cursor.file);
+		var logFile = logManager.namingScheme.parse(path.basename(cursor.file));
+		var dir = path.dirname(cursor.file);
+		dir = dir === '.' ? '' : dir;
+
+		if (options.file) {
+			var followedFile = codecs.uncompressedFile(path.relative(logManager.logDir, options.file));
+			var followedLogFile = logManager.namingScheme.parse(path.basename(followedFile));
+			// the cursor can be in a newer log file of the followed file's log stream
+			var sameLogStream = !!logFile && !!followedLogFile && followedLogFile.event === logFile.event && followedLogFile.pid === logFile.pid
+					&& path.dirname(followedFile) === path.dirname(cursor.file);
+			assert(followedFile === cursor.file || sameLogStream, 'options.cursor does not belong to options.file');
+		} else if (!lodash.isUndefined(options.event)) {
+			var sameDir = path.join(logManager.logDir, options.dir || '') === path.join(logManager.logDir, dir);
+			assert(logFile && options.event === logFile.event && (lodash.isUndefined(options.pid) || options.pid === logFile.pid) && sameDir,
+					'options.cursor does not belong to the log stream');
+		}
+
+		if (!logFile) {
+			return lodash.assign(lodash.omit(options, 'event', 'pid', 'dir'), {
+				file : file,
+				offset : cursor.offset
+			});
+		}
+		return lodash.assign(lodash.omit(options, 'file'), {
+			event : logFile.event,
+			pid : logFile.pid,
+			dir : dir,
+			resumeFile : file,
+			offset : cursor.offset
+		});
+	};
+
+	/**
+	 * 
+	 * @param tailProcess
+	 *            see LogManager.tailProcesses
+	 * @param listenerId
+	 *            the listener that no longer pauses the follower - the follower
+	 *            is resumed once no listener pauses it
+	 */
+	var resumeTailFollower = function(tailProcess, listenerId) {
+		if (lodash.contains(tailProcess.pausedListenerIds, listenerId)) {
+			tailProcess.pausedListenerIds = lodash.without(tailProcess.pausedListenerIds, listenerId);
+			if (tailProcess.pausedListenerIds.length === 0) {
+				tailProcess.follower.resume();
+			}
+		}
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param file
+	 *            the followed file, or the stream id
+	 * @param listenerId
+	 * @param options
+	 *            tailFollow() options
+	 * @returns TailListener - see tail-listener.js
+	 */
+	var createTailListener = function(logManager, file, listenerId, options) {
+		var onCloseCallback = options.onCloseCallback;
+		return new TailListener({
+			onDataCallback : options.onDataCallback,
+			onSwitchCallback : options.onSwitchCallback,
+			onCloseCallback : onCloseCallback,
+			lineMode : options.lineMode,
+			encoding : options.encoding,
+			bufferLimit : options.bufferLimit,
+			overflow : options.overflow,
+			onOverflowCallback : function() {
+				logManager.emit('tailOverflow', {
+					file : file,
+					listenerId : listenerId,
+					overflow : options.overflow || TailListener.OVERFLOW_POLICIES.DROP_OLDEST
+				});
+			},
+			onPauseCallback : function() {
+				var tailProcess = logManager.tailProcesses[file];
+				if (tailProcess) {
+					if (tailProcess.pausedListenerIds.length === 0) {
+						tailProcess.follower.pause();
 					}
+					tailProcess.pausedListenerIds.push(listenerId);
+				}
+			},
+			onResumeCallback : function() {
+				var tailProcess = logManager.tailProcesses[file];
+				if (tailProcess) {
+					resumeTailFollower(tailProcess, listenerId);
+				}
+			},
+			onDisconnectCallback : function(err) {
+				log.warn('disconnecting tail listener : ' + file + ' -> ' + listenerId + ' : ' + err);
+				logManager.stopTailFollowing(file, listenerId);
+				if (onCloseCallback) {
+					onCloseCallback(1, err);
+				}
+			}
+		});
+	};
 
-					resolve(pids);
+	/**
+	 * Runs a sweep, unless the previous scheduled sweep is still running
+	 * 
+	 * @param logManager
+	 * @param afterPromise
+	 *            OPTIONAL - the sweep runs once the promise resolves
+	 */
+	var scheduledSweep = function(logManager, afterPromise) {
+		if (logManager.scheduledSweepPromise) {
+			if (log.isDebugEnabled()) {
+				log.debug('skipping scheduled sweep because the previous sweep is still running : ' + logManager.logDir);
+			}
+			return;
+		}
+		logManager.scheduledSweepPromise = afterPromise ? when(afterPromise, function() {
+			return logManager.sweep();
+		}) : logManager.sweep();
+		when(logManager.scheduledSweepPromise, function() {
+			logManager.scheduledSweepPromise = null;
+		});
+	};
+
+	/**
+	 * Runs a sweep for a watch event. While a sweep is running, the events are
+	 * coalesced into a single sweep that runs once it is done, so that bursts of
+	 * events do not each trigger a sweep.
+	 * 
+	 * @param logManager
+	 * @returns a promise that resolves to the report of the sweep that covers
+	 *          the event
+	 */
+	var watchSweep = function(logManager) {
+		if (logManager.queuedWatchSweepPromise) {
+			if (log.isDebugEnabled()) {
+				log.debug('coalescing watch event into the queued sweep : ' + logManager.logDir);
+			}
+			return logManager.queuedWatchSweepPromise;
+		}
+		if (logManager.watchSweepPromise) {
+			logManager.queuedWatchSweepPromise = when(logManager.watchSweepPromise, function() {
+				logManager.queuedWatchSweepPromise = null;
+				return watchSweep(logManager);
+			});
+			return logManager.queuedWatchSweepPromise;
+		}
+		logManager.watchSweepPromise = logManager.sweep();
+		when(logManager.watchSweepPromise, function() {
+			logManager.watchSweepPromise = null;
+		});
+		return logManager.watchSweepPromise;
+	};
+
+	/**
+	 * Schedules the next sweep for the cron schedule. Once the sweep runs, the
+	 * following one is scheduled.
+	 * 
+	 * @param logManager
+	 * @param schedule
+	 *            CronSchedule
+	 * @param timerKey
+	 *            used to track the timer in logManager.sweepTimers
+	 */
+	var scheduleCronSweep = function scheduleCronSweep(logManager, schedule, timerKey) {
+		var next = schedule.next();
+		if (!next) {
+			log.warn('cron schedule will never fire : ' + schedule.expression);
+			return;
+		}
+
+		var wait = function() {
+			if (!logManager.started()) {
+				return;
+			}
+			var delay = next.getTime() - Date.now();
+			if (delay > 0) {
+				logManager.sweepTimers[timerKey] = setTimeout(wait, Math.min(delay, MAX_TIMEOUT_MILLIS));
+			} else {
+				scheduledSweep(logManager);
+				scheduleCronSweep(logManager, schedule, timerKey);
+			}
+		};
+		wait();
+	};
+
+	var scheduleSweeps = function(logManager) {
+		if (logManager.sweepIntervalMillis > 0) {
+			logManager.sweepTimers.interval = setInterval(function() {
+				scheduledSweep(logManager);
+			}, Math.min(logManager.sweepIntervalMillis, MAX_TIMEOUT_MILLIS));
+		}
+		logManager.sweepSchedules.forEach(function(schedule, i) {
+			scheduleCronSweep(logManager, schedule, 'cron.' + i);
+		});
+	};
+
+	/**
+	 * Stops watching the sub directory and its sub directories
+	 * 
+	 * @param logManager
+	 * @param relativeDir
+	 *            dir path relative to the log dir - '' stops watching all sub
+	 *            directories
+	 */
+	var unwatchDirTree = function(logManager, relativeDir) {
+		lodash.keys(logManager.dirWatchers).forEach(function(watchedDir) {
+			if (!relativeDir || watchedDir === relativeDir || watchedDir.indexOf(relativeDir + path.sep) === 0) {
+				logManager.dirWatchers[watchedDir].close();
+				delete logManager.dirWatchers[watchedDir];
+				log.info('Stopped watching : ' + path.join(logManager.logDir, watchedDir));
+			}
+		});
+	};
+
+	/**
+	 * Watches the dir for changes - the file names that are passed to
+	 * handleLogDirEvent() are relative to the log dir
+	 * 
+	 * @param logManager
+	 * @param dir
+	 *            absolute dir path - the log dir, or one of its sub directories
+	 * @returns fs.FSWatcher
+	 */
+	var watchDir = function(logManager, dir) {
+		var relativeDir = path.relative(logManager.logDir, dir);
+		return fs.watch(dir, function(event, filename) {
+			if (filename) {
+				filename = path.join(relativeDir, String(filename));
+			}
+			if (log.isDebugEnabled()) {
+				log.debug(event + ' : ' + filename);
+			}
+			logManager.watchEventCount++;
+			if (filename && isArchiveBacklogFile(logManager, path.join(logManager.logDir, filename))) {
+				// saving the archive backlog must not trigger sweeps, which would save the archive backlog
+				return;
+			}
+			if (logManager.lastEventFilename !== filename) {
+				logManager.lastEventFilename = filename;
+				logManager.handleLogDirEvent(event, filename);
+			} else {
+				if (log.isDebugEnabled()) {
+					log.debug('skipping event because received consecutve events for the same file : ' + event + ' : ' + filename);
 				}
+			}
+		});
+	};
 
+	/**
+	 * Watches the sub directory and its sub directories, unless they are
+	 * already watched. The watchers are tracked in logManager.dirWatchers.
+	 * 
+	 * @param logManager
+	 * @param dir
+	 *            absolute dir path - the log dir itself is not watched, i.e.,
+	 *            only its sub directories
+	 * @returns a promise that resolves once the dirs are watched - failures are
+	 *          logged
+	 */
+	var watchDirTreePromise = function watchDirTreePromise(logManager, dir) {
+		if (!logManager.started()) {
+			return when.resolve();
+		}
+		var relativeDir = path.relative(logManager.logDir, dir);
+		if (relativeDir && !logManager.dirWatchers[relativeDir]) {
+			try {
+				var watcher = watchDir(logManager, dir);
+				watcher.on('error', function(err) {
+					log.warn('stopped watching : ' + dir + ' : ' + err);
+					unwatchDirTree(logManager, relativeDir);
+				});
+				logManager.dirWatchers[relativeDir] = watcher;
+				log.info('Started watching : ' + dir);
+			} catch (err) {
+				// the dir was deleted before it could be watched
+				log.warn('failed to watch : ' + dir + ' : ' + err);
+				return when.resolve();
+			}
+		}
+
+		return when.promise(function(resolve) {
+			fs.readdir(dir, function(err, names) {
+				if (err) {
+					log.warn('failed to read dir : ' + dir + ' : ' + err);
+					resolve();
+					return;
+				}
+				resolve(when.map(names, function(name) {
+					var subDir = path.join(dir, name);
+					return when.promise(function(resolve) {
+						fs.lstat(subDir, function(err, stats) {
+							resolve(!err && stats.isDirectory() ? watchDirTreePromise(logManager, subDir) : undefined);
+						});
+					});
+				}));
 			});
 		});
 	};
 
 	var LogManager = function(options) {
-		extend(true, config, options);
+		events.AsyncEventEmitter.call(this);
+		// each instance gets its own copy of the config - the defaults are never modified
+		var config = extend(true, {}, defaultConfig, options);
 		logging.setLogLevel(log, config.logLevel);
 		if (log.isDebugEnabled()) {
 			log.debug(config);
 		}
 		validateConfig(config);
 
+		this.config = config;
 		this.logDir = config.logDir;
 		this.watchEventCount = 0;
-		this.goodLogFilePattern = goodLogFilePattern;
+		this.namingScheme = namingSchemes.resolve(config.namingScheme);
+		this.goodLogFilePattern = this.namingScheme.pattern;
+		this.livenessProvider = livenessProviders.resolve(config.livenessProvider);
 		this.maxNumberActiveFiles = config.maxNumberActiveFiles;
 		this.retentionDays = config.retentionDays;
-		// file path -> {process:[process],listeners:{}
+		this.dryRun = config.dryRun;
+		this.sweepIntervalMillis = config.sweepIntervalMillis;
+		this.sweepSchedules = (lodash.isString(config.sweepCron) ? [ config.sweepCron ] : (config.sweepCron || [])).map(function(expression) {
+			return new CronSchedule(expression);
+		});
+		// timer key -> timer
+		this.sweepTimers = {};
+		this.scheduledSweepPromise = null;
+		// the sweep that is run for watch events, and the one that is queued behind it - see watchSweep()
+		this.watchSweepPromise = null;
+		this.queuedWatchSweepPromise = null;
+		// file path or stream id -> {follower:[Follower|StreamFollower|MergedFollower],listeners:{},pausedListenerIds:[]}
 		// where listeners is a map of : listenerId ->
-		// {onDataCallback,onCloseCallback}
+		// {onDataCallback,onSwitchCallback,onCloseCallback,onTruncateCallback} - which are the TailListener's functions
 		this.tailProcesses = {};
+		// used to fan out tail data to the listeners that are registered for this instance
+		this.eventEmitter = new events.AsyncEventEmitter();
+		this.fileWatcher = null;
+		this.recursive = config.recursive;
+		// sub dir path relative to the log dir -> fs.FSWatcher - only used if recursive
+		this.dirWatchers = {};
 
 		// optimization - used to track if 2 events in a row are for the same
 		// file. if so, then the event can be skipped
 		this.lastEventFilename = undefined;
+		// runtime statistics - see getStats()
+		this.stats = new runtimeStats.Stats();
+		this.compression = resolveCompression(config.compression);
+		// log files are compressed via the queue, which bounds the disk I/O and ensures a file is only compressed once at a time
+		this.compressionQueue = new TaskQueue(config.compressionConcurrency);
+		// the promises of the sweeps that are running - see stop()
+		this.runningSweeps = [];
+		this.archiver = config.archiveSink ? new Archiver({
+			sink : config.archiveSink,
+			baseDir : this.logDir,
+			backlogFile : config.archiveBacklogFile || path.join(this.logDir, '.archive-backlog.json'),
+			retries : config.archiveRetries,
+			retryDelayMillis : config.archiveRetryDelayMillis
+		}) : null;
 	};
 
+	util.inherits(LogManager, events.AsyncEventEmitter);
+
 	LogManager.prototype.start = function() {
-		var self = this;
-		if (!fileWatcher) {
-			fileWatcher = fs.watch(this.logDir, function(event, filename) {
-				if (log.isDebugEnabled()) {
-					log.debug(event + ' : ' + filename);
-				}
-				self.watchEventCount++;
-				if (self.lastEventFilename !== filename) {
-					self.lastEventFilename = filename;
-					self.handleLogDirEvent(event, filename);
-				} else {
-					if (log.isDebugEnabled()) {
-						log.debug('skipping event because received consecutve events for the same file : ' + event + ' : ' + filename);
-					}
-				}
-			});
+		if (!this.fileWatcher) {
+			this.fileWatcher = watchDir(this, this.logDir);
 			log.info('Started watching : ' + this.logDir);
+
+			scheduleSweeps(this);
+			// leftover compression temp files are handled, and the sub dirs are watched, before the first sweep
+			scheduledSweep(this, when.all([ this.recoverCompressions(), this.recursive ? watchDirTreePromise(this, this.logDir) : undefined ]));
 		} else {
 			if (log.isDebugEnabled()) {
 				log.debug('Already watching : ' + this.logDir);
@@ -162,37 +1320,75 @@
 		}
 	};
 
+	/**
+	 * Stops watching the log dir, running scheduled sweeps and following
+	 * files.
+	 * 
+	 * @returns a promise that resolves once the sweeps that are running, and
+	 *          the compressions that are queued or running, are done - until
+	 *          then, files may still be compressed, renamed and deleted
+	 */
 	LogManager.prototype.stop = function() {
-		if (fileWatcher) {
+		if (this.fileWatcher) {
 			var self = this;
-			fileWatcher.close();
-			fileWatcher = undefined;
+			this.fileWatcher.close();
+			this.fileWatcher = null;
+			unwatchDirTree(this, '');
 			log.info('Stopped watching : ' + this.logDir);
 
+			lodash.values(this.sweepTimers).forEach(function(timer) {
+				clearTimeout(timer);
+			});
+			this.sweepTimers = {};
+
 			lodash.keys(this.tailProcesses).forEach(function(file) {
 				if (log.isDebugEnabled()) {
-					log.debug('killing tail process for : ' + file);
+					log.debug('closing tail follower for : ' + file);
 				}
-				self.tailProcesses[file].process.kill();
+				self.tailProcesses[file].follower.close();
+				lodash.keys(self.tailProcesses[file].listeners).forEach(function(listenerId) {
+					self.emit('tailStopped', {
+						file : file,
+						listenerId : listenerId
+					});
+				});
 			});
-			eventEmitter.removeAllListeners();
+			this.tailProcesses = {};
+			this.eventEmitter.removeAllListeners();
 		} else {
 			if (log.isDebugEnabled()) {
 				log.debug('Not watching : ' + this.logDir);
 			}
 		}
+		// the scheduled sweep may still be waiting to start - see start()
+		return when.settle(this.runningSweeps.concat([ this.scheduledSweepPromise, this.compressionQueue.drainPromise() ])).yield(undefined);
 	};
 
 	LogManager.prototype.started = function() {
-		return !!fileWatcher;
+		return !!this.fileWatcher;
 	};
 
 	/**
 	 * 
-	 * @returns a promise which will resolve to an array of file names
+	 * @returns a promise which will resolve to an array of file names - if
+	 *          recursive, then the files in the sub directories are included,
+	 *          and the file names are the paths relative to the log dir, e.g.,
+	 *          'api/1/ops.1234.log.001'. The archive backlog file is excluded.
 	 */
 	LogManager.prototype.logDirectoryFilesPromise = function() {
 		var self = this;
+		if (this.recursive) {
+			return when(walkFilesPromise(this.logDir), function(files) {
+				return files.filter(function(file) {
+					return !isArchiveBacklogFile(self, file);
+				}).map(function(file) {
+					return path.relative(self.logDir, file);
+				});
+			}, function(err) {
+				log.error('Failed reading dir : ' + self.logDir + " : " + err);
+				throw err;
+			});
+		}
 		return when.promise(function(resolve, reject) {
 			fs.readdir(self.logDir, function(err, files) {
 				if (err) {
@@ -202,7 +1398,9 @@
 					if (log.isDebugEnabled()) {
 						log.debug('logDirectoryFilesPromise() resolved : ' + files);
 					}
-					resolve(files);
+					resolve(files.filter(function(file) {
+						return !isArchiveBacklogFile(self, path.join(self.logDir, file));
+					}));
 				}
 			});
 		});
@@ -215,7 +1413,7 @@
 	 * 
 	 * <code>
 	 * {
-	 * file: 'file-name',
+	 * file: 'file-name',							// see logDirectoryFilesPromise()
 	 *  
 	 * stats : {size: 10,							// either stats or error 
 	 * 			atime : accessedTime,				// - because of the asynchronous nature, the file could have been deleted before it stats could be obtained
@@ -227,21 +1425,7 @@
 	 */
 	LogManager.prototype.logDirectoryFilesWithStatsPromise = function() {
 		var self = this;
-		var filesPromise = when.promise(function(resolve, reject) {
-			fs.readdir(self.logDir, function(err, files) {
-				if (err) {
-					log.error('Failed reading dir : ' + self.logDir + " : " + err);
-					reject(err);
-				} else {
-					if (log.isDebugEnabled()) {
-						log.debug('logDirectoryFilesPromise() resolved : ' + files);
-					}
-					resolve(files);
-				}
-			});
-		});
-
-		var fileStatsPromises = when.map(filesPromise, function(file) {
+		var fileStatsPromises = when.map(this.logDirectoryFilesPromise(), function(file) {
 			return when.promise(function(resolve) {
 				fs.stat(path.join(self.logDir, file), function(err, stats) {
 					if (err) {
@@ -268,87 +1452,205 @@
 
 	};
 
-	LogManager.prototype.handleLogDirEvent = function(event, filename) {
-		var self = this;
-		if (log.isDebugEnabled()) {
-			log.debug('handleLogDirEvent invoked : ' + event + ' : ' + filename);
-		}
-
-		var pidsPromise = getPidsPromise();
+	/**
+	 * The status of a file in the log dir
+	 */
+	var FILE_STATUSES = {
+		ACTIVE : 'active',
+		INACTIVE : 'inactive',
+		ARCHIVED : 'archived',
+		UNMANAGED : 'unmanaged'
+	};
 
-		when(pidsPromise, function(pids) {
-			when(self.logDirectoryFilesPromise(), function(files) {
-				var matchResults = [];
-				var gzippedLogFiles = [];
-				files.forEach(function(file) {
-					var matchResult = file.match(goodLogFilePattern);
-					if (matchResult) {
-						if (log.isDebugEnabled()) {
-							log.debug(file + ' : matchResult : ' + matchResult);
-						}
-						matchResults.push({
-							file : path.join(self.logDir, file),
-							pid : parseInt(matchResult[1], 10),
-							logFileSequence : parseInt(matchResult[2], 10)
-						});
+	/**
+	 * 
+	 * @returns a promise which will return an array of the
+	 *          logDirectoryFilesWithStatsPromise() objects, sorted by file name,
+	 *          with a status property added - which is one of
+	 *          LogManager.FILE_STATUSES :
+	 * 
+	 * <code>
+	 * active		the log file belongs to a running process - or the naming scheme has no pid
+	 * inactive		the log file belongs to a process that is no longer running
+	 * archived		the log file is gzipped
+	 * unmanaged	the file does not match the naming scheme
+	 * </code>
+	 */
+	LogManager.prototype.logDirectoryFilesWithStatusPromise = function() {
+		var self = this;
+		return when(this.logDirectoryFilesWithStatsPromise(), function(filesStats) {
+			var logFiles = {};
+			filesStats.forEach(function(fileStats) {
+				var logFile = parseLogFile(self, fileStats.file);
+				if (logFile) {
+					logFiles[fileStats.file] = logFile;
+				}
+			});
+			return when(processesPromise(self, lodash.values(logFiles)), function(processes) {
+				return lodash.sortBy(filesStats, 'file').map(function(fileStats) {
+					var logFile = logFiles[fileStats.file];
+					if (!logFile) {
+						fileStats.status = FILE_STATUSES.UNMANAGED;
+					} else if (logFile.archived) {
+						fileStats.status = FILE_STATUSES.ARCHIVED;
+					} else if (isInactiveLogFile(processes, logFile)) {
+						fileStats.status = FILE_STATUSES.INACTIVE;
 					} else {
-						matchResult = file.match(gzippedLogFilePattern);
-						if (matchResult) {
-							if (log.isDebugEnabled()) {
-								log.debug(file + ' : matchResult : ' + matchResult);
-							}
-							gzippedLogFiles.push({
-								file : path.join(self.logDir, file),
-								pid : parseInt(matchResult[1], 10),
-								logFileSequence : parseInt(matchResult[2], 10)
-							});
-						} else {
-							if (log.isDebugEnabled()) {
-								log.debug('no match for : ' + file);
-							}
-						}
+						fileStats.status = FILE_STATUSES.ACTIVE;
 					}
+					return fileStats;
 				});
+			});
+		});
+	};
 
-				if (matchResults.length > 0) {
-					self.processFiles(pids, matchResults);
+	/**
+	 * 
+	 * @param event
+	 * @param filename
+	 *            the file path relative to the log dir. If recursive, then new
+	 *            sub directories are watched, and deleted ones are no longer
+	 *            watched.
+	 * @returns a promise that resolves to the sweep report - see sweep(). Events
+	 *          that arrive while a sweep is running share the next sweep.
+	 */
+	LogManager.prototype.handleLogDirEvent = function(event, filename) {
+		if (log.isDebugEnabled()) {
+			log.debug('handleLogDirEvent invoked : ' + event + ' : ' + filename);
+		}
+		var self = this;
+		if (event === 'rename' && filename) {
+			// 'rename' events are also emitted for deleted files
+			var file = path.join(this.logDir, String(filename));
+			fs.stat(file, function(err, stats) {
+				if (err) {
+					if (self.recursive) {
+						unwatchDirTree(self, String(filename));
+					}
+				} else if (stats.isFile()) {
+					self.emit('fileAdded', {
+						file : file
+					});
+				} else if (stats.isDirectory() && self.recursive) {
+					watchDirTreePromise(self, file);
 				}
+			});
+		}
+		return watchSweep(this);
+	};
+
+	/**
+	 * Performs a maintenance sweep on the log dir :
+	 * 
+	 * <code>
+	 * 1. GZIPs log files that have no corresponding active process
+	 * 2. GZIPs active process log files that are beyond the maxNumberActiveFiles
+	 * 3. Deletes gzipped log files that are older than retentionDays - once they are archived, if an archive sink is configured
+	 * 4. Retries the uploads that are pending in the archive backlog
+	 * </code>
+	 * 
+	 * @returns a promise that resolves to the sweep report, which has the
+	 *          following properties :
+	 * 
+	 * <code>
+	 * gzipped		array of absolute file paths that were gzipped
+	 * archived		array of absolute file paths that were uploaded to the archive sink
+	 * deleted		array of absolute file paths that were deleted
+	 * skipped		array of {file,reason} - where reason is one of LogManager.SKIP_REASONS
+	 * errors		array of {file,operation,error} - file is undefined if the error was not for a specific file
+	 * </code>
+	 * 
+	 * The promise is never rejected - errors are reported via the report.
+	 * 
+	 * options
+	 * 
+	 * <code>
+	 * dryRun		OPTIONAL - if true, then files are not gzipped or deleted, but are still reported. Default is the LogManager's dryRun setting
+	 * </code>
+	 */
+	LogManager.prototype.sweep = function(options) {
+		var self = this;
+		var startTime = Date.now();
+		var report = initReport(this, {
+			dryRun : options && options.dryRun
+		});
 
-				if (gzippedLogFiles.length > 0) {
-					self.deleteOldLogFiles(gzippedLogFiles);
+		var sweepPromise = when(scanLogDirPromise(this, report), function(scan) {
+			var matchResults = [];
+			var gzippedLogFiles = [];
+			scan.logFiles.forEach(function(logFile) {
+				if (logFile.archived) {
+					gzippedLogFiles.push(logFile);
+				} else {
+					matchResults.push(logFile);
 				}
 			});
 
+			return when.all([ self.processFiles(scan.processes, matchResults, report), self.deleteOldLogFiles(gzippedLogFiles, report),
+					archiveBacklog(self, report) ]);
 		});
+		this.runningSweeps.push(sweepPromise);
 
+		var sweepCompleted = function() {
+			self.runningSweeps = lodash.without(self.runningSweeps, sweepPromise);
+			if (!report.dryRun) {
+				self.stats.sweepCompleted(Date.now() - startTime);
+			}
+			self.emit('sweepCompleted', report);
+			return report;
+		};
+
+		return when(sweepPromise, function() {
+			if (log.isDebugEnabled()) {
+				log.debug('sweep() : ' + self.logDir + ' : gzipped = ' + report.gzipped.length + ' : deleted = ' + report.deleted.length + ' : errors = '
+						+ report.errors.length + (report.dryRun ? ' : dry run' : ''));
+			}
+			return sweepCompleted();
+		}, sweepCompleted);
 	};
 
 	/**
 	 * 
-	 * @param pids
+	 * @param processes
+	 *            the running processes : pid -> {startTime} - see
+	 *            liveness-providers.js. An array of running pids is also
+	 *            accepted, in which case reused pids are not detected.
 	 * @param matchResults
 	 *            an object with the following properties
 	 * 
 	 * <code>
 	 * file 			absolute log file path
-	 * pid 				
+	 * event
+	 * pid 				undefined if the naming scheme has no pid
 	 * logFileSequence 
+	 * date				undefined if the naming scheme has no date
 	 * <code>
+	 * @param report
+	 *            OPTIONAL - the report to add to. Set report.dryRun to override the LogManager's dryRun setting
+	 * @returns a promise that resolves to the report - see sweep()
 	 */
-	LogManager.prototype.processFiles = function(pids, matchResults) {
+	LogManager.prototype.processFiles = function(processes, matchResults, report) {
 		var activeLogFiles = [];
 		var self = this;
+		report = initReport(this, report);
+		if (lodash.isArray(processes)) {
+			processes = lodash.zipObject(processes, processes.map(function() {
+				return {};
+			}));
+		}
+		var promises = [];
 		matchResults.forEach(function(matchResult) {
 			if (log.isDebugEnabled()) {
-				log.debug('lodash.contains(pids, matchResult.pid) = ' + lodash.contains(pids, matchResult.pid) + ' :: ' + pids + '::' + matchResult.pid);
+				log.debug('processes[matchResult.pid] = ' + JSON.stringify(processes[matchResult.pid]) + ' :: ' + matchResult.pid);
 			}
-			if (!lodash.contains(pids, matchResult.pid)) {
-				self.gzip(matchResult.file);
+			if (isInactiveLogFile(processes, matchResult)) {
+				promises.push(self.gzip(matchResult.file, report));
 			} else {
 				activeLogFiles.push(matchResult);
 			}
 		});
-		this.processFilesForActiveProcesses(activeLogFiles);
+		promises.push(this.processFilesForActiveProcesses(activeLogFiles, report));
+		return when.all(promises).yield(report);
 	};
 
 	/**
@@ -360,220 +1662,307 @@
 		return now.getTime() - (1000 * 60 * 60 * 24) * this.retentionDays;
 	};
 
-	LogManager.prototype.deleteOldLogFiles = function(gzippedLogFiles) {
+	/**
+	 * 
+	 * @param gzippedLogFiles
+	 *            array of parsed log files - see processFiles()
+	 * @param report
+	 *            OPTIONAL - the report to add to. Set report.dryRun to override the LogManager's dryRun setting
+	 * @returns a promise that resolves to the report - see sweep()
+	 */
+	LogManager.prototype.deleteOldLogFiles = function(gzippedLogFiles, report) {
+		var self = this;
 		var expireTime = this.getLogsRetentionTimeMillis();
+		report = initReport(this, report);
 		if (log.isDebugEnabled()) {
 			log.debug('expireTime = ' + new Date(expireTime).toISOString());
 		}
-		gzippedLogFiles.forEach(function(f) {
-			fs.exists(f.file, function(exists) {
-				if (exists) {
-					var statsPromise = when.promise(function(resolve, reject) {
-						fs.stat(f.file, function(err, stats) {
-							if (err) {
-								reject(err);
-							} else {
-								resolve(stats);
-							}
-						});
-					});
-
-					when(statsPromise, function(stats) {
-						if (log.isDebugEnabled()) {
-							log.debug('stats.mtime.getTime() = ' + stats.mtime.toISOString());
-						}
-						if (stats.mtime.getTime() < expireTime) {
-							fs.unlink(f.file, function(err) {
-								if (err) {
-									fs.exists(f.file, function(exists) {
-										if (exists) {
-											log.error('failed to delete : ' + f.file + ' : ' + err);
-										}
-									});
-								} else {
-									if (log.isInfoEnabled()) {
-										log.info('deleteOldLogFiles() : deleted : ' + f.file);
-									}
-								}
+		var promises = gzippedLogFiles.map(function(f) {
+			return when.promise(function(resolve) {
+				fs.stat(f.file, function(err, stats) {
+					if (err) {
+						if (err.code === 'ENOENT') {
+							report.skipped.push({
+								file : f.file,
+								reason : SKIP_REASONS.FILE_NOT_FOUND
 							});
 						} else {
-							if (log.isDebugEnabled()) {
-								log.debug('log file falls within the retention period : ' + f.file + ' : mtime = ' + stats.mtime.toISOString());
-							}
+							log.warn('Failed to stat : ' + f.file + ' : ' + err);
+							reportError(self, report, {
+								file : f.file,
+								operation : 'stat',
+								error : err
+							});
+						}
+						resolve();
+						return;
+					}
+
+					if (log.isDebugEnabled()) {
+						log.debug('stats.mtime.getTime() = ' + stats.mtime.toISOString());
+					}
+					if (stats.mtime.getTime() < expireTime) {
+						resolve(deleteExpiredFile(self, f.file, report));
+					} else {
+						if (log.isDebugEnabled()) {
+							log.debug('log file falls within the retention period : ' + f.file + ' : mtime = ' + stats.mtime.toISOString());
 						}
-					}, function(err) {
-						fs.exists(f.file, function(exists) {
-							if (exists) {
-								log.warn('Failed to stat : ' + f + ' : ' + err);
-							}
+						report.skipped.push({
+							file : f.file,
+							reason : SKIP_REASONS.WITHIN_RETENTION
 						});
-					});
-
-				}
+						resolve();
+					}
+				});
 			});
 		});
+		return when.all(promises).yield(report);
 	};
 
-	LogManager.prototype.processFilesForActiveProcesses = function(activeLogFiles) {
+	/**
+	 * 
+	 * @param activeLogFiles
+	 *            array of parsed log files - see processFiles()
+	 * @param report
+	 *            OPTIONAL - the report to add to. Set report.dryRun to override the LogManager's dryRun setting
+	 * @returns a promise that resolves to the report - see sweep()
+	 */
+	LogManager.prototype.processFilesForActiveProcesses = function(activeLogFiles, report) {
 		var self = this;
-		var activeLogFilesGroupedByPid = lodash.groupBy(activeLogFiles, function(f) {
-			return f.pid;
+		report = initReport(this, report);
+		// log files are grouped by stream, i.e., by dir, event and pid
+		var activeLogFilesGroupedByStream = lodash.groupBy(activeLogFiles, function(f) {
+			return path.join(path.dirname(f.file), f.event + '.' + f.pid);
 		});
 
-		var groupsAboveMaxActiveLogFiles = [];
-		lodash.keys(activeLogFilesGroupedByPid).forEach(function(key) {
+		var promises = [];
+		lodash.keys(activeLogFilesGroupedByStream).forEach(function(key) {
+			var group = activeLogFilesGroupedByStream[key];
 			if (log.isDebugEnabled()) {
-				log.debug('activeLogFilesGroupedByPid[\'' + key + '\'].length = ' + activeLogFilesGroupedByPid[key].length);
-			}
-			if (activeLogFilesGroupedByPid[key].length > self.maxNumberActiveFiles) {
-				groupsAboveMaxActiveLogFiles.push(activeLogFilesGroupedByPid[key]);
+				log.debug('activeLogFilesGroupedByStream[\'' + key + '\'].length = ' + group.length);
 			}
-		});
-
-		groupsAboveMaxActiveLogFiles.forEach(function(group) {
-			var sortedFiles = lodash.sortBy(group, function(f) {
-				return f.pid + '.' + f.logFileSequence;
+			var sortedFiles = self.namingScheme.sortNewestFirst(group);
+			sortedFiles.slice(0, self.maxNumberActiveFiles).forEach(function(f) {
+				report.skipped.push({
+					file : f.file,
+					reason : lodash.isNumber(f.pid) ? SKIP_REASONS.ACTIVE_PID : SKIP_REASONS.ACTIVE_FILE
+				});
 			});
-			sortedFiles.reverse();
-			var filesToGzip = sortedFiles.slice(self.maxNumberActiveFiles);
-			filesToGzip.forEach(function(f) {
-				self.gzip(f.file);
+			sortedFiles.slice(self.maxNumberActiveFiles).forEach(function(f) {
+				promises.push(self.gzip(f.file, report));
 			});
 		});
 
+		return when.all(promises).yield(report);
 	};
 
 	/**
 	 * 
 	 * @param logFile
 	 *            absolute file path
+	 * @param report
+	 *            OPTIONAL - the report to add to. Set report.dryRun to override the LogManager's dryRun setting
+	 * @returns a promise that resolves to the report - see sweep(). If an
+	 *          archive sink is configured, then the promise resolves once the
+	 *          gzipped file was uploaded, or the upload failed.
+	 * 
+	 * The log file is compressed via the compression queue - see
+	 * compressionQueueStatus(). If the log file is already queued, then it is
+	 * reported as skipped, and the promise resolves once the queued compression
+	 * is done.
+	 * 
+	 * The compressed file is written to a temp file, which is flushed to disk,
+	 * verified and then atomically renamed, before the log file is deleted -
+	 * see recoverCompressions() for how interrupted compressions are handled.
 	 */
-	LogManager.prototype.gzip = function(logFile) {
+	LogManager.prototype.gzip = function(logFile, report) {
+		var self = this;
+		report = initReport(this, report);
 		if (log.isDebugEnabled()) {
 			log.debug('gzip(' + logFile + ')');
 		}
-		fs.exists(logFile, function(exists) {
-			if (exists) {
-				if (log.isDebugEnabled()) {
-					log.debug('gzip(' + logFile + ') - logFile exists');
-				}
-				var gzip = zlib.createGzip();
-				var inp = fs.createReadStream(logFile);
-				var out = fs.createWriteStream(logFile + '.gz');
-
-				out.on('finish', function() {
-					fs.unlink(logFile, function(err) {
-						if (err) {
-							fs.exists(logFile, function(exists) {
-								if (exists) {
-									log.error('failed to delete : ' + logFile + ' : ' + err);
-								}
-							});
-						} else {
-							if (log.isDebugEnabled()) {
-								log.debug('deleted : ' + logFile);
-							}
+		return when.promise(function(resolve) {
+			fs.exists(logFile, function(exists) {
+				if (exists) {
+					if (log.isDebugEnabled()) {
+						log.debug('gzip(' + logFile + ') - logFile exists');
+					}
+					if (report.dryRun) {
+						if (log.isInfoEnabled()) {
+							log.info('gzip() : dry run : would gzip : ' + logFile);
 						}
+						report.gzipped.push(logFile);
+						resolve(report);
+						return;
+					}
+					var queued = self.compressionQueue.has(logFile);
+					var compressPromise = self.compressionQueue.push(logFile, function() {
+						return compressFile(self, logFile, report);
 					});
-				});
-
-				inp.pipe(gzip).pipe(out);
-			} else {
-				if (log.isDebugEnabled()) {
-					log.debug('gzip(' + logFile + ') - logFile does not exist');
+					if (queued) {
+						if (log.isDebugEnabled()) {
+							log.debug('gzip(' + logFile + ') - logFile is already queued for compression');
+						}
+						// the report of the gzip() call that queued the file is updated
+						report.skipped.push({
+							file : logFile,
+							reason : SKIP_REASONS.COMPRESSION_IN_PROGRESS
+						});
+						resolve(when(compressPromise).yield(report));
+						return;
+					}
+					// the upload is not queued, so that slow uploads do not hold up the compression of other files
+					resolve(when(compressPromise, function(gzipFile) {
+						if (gzipFile && self.archiver) {
+							return archiveFile(self, gzipFile, report);
+						}
+					}).yield(report));
+				} else {
+					if (log.isDebugEnabled()) {
+						log.debug('gzip(' + logFile + ') - logFile does not exist');
+					}
+					report.skipped.push({
+						file : logFile,
+						reason : SKIP_REASONS.FILE_NOT_FOUND
+					});
+					resolve(report);
 				}
-			}
+			});
 		});
 	};
 
 	/**
-	 * Performs a linux tail -n
+	 * Performs a tail -n - see file-reader.js. Gzipped files are decompressed.
 	 * 
 	 * options
 	 * 
 	 * <code> 
 	 * file					REQUIRED - absolute file path to tail
 	 * onDataCallback		REQUIRED - callback for data
-	 * 								 - function(data){} - where data is Buffer
+	 * 								 - function(data){} - where data is Buffer, or a parsed event or LogParseError if parsed is true
 	 * onCloseCallback		OPTIONAL - callback for when there is no more data
-	 * 								 - function(code){} - where code is the process exit code
+	 * 								 - function(code){} - where code is 0 on success, 1 on failure
+	 * onMissingCallback	OPTIONAL - callback for when the file does not exist - neither data nor the close is delivered
+	 * 								 - function(){}
 	 * lines				OPTIONAL - default is 10
+	 * parsed				OPTIONAL - if true, then each line is parsed as a hapi good event - see good-events.js. Default is false
 	 * <code>
 	 */
 	LogManager.prototype.tail = function(options) {
+		var self = this;
 		assert(options, 'options is required');
 		assert(options.file, 'options.file is required');
 		assert(lodash.isFunction(options.onDataCallback), 'options.onDataCallback is required and must be a function');
 		if (!lodash.isUndefined(options.onCloseCallback)) {
 			assert(lodash.isFunction(options.onCloseCallback), 'options.onCloseCallback is required and must be a function');
 		}
+		if (!lodash.isUndefined(options.onMissingCallback)) {
+			assert(lodash.isFunction(options.onMissingCallback), 'options.onMissingCallback must be a function');
+		}
 		if (!lodash.isUndefined(options.lines)) {
 			assert(lodash.isNumber(options.lines) && options.lines > 0, 'options.lines must be a number > 0');
 		}
 
 		fs.exists(options.file, function(exists) {
 			if (exists) {
-				var tail = childProcess.spawn('tail', [ '-n', options.lines || 10, options.file ]);
-
-				tail.stdout.on('data', function(data) {
-					options.onDataCallback(data);
-				});
-
-				if (options.onCloseCallback) {
-					tail.on('close', function(code) {
-						options.onCloseCallback(code);
-					});
-				}
+				fileReader.tail(parsedOptions(self, options));
 			} else {
 				if (log.isDebugEnabled()) {
 					log.debug('tail() - file does not exist: ' + options.file);
 				}
+				if (options.onMissingCallback) {
+					options.onMissingCallback();
+				}
 			}
 		});
 
 	};
 
 	/**
-	 * performs a Linux head -n
+	 * performs a head -n - see file-reader.js. Gzipped files are decompressed.
 	 * 
 	 * options
 	 * 
 	 * <code> 
 	 * file					REQUIRED - absolute file path to head
 	 * onDataCallback		REQUIRED - callback for data
-	 * 								 - function(data){} - where data is Buffer
+	 * 								 - function(data){} - where data is Buffer, or a parsed event or LogParseError if parsed is true
 	 * onCloseCallback		OPTIONAL - callback for when there is no more data
-	 * 								 - function(code){} - where code is the process exit code
+	 * 								 - function(code){} - where code is 0 on success, 1 on failure
+	 * onMissingCallback	OPTIONAL - callback for when the file does not exist - neither data nor the close is delivered
+	 * 								 - function(){}
 	 * lines				OPTIONAL - default is 10
+	 * parsed				OPTIONAL - if true, then each line is parsed as a hapi good event - see good-events.js. Default is false
 	 * <code>
 	 */
 	LogManager.prototype.head = function(options) {
+		var self = this;
 		assert(options, 'options is required');
 		assert(options.file, 'options.file is required');
 		assert(lodash.isFunction(options.onDataCallback), 'options.onDataCallback is required and must be a function');
 		if (!lodash.isUndefined(options.onCloseCallback)) {
 			assert(lodash.isFunction(options.onCloseCallback), 'options.onCloseCallback is required and must be a function');
 		}
+		if (!lodash.isUndefined(options.onMissingCallback)) {
+			assert(lodash.isFunction(options.onMissingCallback), 'options.onMissingCallback must be a function');
+		}
 		if (!lodash.isUndefined(options.lines)) {
 			assert(lodash.isNumber(options.lines) && options.lines > 0, 'options.lines must be a number > 0');
 		}
 
 		fs.exists(options.file, function(exists) {
 			if (exists) {
-				var head = childProcess.spawn('head', [ '-n', options.lines || 10, options.file ]);
+				fileReader.head(parsedOptions(self, options));
+			} else {
+				if (log.isDebugEnabled()) {
+					log.debug('head() - file does not exist: ' + options.file);
+				}
+				if (options.onMissingCallback) {
+					options.onMissingCallback();
+				}
+			}
+		});
 
-				head.stdout.on('data', function(data) {
-					options.onDataCallback(data);
-				});
+	};
 
-				if (options.onCloseCallback) {
-					head.on('close', function(code) {
-						options.onCloseCallback(code);
-					});
-				}
+	/**
+	 * Reads the whole file - see file-reader.js. Gzipped files are
+	 * decompressed.
+	 * 
+	 * options
+	 * 
+	 * <code> 
+	 * file					REQUIRED - absolute file path to read
+	 * onDataCallback		REQUIRED - callback for data
+	 * 								 - function(data){} - where data is Buffer, or a parsed event or LogParseError if parsed is true
+	 * onCloseCallback		OPTIONAL - callback for when there is no more data
+	 * 								 - function(code){} - where code is 0 on success, 1 on failure
+	 * onMissingCallback	OPTIONAL - callback for when the file does not exist - neither data nor the close is delivered
+	 * 								 - function(){}
+	 * parsed				OPTIONAL - if true, then each line is parsed as a hapi good event - see good-events.js. Default is false
+	 * <code>
+	 */
+	LogManager.prototype.read = function(options) {
+		var self = this;
+		assert(options, 'options is required');
+		assert(options.file, 'options.file is required');
+		assert(lodash.isFunction(options.onDataCallback), 'options.onDataCallback is required and must be a function');
+		if (!lodash.isUndefined(options.onCloseCallback)) {
+			assert(lodash.isFunction(options.onCloseCallback), 'options.onCloseCallback is required and must be a function');
+		}
+		if (!lodash.isUndefined(options.onMissingCallback)) {
+			assert(lodash.isFunction(options.onMissingCallback), 'options.onMissingCallback must be a function');
+		}
+
+		fs.exists(options.file, function(exists) {
+			if (exists) {
+				fileReader.read(parsedOptions(self, options));
 			} else {
 				if (log.isDebugEnabled()) {
-					log.debug('head() - file does not exist: ' + options.file);
+					log.debug('read() - file does not exist: ' + options.file);
+				}
+				if (options.onMissingCallback) {
+					options.onMissingCallback();
 				}
 			}
 		});
@@ -581,25 +1970,118 @@
 	};
 
 	/**
+	 * Searches the plain and gzipped log files line by line - see
+	 * log-search.js for the options.
+	 * 
+	 * @returns LogSearch - use its promise property to get the search result,
+	 *          and cancel() to stop searching
+	 */
+	LogManager.prototype.search = function(options) {
+		return new LogSearch(this, options);
+	};
+
+	/**
+	 * Aggregates the heap, rss, load and event loop delay from the plain and
+	 * gzipped 'ops' log files into time buckets - see ops-metrics.js for the
+	 * options and result.
+	 * 
+	 * @param options
+	 *            OPTIONAL
+	 * @returns a promise that resolves to the result
+	 */
+	LogManager.prototype.opsMetrics = function(options) {
+		return opsMetrics.opsMetricsPromise(this, options);
+	};
+
+	/**
+	 * Performs a tail -f - see file-reader.js. A single follower is shared by
+	 * all listeners for the same file.
+	 * 
+	 * Instead of a file, a logical log stream can be followed by specifying its
+	 * event, and optionally its pid. The follower then switches to the stream's
+	 * next log file automatically, e.g., when the writer moves from
+	 * request.123.log.004 to request.123.log.005 - see stream-follower.js. A
+	 * single follower is shared by all listeners for the same stream, and the
+	 * stream id - see streamId() - takes the place of the file for the
+	 * callbacks, the events, and stopTailFollowing().
+	 * 
+	 * If merged is true, then the log streams of all pids for the event are
+	 * followed as one live feed, which delivers lines that are tagged with their
+	 * pid and file, and interleaved by their timestamps - see
+	 * merged-follower.js.
+	 * 
+	 * Each listener has its own buffer - see tail-listener.js. If the
+	 * onDataCallback returns a promise, then the next data is delivered once
+	 * the promise is settled, and the overflow policy is applied when the
+	 * listener falls more than bufferLimit lines or chunks behind. The pause
+	 * policy pauses the shared follower, i.e., for all of its listeners.
+	 * 
+	 * Each line or chunk of a log dir file is delivered with a cursor, i.e.,
+	 * an opaque String made of the file's identity and the byte offset that
+	 * follows the data - see cursors.js. A listener that specifies a cursor
+	 * resumes where the cursor left off : the rest of the cursor's log file
+	 * and the newer log files of its log stream, i.e., its event and pid, are
+	 * read - compressed or not - before the stream's newest log file is
+	 * followed. If the cursor's file name does not match the naming scheme,
+	 * then only the file itself is followed from the cursor's offset. A
+	 * resuming listener has its own follower, and its id is suffixed with '@'
+	 * + listenerId.
+	 * 
 	 * options
 	 * 
 	 * <code> 
-	 * file							REQUIRED - absolute file path to tail
+	 * file							REQUIRED, unless event is specified - absolute file path to tail
+	 * event						OPTIONAL - the event of the log stream to follow
+	 * pid							OPTIONAL - the pid of the log stream to follow - if not specified, then the stream spans all pids
+	 * dir							OPTIONAL - the sub dir that contains the log stream's files, relative to the log dir - see the recursive option
+	 * merged						OPTIONAL - if true, then the log streams of all pids for the event are followed as one feed. Default is false
+	 * mergeWindowMillis			OPTIONAL - merged only - how long lines are held back to be interleaved by timestamp. Default is 1000
 	 * onDataCallback				REQUIRED - callback for data
-	 * 										 - function(data){} - where data is Buffer
+	 * 										 - function(data,cursor){} - where data is Buffer, a String line in line mode, or a parsed event or
+	 * 										   LogParseError if parsed is true - can return a promise, see above
+	 * 										 - cursor is undefined for files that are not in the log dir, and for merged feeds
+	 * 										 - for merged feeds, data is a tagged line {pid,file,line,timestamp} - if parsed is true, then
+	 * 										   the parsed event or LogParseError is set as its parsed property
+	 * onSwitchCallback				OPTIONAL - callback for when a log stream's follower switches to another log file
+	 * 										 - function(from,to){} - where from is null for the stream's first log file, i.e., for
+	 * 										   merged feeds, when a pid is picked up
 	 * onCloseCallback				OPTIONAL - callback for when there is no more data
-	 * 										 - function(code){} - where code is the process exit code
+	 * 										 - function(code,err){} - where code is 0 when following is stopped, 1 on failure
+	 * 										 - err is set if the listener was disconnected by the disconnect overflow policy
 	 * onRegistrationCallback		OPTIONAL - callback which sends back the listener id, which can be used to stop following
-	 * 										 - function(err,file,listenerId){} 
+	 * 										 - function(err,file,listenerId){} - where file is the stream id for log streams
 	 * lines						OPTIONAL - default is 10
+	 * parsed						OPTIONAL - if true, then each line is parsed as a hapi good event - see good-events.js. Default is false
+	 * lineMode						OPTIONAL - if true, then whole lines are delivered as Strings, without their trailing newline. Default is false
+	 * encoding						OPTIONAL - line mode only - the encoding of the lines. Default is 'utf8'
+	 * bufferLimit					OPTIONAL - the max number of lines or chunks that are buffered for the listener. Default is 1000
+	 * overflow						OPTIONAL - one of LogManager.OVERFLOW_POLICIES : 'dropOldest', 'pause' or 'disconnect'. Default is 'dropOldest'
+	 * cursor						OPTIONAL - the cursor to resume from - see above. If specified, then file and event are OPTIONAL, but the
+	 * 										   cursor must belong to them, and lines is ignored. Merged feeds cannot be resumed
 	 * <code>
-	 *
+	 * 
 	 */
 	LogManager.prototype.tailFollow = function(options) {
 		var self = this;
 		assert(options, 'options is required');
-		assert(options.file, 'options.file is required');
+		if (!lodash.isUndefined(options.cursor)) {
+			options = resumeOptions(this, options);
+		}
+		var stream = !lodash.isUndefined(options.event);
+		assert(options.file || stream, 'options.file or options.event is required');
 		assert(lodash.isFunction(options.onDataCallback), 'options.onDataCallback is required and must be a function');
+		if (stream) {
+			assert(lodash.isString(options.event), 'options.event must be a String');
+			if (!lodash.isUndefined(options.pid)) {
+				assert(lodash.isNumber(options.pid), 'options.pid must be a Number');
+				assert(!options.merged, 'options.pid cannot be specified for merged feeds');
+			}
+		} else {
+			assert(!options.merged, 'options.event is required for merged feeds');
+		}
+		if (!lodash.isUndefined(options.onSwitchCallback)) {
+			assert(lodash.isFunction(options.onSwitchCallback), 'options.onSwitchCallback must be a function');
+		}
 		if (!lodash.isUndefined(options.onCloseCallback)) {
 			assert(lodash.isFunction(options.onCloseCallback), 'options.onCloseCallback is required and must be a function');
 		}
@@ -610,60 +2092,116 @@
 			assert(lodash.isNumber(options.lines) && options.lines > 0, 'options.lines must be a number > 0');
 		}
 
-		fs.exists(options.file, function(exists) {
-			if (exists) {
-				var listenerId = uuid.v4();
-				if (options.onRegistrationCallback) {
-					options.onRegistrationCallback(null, options.file, listenerId);
-				}
-
-				var tailDataEvent = 'tail::data::' + options.file;
-				var tailCloseEvent = 'tail::close::' + options.file;
-				eventEmitter.on(tailDataEvent, options.onDataCallback);
-				if (options.onCloseCallback) {
-					eventEmitter.on(tailCloseEvent, options.onCloseCallback);
-				}
+		options = parsedTailFollowOptions(this, options);
+		var listenerId = uuid.v4();
+		var file = stream ? streamId(options) : options.file;
+		if (options.cursor) {
+			file += '@' + listenerId;
+		}
+		var dir = stream ? path.join(this.logDir, options.dir || '') : null;
+
+		var createFollower = function(tailDataEvent, tailSwitchEvent, tailCloseEvent, tailTruncateEvent) {
+			var onDataCallback = function(data, offset, dataFile) {
+				self.eventEmitter.emit(tailDataEvent, data, cursorPosition(self, dataFile || options.file, offset));
+			};
+			var onCloseCallback = function(code) {
+				self.eventEmitter.emit(tailCloseEvent, code);
+			};
+			// the listeners' line positions start over - see tail-listener.js
+			var onTruncateCallback = function() {
+				self.eventEmitter.emit(tailTruncateEvent);
+			};
+			if (!stream) {
+				return fileReader.follow({
+					file : options.file,
+					lines : options.lines,
+					offset : options.offset,
+					onDataCallback : onDataCallback,
+					onCloseCallback : onCloseCallback,
+					onTruncateCallback : onTruncateCallback
+				});
+			}
+			var streamOptions = {
+				dir : dir,
+				namingScheme : self.namingScheme,
+				event : options.event,
+				pid : options.pid,
+				lines : options.lines,
+				offset : options.offset,
+				resumeFile : options.resumeFile,
+				mergeWindowMillis : options.mergeWindowMillis,
+				onDataCallback : onDataCallback,
+				onSwitchCallback : function(from, to) {
+					self.eventEmitter.emit(tailSwitchEvent, from, to);
+					self.emit('tailSwitched', {
+						file : file,
+						from : from,
+						to : to
+					});
+				},
+				onCloseCallback : onCloseCallback,
+				onTruncateCallback : onTruncateCallback
+			};
+			return options.merged ? new MergedFollower(streamOptions) : new StreamFollower(streamOptions);
+		};
 
-				if (!self.tailProcesses[options.file]) {
-					var tail = childProcess.spawn('tail', [ '-n', options.lines || 10, '-f', options.file ]);
+		fs.exists(stream ? dir : options.file, function(exists) {
+			if (exists) {
+				var tailDataEvent = 'tail::data::' + file;
+				var tailSwitchEvent = 'tail::switch::' + file;
+				var tailCloseEvent = 'tail::close::' + file;
+				var tailTruncateEvent = 'tail::truncate::' + file;
+				var tailListener = createTailListener(self, file, listenerId, options);
+				var callbacks = {
+					onDataCallback : tailListener.write,
+					onSwitchCallback : tailListener.switched,
+					onCloseCallback : tailListener.closed,
+					onTruncateCallback : tailListener.truncated
+				};
+				self.eventEmitter.on(tailDataEvent, callbacks.onDataCallback);
+				self.eventEmitter.on(tailSwitchEvent, callbacks.onSwitchCallback);
+				self.eventEmitter.on(tailCloseEvent, callbacks.onCloseCallback);
+				self.eventEmitter.on(tailTruncateEvent, callbacks.onTruncateCallback);
+
+				if (!self.tailProcesses[file]) {
 					var listeners = {};
-					listeners[listenerId] = {
-						onDataCallback : options.onDataCallback,
-						onCloseCallback : options.onCloseCallback
-					};
-					self.tailProcesses[options.file] = {
-						process : tail,
-						listeners : listeners
+					listeners[listenerId] = callbacks;
+					self.tailProcesses[file] = {
+						follower : createFollower(tailDataEvent, tailSwitchEvent, tailCloseEvent, tailTruncateEvent),
+						listeners : listeners,
+						// the ids of the listeners that paused the follower - see tail-listener.js
+						pausedListenerIds : []
 					};
-
-					tail.stdout.on('data', function(data) {
-						eventEmitter.emit(tailDataEvent, data);
-					});
-
-					if (options.onCloseCallback) {
-						tail.on('close', function(code) {
-							eventEmitter.emit(tailCloseEvent, code);
-						});
-					}
 				} else {
-					self.tailProcesses[options.file].listeners[listenerId] = {
-						onDataCallback : options.onDataCallback,
-						onCloseCallback : options.onCloseCallback
-					};
+					self.tailProcesses[file].listeners[listenerId] = callbacks;
 				}
 
+				self.emit('tailStarted', {
+					file : file,
+					listenerId : listenerId
+				});
+				// the listener is registered first, so that stopTailFollowing() can be invoked from the callback
+				if (options.onRegistrationCallback) {
+					options.onRegistrationCallback(null, file, listenerId);
+				}
 			} else {
 				if (log.isDebugEnabled()) {
-					log.debug('tail() - file does not exist: ' + options.file);
+					log.debug('tail() - file does not exist: ' + (stream ? dir : options.file));
 				}
 				if (options.onRegistrationCallback) {
-					options.onRegistrationCallback(new Error('file does not exist: ' + options.file));
+					options.onRegistrationCallback(new Error((stream ? 'dir' : 'file') + ' does not exist: ' + (stream ? dir : options.file)));
 				}
 			}
 		});
 
 	};
 
+	/**
+	 * 
+	 * @param file
+	 *            the followed file, or the stream id - see tailFollow()
+	 * @param listenerId
+	 */
 	LogManager.prototype.stopTailFollowing = function(file, listenerId) {
 		var tailedProcess = this.tailProcesses[file];
 		if (tailedProcess) {
@@ -673,18 +2211,25 @@
 					log.debug('stopTailFollowing() : found callbacks for tailed process : ' + file + ' -> ' + listenerId);
 				}
 				var tailDataEvent = 'tail::data::' + file;
+				var tailSwitchEvent = 'tail::switch::' + file;
 				var tailCloseEvent = 'tail::close::' + file;
-				eventEmitter.removeListener(tailDataEvent, callbacks.onDataCallback);
-				if (callbacks.onCloseCallback) {
-					eventEmitter.removeListener(tailCloseEvent, callbacks.onCloseCallback);
-				}
+				var tailTruncateEvent = 'tail::truncate::' + file;
+				this.eventEmitter.removeListener(tailDataEvent, callbacks.onDataCallback);
+				this.eventEmitter.removeListener(tailSwitchEvent, callbacks.onSwitchCallback);
+				this.eventEmitter.removeListener(tailCloseEvent, callbacks.onCloseCallback);
+				this.eventEmitter.removeListener(tailTruncateEvent, callbacks.onTruncateCallback);
 				delete tailedProcess.listeners[listenerId];
+				resumeTailFollower(tailedProcess, listenerId);
+				this.emit('tailStopped', {
+					file : file,
+					listenerId : listenerId
+				});
 				var remainingListenerCount = lodash.keys(tailedProcess.listeners).length;
 				if (log.isDebugEnabled()) {
 					log.debug('remainingListenerCount = ' + remainingListenerCount);
 				}
 				if (remainingListenerCount === 0) {
-					tailedProcess.process.kill();
+					tailedProcess.follower.close();
 					delete this.tailProcesses[file];
 				}
 			}
@@ -692,82 +2237,274 @@
 	};
 
 	/**
-	 * Cleans out the log dir - deleting all files
+	 * Cleans out the log dir - deleting all files, except for the archive
+	 * backlog file
+	 * 
+	 * options
+	 * 
+	 * <code>
+	 * dryRun		OPTIONAL - if true, then files are not deleted, but are still reported. Default is the LogManager's dryRun setting
+	 * </code>
+	 * 
+	 * @returns a promise that resolves to the report - see sweep()
 	 */
-	LogManager.prototype.cleanLogDir = function() {
-		var cleanDir = function cleanDir(dir) {
-			file.walk(dir, function(error, cwd, dirs, filePaths) {
-				if (error) {
-					log.error('cleanLogDir() failed : ' + error);
-				} else if (lodash.isArray(filePaths)) {
-					filePaths.forEach(function(filePath) {
-						fs.unlink(filePath, function(err) {
-							if (err) {
-								fs.exists(filePath, function(exists) {
-									if (exists) {
-										log.warn('cleanLogDir() : failed to delete : ' + filePath + ' : ' + err);
-									} else {
-										if (log.isInfoEnabled()) {
-											log.info('cleanLogDir() : file does not exist : ' + filePath);
-										}
-									}
-								});
+	LogManager.prototype.cleanLogDir = function(options) {
+		var self = this;
+		var report = initReport(this, {
+			dryRun : options && options.dryRun
+		});
 
-							} else {
-								if (log.isInfoEnabled()) {
-									log.info('cleanLogDir() : deleted : ' + filePath);
-								}
-							}
+		var filePathsPromise = when(walkFilesPromise(this.logDir), null, function(err) {
+			log.error('cleanLogDir() failed : ' + err);
+			reportError(self, report, {
+				operation : 'readdir',
+				error : err
+			});
+			return [];
+		});
+
+		return when.map(filePathsPromise, function(filePath) {
+			if (isArchiveBacklogFile(self, filePath)) {
+				return;
+			}
+			return deleteFile(self, filePath, 'cleanLogDir', DELETE_REASONS.CLEAN, report);
+		}).yield(report);
+	};
+
+	/**
+	 * Deletes all log files that belong to processes that are no longer
+	 * running. For naming schemes without a pid, all archived log files are
+	 * deleted.
+	 * 
+	 * options
+	 * 
+	 * <code>
+	 * dryRun		OPTIONAL - if true, then files are not deleted, but are still reported. Default is the LogManager's dryRun setting
+	 * </code>
+	 * 
+	 * @returns a promise that resolves to the report - see sweep()
+	 */
+	LogManager.prototype.deleteAllNonActiveLogFiles = function(options) {
+		var self = this;
+		var report = initReport(this, {
+			dryRun : options && options.dryRun
+		});
+
+		var deletePromise = when(scanLogDirPromise(this, report), function(scan) {
+			return when.map(scan.logFiles, function(logFile) {
+				// for naming schemes without a pid, only the archived files are non active
+				var inactive = self.namingScheme.hasPid ? isInactiveLogFile(scan.processes, logFile) : logFile.archived;
+				if (inactive) {
+					return deleteFile(self, logFile.file, 'deleteAllNonActiveLogFiles', DELETE_REASONS.INACTIVE, report);
+				}
+				if (log.isDebugEnabled()) {
+					log.debug('deleteAllNonActiveLogFiles(): log file is active: ' + logFile.file);
+				}
+				report.skipped.push({
+					file : logFile.file,
+					reason : lodash.isNumber(logFile.pid) ? SKIP_REASONS.ACTIVE_PID : SKIP_REASONS.ACTIVE_FILE
+				});
+			});
+		});
+
+		return when(deletePromise, function() {
+			return report;
+		}, function() {
+			return report;
+		});
+	};
+
+	/**
+	 * Handles the compression temp files that were left behind, e.g., by a crash
+	 * while a log file was being compressed - see gzip() :
+	 * 
+	 * <code>
+	 * 1. if the log file still exists, then the temp file is deleted - the log file will be compressed again
+	 * 2. if the log file no longer exists, then the compression is resumed, i.e., the temp file is renamed to the
+	 *    compressed file name - if it can be decompressed, and the compressed file does not exist
+	 * 3. otherwise the temp file is deleted
+	 * </code>
+	 * 
+	 * Temp files for log files that are currently being compressed are left
+	 * alone.
+	 * 
+	 * @returns a promise that resolves to a report with the following
+	 *          properties :
+	 * 
+	 * <code>
+	 * resumed		array of the absolute compressed file paths that the temp files were renamed to
+	 * deleted		array of the absolute temp file paths that were deleted
+	 * errors		array of {file,operation,error}
+	 * </code>
+	 * 
+	 * The promise is never rejected - errors are reported via the report.
+	 */
+	LogManager.prototype.recoverCompressions = function() {
+		var self = this;
+		var report = {
+			resumed : [],
+			deleted : [],
+			errors : []
+		};
+
+		var deleteTempFile = function(tempFile) {
+			return when.promise(function(resolve) {
+				fs.unlink(tempFile, function(err) {
+					if (err && err.code !== 'ENOENT') {
+						reportError(self, report, {
+							file : tempFile,
+							operation : 'delete',
+							error : err
 						});
-					});
-					if (lodash.isArray(dirs)) {
-						dirs.forEach(cleanDir);
+					} else {
+						report.deleted.push(tempFile);
 					}
-				}
+					resolve();
+				});
+			});
+		};
+
+		var existsPromise = function(filePath) {
+			return when.promise(function(resolve) {
+				fs.exists(filePath, resolve);
+			});
+		};
 
+		var recover = function(tempFile) {
+			var gzipFile = tempFile.substring(0, tempFile.length - COMPRESSION_TEMP_FILE_EXTENSION.length);
+			var codec = codecs.forFile(gzipFile);
+			var logFile = gzipFile.substring(0, gzipFile.length - codec.extension.length);
+			if (self.compressionQueue.has(logFile)) {
+				return;
+			}
+			return when.all([ existsPromise(logFile), existsPromise(gzipFile) ]).then(function(exists) {
+				if (exists[0] || exists[1]) {
+					log.warn('deleting compression temp file : ' + tempFile);
+					return deleteTempFile(tempFile);
+				}
+				return when(decompressedSizePromise(tempFile, codec), function() {
+					return renamePromise(tempFile, gzipFile);
+				}).then(function() {
+					log.warn('resumed compression : ' + gzipFile);
+					report.resumed.push(gzipFile);
+				}, function(err) {
+					log.error('compression temp file cannot be recovered : ' + tempFile + ' : ' + err);
+					reportError(self, report, {
+						file : tempFile,
+						operation : 'recover',
+						error : err
+					});
+					return deleteTempFile(tempFile);
+				});
 			});
 		};
 
-		cleanDir(this.logDir);
+		var tempFilesPromise = when(this.logDirectoryFilesPromise(), function(files) {
+			return files.filter(function(file) {
+				if (path.extname(file) !== COMPRESSION_TEMP_FILE_EXTENSION) {
+					return false;
+				}
+				var logFile = self.namingScheme.parse(path.basename(file, COMPRESSION_TEMP_FILE_EXTENSION));
+				return logFile && logFile.archived;
+			}).map(function(file) {
+				return path.join(self.logDir, file);
+			});
+		}, function(err) {
+			reportError(self, report, {
+				operation : 'readdir',
+				error : err
+			});
+			return [];
+		});
 
+		return when.map(tempFilesPromise, recover).yield(report);
 	};
 
-	LogManager.prototype.deleteAllNonActiveLogFiles = function() {
-		var self = this;
-		var pidsPromise = getPidsPromise();
+	/**
+	 * 
+	 * @returns the compression queue status :
+	 * 
+	 * <code>
+	 * concurrency		max number of log files that are compressed at the same time
+	 * running			number of log files that are being compressed
+	 * depth			number of log files that are waiting to be compressed
+	 * pending			[{file,state,queuedTime,startedTime}] - the running and waiting log files, in queue order
+	 * 					- where state is 'running' or 'queued'
+	 * </code>
+	 */
+	LogManager.prototype.compressionQueueStatus = function() {
+		var queue = this.compressionQueue;
+		return {
+			concurrency : queue.concurrency,
+			running : queue.running,
+			depth : queue.depth(),
+			pending : queue.pending().map(function(item) {
+				return {
+					file : item.key,
+					state : item.state,
+					queuedTime : item.queuedTime,
+					startedTime : item.startedTime
+				};
+			})
+		};
+	};
 
-		when(pidsPromise, function(pids) {
-			when(self.logDirectoryFilesPromise(), function(files) {
-				files.forEach(function(file) {
-					var matchResult = file.match(allLogFilesPattern);
-					if (matchResult) {
-						if (log.isDebugEnabled()) {
-							log.debug(file + ' : matchResult : ' + matchResult);
-						}
-						if (!lodash.contains(pids, parseInt(matchResult[1], 10))) {
-							var filePath = path.join(self.logDir, file);
-							fs.unlink(filePath, function(error) {
-								if (error) {
-									fs.exists(filePath, function(exists) {
-										if (exists) {
-											log.warn('deleteAllNonActiveLogFiles() : failed to delete : ' + filePath);
-										}
-									});
-								}
-							});
-						} else {
-							if (log.isDebugEnabled()) {
-								log.debug('deleteAllNonActiveLogFiles(): log file is active: ' + file);
-							}
-						}
-					}
+	/**
+	 * 
+	 * @returns a promise that resolves to a snapshot of the runtime statistics -
+	 *          see stats.js
+	 */
+	LogManager.prototype.getStats = function() {
+		var self = this;
+		var fileSizesPromise = when.map(walkFilesPromise(this.logDir), function(file) {
+			return when.promise(function(resolve) {
+				fs.stat(file, function(err, stats) {
+					// the file may have been deleted since the dir was read
+					resolve(err ? 0 : stats.size);
 				});
+			});
+		});
 
+		var archiveBacklogPromise = this.archiver ? this.archiver.pendingFiles() : [];
+
+		return when.all([ fileSizesPromise, archiveBacklogPromise ]).then(function(results) {
+			var fileSizes = results[0];
+			var tailListeners = {};
+			lodash.forOwn(self.tailProcesses, function(tailProcess, file) {
+				tailListeners[file] = lodash.keys(tailProcess.listeners).length;
+			});
+			return lodash.assign({
+				logDir : self.logDir,
+				watchEventCount : self.watchEventCount
+			}, self.stats.counters(), {
+				tailProcesses : lodash.keys(self.tailProcesses).length,
+				tailListeners : tailListeners,
+				archiveBacklog : results[1].length,
+				compressionQueueDepth : self.compressionQueue.depth(),
+				compressionsRunning : self.compressionQueue.running,
+				logDirSizeBytes : lodash.reduce(fileSizes, function(total, size) {
+					return total + size;
+				}, 0)
 			});
+		});
+	};
 
+	/**
+	 * 
+	 * @returns a promise that resolves to the runtime statistics in the
+	 *          Prometheus text exposition format - see stats.js
+	 */
+	LogManager.prototype.getPrometheusMetrics = function() {
+		return when(this.getStats(), function(snapshot) {
+			return runtimeStats.toPrometheus(snapshot);
 		});
 	};
 
+	LogManager.SKIP_REASONS = SKIP_REASONS;
+	LogManager.FILE_STATUSES = FILE_STATUSES;
+	LogManager.DELETE_REASONS = DELETE_REASONS;
+	LogManager.OVERFLOW_POLICIES = TailListener.OVERFLOW_POLICIES;
+
 	module.exports = LogManager;
 
 }());
\ No newline at end of file
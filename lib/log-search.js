@@ -0,0 +1,312 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Searches the log files in a LogManager's log dir line by line - both plain
+ * and compressed log files are searched. Files are searched one at a time, in
+ * file name order.
+ * 
+ * options
+ * 
+ * <code>
+ * pattern				REQUIRED - RegExp, or String which is matched literally
+ * events				OPTIONAL - array of event names - only log files for these events are searched
+ * pids					OPTIONAL - array of pids - only log files for these pids are searched
+ * since				OPTIONAL - Date or epoch millis - log files last modified before this time are skipped
+ * until				OPTIONAL - Date or epoch millis - log files created after this time are skipped
+ * maxResults			OPTIONAL - the max number of matches that are reported - the search stops once another match is found. Default is 1000
+ * onMatchCallback		OPTIONAL - function(match){} - invoked for each match.
+ * 								 - If not specified, then matches are collected and returned in the result
+ * parsed				OPTIONAL - if true, then matching lines are parsed as hapi good events - see good-events.js. Default is false
+ * </code>
+ * 
+ * A match has the following properties :
+ * 
+ * <code>
+ * file				absolute file path
+ * lineNumber		1-based line number
+ * line				the line text without the line terminator
+ * parsed			the parsed event or LogParseError - only if the parsed option is true
+ * </code>
+ * 
+ * The search result promise resolves to :
+ * 
+ * <code>
+ * matches			array of matches - only when no onMatchCallback was specified
+ * matchCount
+ * truncated		true if there were more than maxResults matches, i.e., the search stopped before all files were searched
+ * cancelled		true if the search was cancelled
+ * filesSearched	array of absolute file paths
+ * errors			array of {file,error}
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var path = require('path');
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var fileReader = require('./file-reader');
+	var goodEvents = require('./good-events');
+
+	var escapeRegExp = function(text) {
+		return text.replace(/[\-\[\]\/{}()*+?.\\\^$|]/g, '\\$&');
+	};
+
+	var toTime = function(date) {
+		return lodash.isDate(date) ? date.getTime() : date;
+	};
+
+	var validateOptions = function(options) {
+		assert(lodash.isObject(options), 'options is required and must be an Object');
+		assert(lodash.isRegExp(options.pattern) || lodash.isString(options.pattern), 'options.pattern is required and must be a RegExp or String');
+		if (!lodash.isUndefined(options.events)) {
+			assert(lodash.isArray(options.events), 'options.events must be an Array');
+		}
+		if (!lodash.isUndefined(options.pids)) {
+			assert(lodash.isArray(options.pids), 'options.pids must be an Array');
+		}
+		[ 'since', 'until' ].forEach(function(key) {
+			if (!lodash.isUndefined(options[key])) {
+				assert(lodash.isDate(options[key]) || lodash.isNumber(options[key]), 'options.' + key + ' must be a Date or a Number');
+			}
+		});
+		if (!lodash.isUndefined(options.maxResults)) {
+			assert(lodash.isNumber(options.maxResults) && options.maxResults > 0, 'options.maxResults must be a number > 0');
+		}
+		if (!lodash.isUndefined(options.onMatchCallback)) {
+			assert(lodash.isFunction(options.onMatchCallback), 'options.onMatchCallback must be a function');
+		}
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param options
+	 *            see above
+	 */
+	var LogSearch = function(logManager, options) {
+		validateOptions(options);
+		var self = this;
+		var pattern = options.pattern;
+
+		this.logManager = logManager;
+		// the global flag is dropped because RegExp.test() is stateful for global patterns
+		this.pattern = lodash.isString(pattern) ? new RegExp(escapeRegExp(pattern)) : new RegExp(pattern.source, (pattern.ignoreCase ? 'i' : '') + (pattern.multiline ? 'm' : ''));
+		this.events = options.events;
+		this.pids = options.pids;
+		this.since = toTime(options.since);
+		this.until = toTime(options.until);
+		this.maxResults = options.maxResults || 1000;
+		this.onMatchCallback = options.onMatchCallback;
+		this.parsed = !!options.parsed;
+
+		this.result = {
+			matchCount : 0,
+			truncated : false,
+			cancelled : false,
+			filesSearched : [],
+			errors : []
+		};
+		if (!this.onMatchCallback) {
+			this.result.matches = [];
+		}
+
+		this.done = false;
+		this.source = null;
+		this.promise = when.promise(function(resolve) {
+			self.resolve = resolve;
+		});
+
+		when(this.filesToSearchPromise(), function(files) {
+			self.searchFiles(files);
+		}, function(err) {
+			self.result.errors.push({
+				error : err
+			});
+			self.finish();
+		});
+	};
+
+	/**
+	 * 
+	 * @returns a promise that resolves to the array of absolute file paths to
+	 *          search
+	 */
+	LogSearch.prototype.filesToSearchPromise = function() {
+		var self = this;
+		var logManager = this.logManager;
+		return when(logManager.logDirectoryFilesPromise(), function(files) {
+			var logFiles = lodash.sortBy(files).filter(function(file) {
+				var logFile = logManager.namingScheme.parse(path.basename(file));
+				if (!logFile) {
+					return false;
+				}
+				if (self.events && !lodash.contains(self.events, logFile.event)) {
+					return false;
+				}
+				if (self.pids && !lodash.contains(self.pids, logFile.pid)) {
+					return false;
+				}
+				return true;
+			}).map(function(file) {
+				return path.join(logManager.logDir, file);
+			});
+
+			if (lodash.isUndefined(self.since) && lodash.isUndefined(self.until)) {
+				return logFiles;
+			}
+
+			return when.reduce(logFiles, function(filesToSearch, file) {
+				return when.promise(function(resolve) {
+					fs.stat(file, function(err, stats) {
+						if (err) {
+							// the file was deleted or gzipped since the dir was read
+							resolve(filesToSearch);
+							return;
+						}
+						var created = fileReader.birthtime(stats);
+						if (!lodash.isUndefined(self.since) && stats.mtime.getTime() < self.since) {
+							resolve(filesToSearch);
+						} else if (!lodash.isUndefined(self.until) && created.getTime() > self.until) {
+							resolve(filesToSearch);
+						} else {
+							resolve(filesToSearch.concat([ file ]));
+						}
+					});
+				});
+			}, []);
+		});
+	};
+
+	LogSearch.prototype.searchFiles = function(files) {
+		var self = this;
+		if (this.done) {
+			return;
+		}
+		if (files.length === 0) {
+			this.finish();
+			return;
+		}
+
+		var file = files[0];
+		var logFile = this.logManager.namingScheme.parse(path.basename(file)) || {};
+		var lineNumber = 0;
+		var splitter = fileReader.lineSplitter(function(line) {
+			if (self.done) {
+				return;
+			}
+			lineNumber++;
+			var text = line.toString().replace(/\r?\n$/, '');
+			if (self.pattern.test(text)) {
+				var match = {
+					file : file,
+					lineNumber : lineNumber,
+					line : text
+				};
+				if (self.parsed) {
+					match.parsed = goodEvents.parseLine(text, {
+						event : logFile.event,
+						pid : logFile.pid,
+						file : file,
+						lineNumber : lineNumber
+					});
+				}
+				self.addMatch(match);
+			}
+		});
+
+		var fileDone = false;
+		var next = function() {
+			if (!fileDone) {
+				fileDone = true;
+				self.source = null;
+				self.searchFiles(files.slice(1));
+			}
+		};
+
+		this.result.filesSearched.push(file);
+		this.source = fs.createReadStream(file);
+		var stream = fileReader.decompress(this.source, file);
+		stream.on('data', function(data) {
+			if (!self.done) {
+				splitter.write(data);
+			}
+		});
+		stream.on('error', function(err) {
+			if (!fileDone && err.code !== 'ENOENT') {
+				log.warn('search() : failed to read : ' + file + ' : ' + err);
+				self.result.errors.push({
+					file : file,
+					error : err
+				});
+			}
+			next();
+		});
+		stream.on('end', function() {
+			splitter.end();
+			next();
+		});
+	};
+
+	LogSearch.prototype.addMatch = function(match) {
+		if (this.result.matchCount >= this.maxResults) {
+			this.result.truncated = true;
+			this.finish();
+			return;
+		}
+		this.result.matchCount++;
+		if (this.onMatchCallback) {
+			this.onMatchCallback(match);
+		} else {
+			this.result.matches.push(match);
+		}
+	};
+
+	/**
+	 * Stops searching, and resolves the promise
+	 */
+	LogSearch.prototype.finish = function() {
+		if (this.done) {
+			return;
+		}
+		this.done = true;
+		if (this.source) {
+			this.source.destroy();
+			this.source = null;
+		}
+		this.resolve(this.result);
+	};
+
+	/**
+	 * Cancels the search. The promise resolves with the matches found so far.
+	 */
+	LogSearch.prototype.cancel = function() {
+		if (!this.done) {
+			this.result.cancelled = true;
+			this.finish();
+		}
+	};
+
+	module.exports = LogSearch;
+
+}());
@@ -0,0 +1,368 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Performs a tail -f on all log streams of an event, i.e., one live feed across
+ * all pids, e.g., for the request log files of a clustered service. Each pid's
+ * log stream is followed by a StreamFollower - see stream-follower.js - and new
+ * pids are picked up as their log files appear in the log dir. Pids whose log
+ * files were all archived are no longer followed. The log dir is watched once,
+ * and its changes are fanned out to the StreamFollowers.
+ * 
+ * The data is delivered line by line, where each line is tagged with its
+ * source :
+ * 
+ * <code>
+ * {
+ * pid : 1234,								// undefined if the naming scheme has no pid
+ * file : '/logs/request.1234.log.001',		// absolute path of the log file the line was read from
+ * line : '{"event":"request",...}',		// String - without the trailing newline
+ * timestamp : Date							// the hapi good event timestamp - undefined if the line has no timestamp
+ * }
+ * </code>
+ * 
+ * Lines are held back for the merge window, so that the lines from different
+ * pids can be interleaved by their timestamps. Lines without a timestamp keep
+ * their position relative to the preceding line of the same pid, i.e., the
+ * lines of a pid are never reordered. Blank lines are skipped.
+ * 
+ * options
+ * 
+ * <code>
+ * dir					REQUIRED - absolute path of the dir that contains the log files
+ * namingScheme			REQUIRED - NamingScheme - see naming-schemes.js
+ * event				REQUIRED - the log event
+ * onDataCallback		REQUIRED - function(line){} - where line is described above
+ * onSwitchCallback		OPTIONAL - function(from,to){} - invoked whenever a pid's log stream switches to another log file
+ * 								 - from is null for the first log file of a pid
+ * onCloseCallback		OPTIONAL - function(code){} - where code is 0 when following is stopped, 1 on failure
+ * lines				OPTIONAL - the number of lines to output from each pid's log file when following starts. Default is 10
+ * 								 - the log files of pids that are picked up later are followed from the beginning
+ * mergeWindowMillis	OPTIONAL - how long lines are held back to be interleaved by timestamp - 0 delivers the lines as they
+ * 								   are read. Default is 1000
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var fileReader = require('./file-reader');
+	var goodEvents = require('./good-events');
+	var StreamFollower = require('./stream-follower');
+
+	var noop = function() {
+		return undefined;
+	};
+
+	/**
+	 * 
+	 * @param text
+	 *            the line
+	 * @returns the embedded hapi good event timestamp, or undefined
+	 */
+	var lineTimestamp = function(text) {
+		var parsed = goodEvents.parseLine(text);
+		return parsed && !(parsed instanceof goodEvents.LogParseError) ? parsed.timestamp : undefined;
+	};
+
+	var MergedFollower = function(options) {
+		assert(lodash.isObject(options), 'options is required');
+		assert(lodash.isString(options.dir), 'options.dir is required and must be a String');
+		assert(lodash.isObject(options.namingScheme), 'options.namingScheme is required');
+		assert(lodash.isString(options.event), 'options.event is required and must be a String');
+		assert(lodash.isFunction(options.onDataCallback), 'options.onDataCallback is required and must be a function');
+		if (!lodash.isUndefined(options.mergeWindowMillis)) {
+			assert(lodash.isNumber(options.mergeWindowMillis) && options.mergeWindowMillis >= 0, 'options.mergeWindowMillis must be >= 0');
+		}
+
+		this.dir = options.dir;
+		this.namingScheme = options.namingScheme;
+		this.event = options.event;
+		this.lines = options.lines;
+		this.mergeWindowMillis = lodash.isUndefined(options.mergeWindowMillis) ? 1000 : options.mergeWindowMillis;
+		this.onDataCallback = options.onDataCallback;
+		this.onSwitchCallback = options.onSwitchCallback || noop;
+		this.onCloseCallback = options.onCloseCallback || noop;
+		// pid -> {pid,file,follower,splitter,lastSortTime}
+		this.sources = {};
+		// the lines that are held back for the merge window : [{line,sortTime,sequence,releaseTime}]
+		this.pendingLines = [];
+		this.sequence = 0;
+		this.flushTimer = null;
+		this.scanned = false;
+		this.scanning = false;
+		this.scanPending = false;
+		this.paused = false;
+		this.closed = false;
+
+		var self = this;
+		// the pids' followers share this watcher, i.e., the log dir is watched once
+		this.watcher = fs.watch(this.dir, function() {
+			self.scan();
+			lodash.values(self.sources).forEach(function(source) {
+				source.follower.scan();
+			});
+		});
+		this.watcher.on('error', function(err) {
+			log.error('tailFollow() watch failed : ' + self.dir + ' : ' + err);
+			self.close(1);
+		});
+		this.scan();
+	};
+
+	/**
+	 * 
+	 * @returns a promise that resolves to the pids that have log files which
+	 *          are not archived
+	 */
+	MergedFollower.prototype.pidsPromise = function() {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			fs.readdir(self.dir, function(err, names) {
+				if (err) {
+					reject(err);
+					return;
+				}
+				var logFiles = names.map(function(name) {
+					return self.namingScheme.parse(name);
+				}).filter(function(logFile) {
+					return logFile && !logFile.archived && logFile.event === self.event;
+				});
+				resolve(lodash.uniq(lodash.pluck(logFiles, 'pid')));
+			});
+		});
+	};
+
+	/**
+	 * Follows the pids that have log files, and stops following the pids that
+	 * no longer have log files. If a scan is already in progress, then another
+	 * scan is performed once it completes.
+	 */
+	MergedFollower.prototype.scan = function() {
+		var self = this;
+		if (this.closed) {
+			return;
+		}
+		if (this.scanning) {
+			this.scanPending = true;
+			return;
+		}
+		this.scanning = true;
+		this.scanPending = false;
+
+		var scanDone = function() {
+			self.scanned = true;
+			self.scanning = false;
+			if (self.scanPending) {
+				self.scan();
+			}
+		};
+
+		when(this.pidsPromise(), function(pids) {
+			if (self.closed) {
+				return;
+			}
+			pids.forEach(function(pid) {
+				if (!self.sources[pid]) {
+					self.follow(pid);
+				}
+			});
+			lodash.values(self.sources).forEach(function(source) {
+				if (!lodash.contains(pids, source.pid)) {
+					if (log.isDebugEnabled()) {
+						log.debug('tailFollow() pid has no more log files : ' + self.event + '.' + source.pid);
+					}
+					self.unfollow(source);
+				}
+			});
+		}).then(scanDone, function(err) {
+			log.warn('tailFollow() failed to scan : ' + self.dir + ' : ' + err);
+			scanDone();
+		});
+	};
+
+	/**
+	 * 
+	 * @param pid
+	 *            undefined if the naming scheme has no pid
+	 */
+	MergedFollower.prototype.follow = function(pid) {
+		var self = this;
+		var source = {
+			pid : pid,
+			file : null,
+			lastSortTime : 0
+		};
+		source.splitter = fileReader.lineSplitter(function(line) {
+			self.push(source, line);
+		});
+		this.sources[pid] = source;
+		source.follower = new StreamFollower({
+			dir : this.dir,
+			namingScheme : this.namingScheme,
+			event : this.event,
+			pid : pid,
+			watch : false,
+			lines : this.lines,
+			// pids that are picked up later are followed from the beginning
+			offset : this.scanned ? 0 : undefined,
+			onDataCallback : source.splitter.write,
+			onSwitchCallback : function(from, to) {
+				// the last line of the previous log file might not end with a newline
+				source.splitter.end();
+				source.file = to;
+				self.onSwitchCallback(from, to);
+			},
+			onCloseCallback : function(code) {
+				if (code !== 0 && self.sources[pid] === source) {
+					log.warn('tailFollow() stopped following : ' + self.event + '.' + pid);
+					self.unfollow(source);
+				}
+			}
+		});
+		if (this.paused) {
+			source.follower.pause();
+		}
+	};
+
+	MergedFollower.prototype.unfollow = function(source) {
+		delete this.sources[source.pid];
+		source.follower.close();
+		source.splitter.end();
+	};
+
+	/**
+	 * Stops reading the log files until resume() is invoked - the lines that
+	 * were already read are still delivered
+	 */
+	MergedFollower.prototype.pause = function() {
+		this.paused = true;
+		lodash.values(this.sources).forEach(function(source) {
+			source.follower.pause();
+		});
+	};
+
+	MergedFollower.prototype.resume = function() {
+		this.paused = false;
+		lodash.values(this.sources).forEach(function(source) {
+			source.follower.resume();
+		});
+	};
+
+	/**
+	 * 
+	 * @param source
+	 * @param line
+	 *            Buffer
+	 */
+	MergedFollower.prototype.push = function(source, line) {
+		var text = line.toString().replace(/\r?\n$/, '');
+		if (!text.trim()) {
+			return;
+		}
+		var timestamp = lineTimestamp(text);
+		var taggedLine = {
+			pid : source.pid,
+			file : source.file,
+			line : text,
+			timestamp : timestamp
+		};
+		if (!this.mergeWindowMillis || this.closed) {
+			this.onDataCallback(taggedLine);
+			return;
+		}
+
+		// the lines of a source are never reordered
+		source.lastSortTime = Math.max(timestamp ? timestamp.getTime() : 0, source.lastSortTime);
+		this.pendingLines.push({
+			line : taggedLine,
+			sortTime : source.lastSortTime,
+			sequence : this.sequence++,
+			releaseTime : Date.now() + this.mergeWindowMillis
+		});
+		this.scheduleFlush();
+	};
+
+	MergedFollower.prototype.scheduleFlush = function() {
+		var self = this;
+		if (this.flushTimer || this.pendingLines.length === 0) {
+			return;
+		}
+		var releaseTime = lodash.min(this.pendingLines, 'releaseTime').releaseTime;
+		this.flushTimer = setTimeout(function() {
+			self.flushTimer = null;
+			self.flush();
+		}, Math.max(releaseTime - Date.now(), 0));
+	};
+
+	/**
+	 * Delivers the lines that were held back for the merge window, in
+	 * timestamp order - along with the lines that sort before them
+	 * 
+	 * @param all
+	 *            OPTIONAL - if true, then all pending lines are delivered
+	 */
+	MergedFollower.prototype.flush = function(all) {
+		var now = Date.now();
+		var sortedLines = this.pendingLines.slice().sort(function(line1, line2) {
+			return line1.sortTime - line2.sortTime || line1.sequence - line2.sequence;
+		});
+		var releasedCount = 0;
+		sortedLines.forEach(function(pendingLine, i) {
+			if (all || pendingLine.releaseTime <= now) {
+				releasedCount = i + 1;
+			}
+		});
+		this.pendingLines = sortedLines.slice(releasedCount);
+		sortedLines.slice(0, releasedCount).forEach(function(pendingLine) {
+			this.onDataCallback(pendingLine.line);
+		}, this);
+		this.scheduleFlush();
+	};
+
+	/**
+	 * Stops following the log streams - the lines that are held back are
+	 * delivered first
+	 * 
+	 * @param code
+	 *            OPTIONAL - the code passed to the onCloseCallback. Default is
+	 *            0
+	 */
+	MergedFollower.prototype.close = function(code) {
+		if (this.closed) {
+			return;
+		}
+		lodash.values(this.sources).forEach(this.unfollow, this);
+		this.closed = true;
+		this.watcher.close();
+		if (this.flushTimer) {
+			clearTimeout(this.flushTimer);
+			this.flushTimer = null;
+		}
+		this.flush(true);
+		this.onCloseCallback(code || 0);
+	};
+
+	module.exports = MergedFollower;
+
+}());
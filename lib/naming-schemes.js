@@ -0,0 +1,201 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * A naming scheme describes how log file names are laid out, i.e., which parts
+ * of the file name hold the event, pid, sequence and date. It is used by the
+ * LogManager to recognise the log files it manages.
+ * 
+ * options
+ * 
+ * <code>
+ * {
+ * name : 'good',								// OPTIONAL - used for logging
+ * pattern : /^(\w+)\.(\d+)\.log\.(\d+)$/,		// REQUIRED - matches the plain log file name. It must be anchored with '^' and '$'
+ * fields : {									// REQUIRED - maps the field names to the pattern's capture group indexes
+ * 		event : 1,								// REQUIRED
+ * 		pid : 2,								// OPTIONAL - if not specified, then files are never considered to belong to a dead process
+ * 		sequence : 3,							// OPTIONAL - if not specified or not matched, then the sequence is 0
+ * 		date : 4								// OPTIONAL - YYYY-MM-DD - files are ordered by date and then sequence
+ * },
+ * sequenceDescending : false					// OPTIONAL - set to true when lower sequence numbers are newer, e.g., logrotate style name.log.1
+ * }
+ * </code>
+ * 
+ * The following presets are provided:
+ * 
+ * <code>
+ * good			[event].[pid].log.[sequence]	e.g., ops.25559.log.001 - created by the runrightfast-process-monitor-hapi-plugin
+ * dated		[name]-[date].log.[sequence]	e.g., app-2026-10-18.log.3
+ * numbered		[name].log.[sequence]			e.g., app.log.3 - logrotate style, where app.log is the newest file
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+
+	var codecs = require('./codecs');
+
+	var escapeRegExp = function(text) {
+		return text.replace(/[\-\[\]\/{}()*+?.\\\^$|]/g, '\\$&');
+	};
+
+	var NamingScheme = function(options) {
+		assert(lodash.isObject(options), 'options is required and must be an Object');
+		assert(lodash.isRegExp(options.pattern), 'options.pattern is required and must be a RegExp');
+		assert(/^\^/.test(options.pattern.source) && /\$$/.test(options.pattern.source), 'options.pattern must be anchored with ^ and $');
+		assert(lodash.isObject(options.fields), 'options.fields is required and must be an Object');
+		assert(lodash.isNumber(options.fields.event), 'options.fields.event is required and must be a capture group index');
+		['pid', 'sequence', 'date'].forEach(function(field) {
+			if (!lodash.isUndefined(options.fields[field])) {
+				assert(lodash.isNumber(options.fields[field]), 'options.fields.' + field + ' must be a capture group index');
+			}
+		});
+
+		this.name = options.name || 'custom';
+		this.pattern = options.pattern;
+		this.fields = options.fields;
+		this.sequenceDescending = !!options.sequenceDescending;
+		this.hasPid = !lodash.isUndefined(options.fields.pid);
+		var source = options.pattern.source;
+		// the group is non capturing, so that the field indexes still apply
+		this.archivedPattern = new RegExp(source.substring(0, source.length - 1) + '(?:' + codecs.extensions().map(escapeRegExp).join('|') + ')$');
+	};
+
+	/**
+	 * 
+	 * @param scheme
+	 * @param matchResult
+	 * @param codec
+	 *            OPTIONAL - the codec name if the file is archived
+	 */
+	var toMatchResult = function(scheme, matchResult, codec) {
+		var fields = scheme.fields;
+		var sequence = lodash.isUndefined(fields.sequence) ? undefined : matchResult[fields.sequence];
+		var pid = scheme.hasPid ? matchResult[fields.pid] : undefined;
+		return {
+			event : matchResult[fields.event],
+			pid : lodash.isUndefined(pid) ? undefined : parseInt(pid, 10),
+			logFileSequence : lodash.isUndefined(sequence) ? 0 : parseInt(sequence, 10),
+			date : lodash.isUndefined(fields.date) ? undefined : matchResult[fields.date],
+			archived : !!codec,
+			codec : codec
+		};
+	};
+
+	/**
+	 * 
+	 * @param fileName
+	 *            the file's base name
+	 * @returns an object with the following properties if the file name
+	 *          matches the scheme, otherwise null
+	 * 
+	 * <code>
+	 * event
+	 * pid 					undefined if the scheme has no pid field
+	 * logFileSequence
+	 * date					undefined if the scheme has no date field
+	 * archived				true if the file is compressed - see codecs.js
+	 * codec				the codec name if the file is archived
+	 * </code>
+	 */
+	NamingScheme.prototype.parse = function(fileName) {
+		var matchResult = fileName.match(this.pattern);
+		if (matchResult) {
+			return toMatchResult(this, matchResult);
+		}
+		matchResult = fileName.match(this.archivedPattern);
+		if (matchResult) {
+			return toMatchResult(this, matchResult, codecs.forFile(fileName).name);
+		}
+		return null;
+	};
+
+	/**
+	 * Sorts the parsed files from newest to oldest.
+	 * 
+	 * @param files
+	 *            objects returned by parse()
+	 * @return a new sorted array
+	 */
+	NamingScheme.prototype.sortNewestFirst = function(files) {
+		var sequenceDescending = this.sequenceDescending;
+		return files.slice().sort(function(f1, f2) {
+			var date1 = f1.date || '';
+			var date2 = f2.date || '';
+			if (date1 !== date2) {
+				return date1 < date2 ? 1 : -1;
+			}
+			return sequenceDescending ? f1.logFileSequence - f2.logFileSequence : f2.logFileSequence - f1.logFileSequence;
+		});
+	};
+
+	var presets = {
+		good : {
+			name : 'good',
+			pattern : /^(\w+)\.(\d+)\.log\.(\d+)$/,
+			fields : {
+				event : 1,
+				pid : 2,
+				sequence : 3
+			}
+		},
+		dated : {
+			name : 'dated',
+			pattern : /^([\w\-]+?)-(\d{4}-\d{2}-\d{2})\.log(?:\.(\d+))?$/,
+			fields : {
+				event : 1,
+				date : 2,
+				sequence : 3
+			}
+		},
+		numbered : {
+			name : 'numbered',
+			pattern : /^([\w\-]+)\.log(?:\.(\d+))?$/,
+			fields : {
+				event : 1,
+				sequence : 2
+			},
+			sequenceDescending : true
+		}
+	};
+
+	/**
+	 * 
+	 * @param scheme
+	 *            either a preset name, an options object, or a NamingScheme
+	 * @returns NamingScheme
+	 */
+	var resolve = function(scheme) {
+		if (scheme instanceof NamingScheme) {
+			return scheme;
+		}
+		if (lodash.isString(scheme)) {
+			assert(presets[scheme], 'unknown naming scheme preset : ' + scheme);
+			return new NamingScheme(presets[scheme]);
+		}
+		return new NamingScheme(scheme);
+	};
+
+	module.exports = {
+		NamingScheme : NamingScheme,
+		presets : presets,
+		resolve : resolve
+	};
+
+}());
@@ -0,0 +1,320 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Aggregates the hapi good 'ops' events into time buckets. The following
+ * metrics are aggregated :
+ * 
+ * <code>
+ * heapUsed			proc.mem.heapUsed
+ * heapTotal		proc.mem.heapTotal
+ * rss				proc.mem.rss
+ * load				os.load[0] - 1 minute load average
+ * eventLoopDelay	proc.delay
+ * </code>
+ * 
+ * options
+ * 
+ * <code>
+ * bucketMillis		OPTIONAL - bucket size. Buckets are aligned to the epoch. Default is 1 minute
+ * pid				OPTIONAL - only aggregate the ops events for this pid. Default is to aggregate across all pids
+ * since			OPTIONAL - Date or epoch millis - inclusive
+ * until			OPTIONAL - Date or epoch millis - exclusive
+ * percentiles		OPTIONAL - array of percentiles to compute. Default is [50,90,99]
+ * </code>
+ * 
+ * The result has the following properties :
+ * 
+ * <code>
+ * bucketMillis
+ * buckets			array of {start,end,count,metrics} ordered by start - where metrics maps the metric name to {min,max,avg,count,p50,p90,p99}
+ * 					metrics that are not present in any ops event in the bucket are omitted
+ * filesRead		array of absolute file paths
+ * parseErrors		number of lines that could not be parsed
+ * errors			array of {file,error}
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var path = require('path');
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var fileReader = require('./file-reader');
+	var goodEvents = require('./good-events');
+
+	var METRICS = {
+		heapUsed : function(data) {
+			return data.proc && data.proc.mem && data.proc.mem.heapUsed;
+		},
+		heapTotal : function(data) {
+			return data.proc && data.proc.mem && data.proc.mem.heapTotal;
+		},
+		rss : function(data) {
+			return data.proc && data.proc.mem && data.proc.mem.rss;
+		},
+		load : function(data) {
+			return data.os && lodash.isArray(data.os.load) ? data.os.load[0] : undefined;
+		},
+		eventLoopDelay : function(data) {
+			return data.proc && data.proc.delay;
+		}
+	};
+
+	var toTime = function(date) {
+		return lodash.isDate(date) ? date.getTime() : date;
+	};
+
+	var validateOptions = function(options) {
+		assert(lodash.isObject(options), 'options must be an Object');
+		assert(lodash.isNumber(options.bucketMillis) && options.bucketMillis > 0, 'options.bucketMillis must be a number > 0');
+		if (!lodash.isUndefined(options.pid)) {
+			assert(lodash.isNumber(options.pid), 'options.pid must be a Number');
+		}
+		[ 'since', 'until' ].forEach(function(key) {
+			if (!lodash.isUndefined(options[key])) {
+				assert(lodash.isDate(options[key]) || lodash.isNumber(options[key]), 'options.' + key + ' must be a Date or a Number');
+			}
+		});
+		assert(lodash.isArray(options.percentiles), 'options.percentiles must be an Array');
+		options.percentiles.forEach(function(percentile) {
+			assert(lodash.isNumber(percentile) && percentile > 0 && percentile <= 100, 'percentiles must be > 0 and <= 100');
+		});
+	};
+
+	/**
+	 * Nearest rank percentile
+	 * 
+	 * @param sortedValues
+	 * @param percentile
+	 */
+	var percentileValue = function(sortedValues, percentile) {
+		var rank = Math.ceil((percentile / 100) * sortedValues.length);
+		return sortedValues[Math.max(rank, 1) - 1];
+	};
+
+	var summarize = function(values, percentiles) {
+		var sortedValues = values.slice().sort(function(v1, v2) {
+			return v1 - v2;
+		});
+		var sum = lodash.reduce(values, function(total, value) {
+			return total + value;
+		}, 0);
+		var summary = {
+			min : sortedValues[0],
+			max : sortedValues[sortedValues.length - 1],
+			avg : sum / values.length,
+			count : values.length
+		};
+		percentiles.forEach(function(percentile) {
+			summary['p' + percentile] = percentileValue(sortedValues, percentile);
+		});
+		return summary;
+	};
+
+	/**
+	 * Collects ops events into buckets
+	 * 
+	 * @param options
+	 *            validated options
+	 */
+	var Aggregator = function(options) {
+		this.options = options;
+		this.since = toTime(options.since);
+		this.until = toTime(options.until);
+		// bucket start time -> {count,values:{metric -> [values]}}
+		this.buckets = {};
+	};
+
+	/**
+	 * 
+	 * @param event
+	 *            parsed ops event
+	 */
+	Aggregator.prototype.add = function(event) {
+		var time = event.timestamp.getTime();
+		if (event.event !== 'ops') {
+			return;
+		}
+		if (!lodash.isUndefined(this.options.pid) && event.pid !== this.options.pid) {
+			return;
+		}
+		if ((!lodash.isUndefined(this.since) && time < this.since) || (!lodash.isUndefined(this.until) && time >= this.until)) {
+			return;
+		}
+
+		var start = time - (time % this.options.bucketMillis);
+		var bucket = this.buckets[start];
+		if (!bucket) {
+			bucket = this.buckets[start] = {
+				count : 0,
+				values : {}
+			};
+		}
+		bucket.count++;
+		lodash.forOwn(METRICS, function(extract, metric) {
+			var value = extract(event.data);
+			if (lodash.isNumber(value) && !lodash.isNaN(value)) {
+				bucket.values[metric] = bucket.values[metric] || [];
+				bucket.values[metric].push(value);
+			}
+		});
+	};
+
+	/**
+	 * 
+	 * @returns the buckets ordered by start time, with summarized metrics
+	 */
+	Aggregator.prototype.summarize = function() {
+		var self = this;
+		var bucketMillis = this.options.bucketMillis;
+		return lodash.sortBy(lodash.keys(this.buckets).map(function(key) {
+			return parseInt(key, 10);
+		})).map(function(start) {
+			var bucket = self.buckets[start];
+			var metrics = {};
+			lodash.forOwn(bucket.values, function(values, metric) {
+				metrics[metric] = summarize(values, self.options.percentiles);
+			});
+			return {
+				start : new Date(start),
+				end : new Date(start + bucketMillis),
+				count : bucket.count,
+				metrics : metrics
+			};
+		});
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param since
+	 *            epoch millis
+	 * @returns a promise that resolves to the absolute file paths of the ops
+	 *          log files to read
+	 */
+	var opsLogFilesPromise = function(logManager, pid, since) {
+		return when(logManager.logDirectoryFilesPromise(), function(files) {
+			var opsLogFiles = lodash.sortBy(files).filter(function(file) {
+				var logFile = logManager.namingScheme.parse(path.basename(file));
+				return logFile && logFile.event === 'ops' && (lodash.isUndefined(pid) || lodash.isUndefined(logFile.pid) || logFile.pid === pid);
+			}).map(function(file) {
+				return path.join(logManager.logDir, file);
+			});
+
+			if (lodash.isUndefined(since)) {
+				return opsLogFiles;
+			}
+			// files that were last modified before 'since' cannot contain any events after 'since'
+			return when.reduce(opsLogFiles, function(filesToRead, file) {
+				return when.promise(function(resolve) {
+					fs.stat(file, function(err, stats) {
+						resolve(!err && stats.mtime.getTime() >= since ? filesToRead.concat([ file ]) : filesToRead);
+					});
+				});
+			}, []);
+		});
+	};
+
+	/**
+	 * 
+	 * @param logManager
+	 * @param options
+	 *            see above
+	 * @returns a promise that resolves to the result - see above
+	 */
+	var opsMetricsPromise = function(logManager, options) {
+		options = lodash.assign({
+			bucketMillis : 1000 * 60,
+			percentiles : [ 50, 90, 99 ]
+		}, options);
+		validateOptions(options);
+
+		var aggregator = new Aggregator(options);
+		var result = {
+			bucketMillis : options.bucketMillis,
+			filesRead : [],
+			parseErrors : 0,
+			errors : []
+		};
+
+		var readFile = function(file) {
+			return when.promise(function(resolve) {
+				var logFile = logManager.namingScheme.parse(path.basename(file)) || {};
+				var parser = goodEvents.lineParser(function(eventOrError) {
+					if (eventOrError instanceof goodEvents.LogParseError) {
+						result.parseErrors++;
+					} else {
+						aggregator.add(eventOrError);
+					}
+				}, {
+					event : logFile.event,
+					pid : logFile.pid,
+					file : file
+				});
+
+				result.filesRead.push(file);
+				var stream = fileReader.createReadStream(file);
+				var fileDone = false;
+				stream.on('data', parser.write);
+				stream.on('error', function(err) {
+					if (!fileDone) {
+						fileDone = true;
+						if (err.code !== 'ENOENT') {
+							log.warn('opsMetrics() : failed to read : ' + file + ' : ' + err);
+							result.errors.push({
+								file : file,
+								error : err
+							});
+						}
+						resolve();
+					}
+				});
+				stream.on('end', function() {
+					if (!fileDone) {
+						fileDone = true;
+						parser.end();
+						resolve();
+					}
+				});
+			});
+		};
+
+		var readPromise = when(opsLogFilesPromise(logManager, options.pid, toTime(options.since)), function(files) {
+			// the files are read one at a time
+			return when.reduce(files, function(acc, file) {
+				return readFile(file).yield(acc);
+			}, null);
+		});
+
+		return when(readPromise, function() {
+			result.buckets = aggregator.summarize();
+			return result;
+		});
+	};
+
+	module.exports = {
+		METRICS : METRICS,
+		opsMetricsPromise : opsMetricsPromise
+	};
+
+}());
@@ -0,0 +1,207 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Runtime statistics for a LogManager, and their Prometheus text exposition.
+ * The counters are kept by the Stats object, while the gauges are computed by
+ * the LogManager when a snapshot is taken - see LogManager.getStats().
+ * 
+ * A snapshot has the following properties :
+ * 
+ * <code>
+ * logDir
+ * watchEventCount
+ * filesGzipped
+ * bytesBeforeCompression
+ * bytesAfterCompression
+ * filesArchived
+ * archiveBacklog			number of files that are pending upload to the archive sink
+ * compressionQueueDepth	number of log files that are waiting to be compressed
+ * compressionsRunning		number of log files that are being compressed
+ * filesDeleted				reason -> count - see LogManager.DELETE_REASONS
+ * sweeps					{count,totalDurationMillis,lastDurationMillis,maxDurationMillis}
+ * errors					operation -> count
+ * tailProcesses			number of files and log streams that are being followed
+ * tailListeners			file or stream id -> number of listeners - see LogManager.tailFollow()
+ * logDirSizeBytes			total size of the files in the log dir, including sub dirs
+ * </code>
+ * 
+ * Dry runs are not counted, because no files are changed.
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+
+	var Stats = function() {
+		this.filesGzipped = 0;
+		this.bytesBeforeCompression = 0;
+		this.bytesAfterCompression = 0;
+		this.filesArchived = 0;
+		this.filesDeleted = {};
+		this.sweeps = {
+			count : 0,
+			totalDurationMillis : 0,
+			lastDurationMillis : 0,
+			maxDurationMillis : 0
+		};
+		this.errors = {};
+	};
+
+	Stats.prototype.gzipped = function(originalSize, compressedSize) {
+		this.filesGzipped++;
+		this.bytesBeforeCompression += originalSize;
+		this.bytesAfterCompression += compressedSize;
+	};
+
+	Stats.prototype.archived = function() {
+		this.filesArchived++;
+	};
+
+	Stats.prototype.deleted = function(reason) {
+		this.filesDeleted[reason] = (this.filesDeleted[reason] || 0) + 1;
+	};
+
+	Stats.prototype.sweepCompleted = function(durationMillis) {
+		this.sweeps.count++;
+		this.sweeps.totalDurationMillis += durationMillis;
+		this.sweeps.lastDurationMillis = durationMillis;
+		this.sweeps.maxDurationMillis = Math.max(this.sweeps.maxDurationMillis, durationMillis);
+	};
+
+	Stats.prototype.error = function(operation) {
+		this.errors[operation] = (this.errors[operation] || 0) + 1;
+	};
+
+	/**
+	 * 
+	 * @returns a copy of the counters
+	 */
+	Stats.prototype.counters = function() {
+		return {
+			filesGzipped : this.filesGzipped,
+			bytesBeforeCompression : this.bytesBeforeCompression,
+			bytesAfterCompression : this.bytesAfterCompression,
+			filesArchived : this.filesArchived,
+			filesDeleted : lodash.clone(this.filesDeleted),
+			sweeps : lodash.clone(this.sweeps),
+			errors : lodash.clone(this.errors)
+		};
+	};
+
+	var escapeLabelValue = function(value) {
+		return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+	};
+
+	/**
+	 * 
+	 * @param labels
+	 *            label name -> value
+	 * @returns the labels in the Prometheus format, e.g., {log_dir="/logs"}
+	 */
+	var formatLabels = function(labels) {
+		return '{' + lodash.map(labels, function(value, name) {
+			return name + '="' + escapeLabelValue(value) + '"';
+		}).join(',') + '}';
+	};
+
+	/**
+	 * 
+	 * @param snapshot
+	 *            see above
+	 * @param prefix
+	 *            OPTIONAL - metric name prefix. Default is 'log_manager_'
+	 * @returns the snapshot in the Prometheus text exposition format
+	 */
+	var toPrometheus = function(snapshot, prefix) {
+		prefix = prefix || 'log_manager_';
+		var lines = [];
+		var logDirLabel = {
+			log_dir : snapshot.logDir
+		};
+
+		var metric = function(name, type, help, samples) {
+			lines.push('# HELP ' + prefix + name + ' ' + help);
+			lines.push('# TYPE ' + prefix + name + ' ' + type);
+			samples.forEach(function(sample) {
+				lines.push(prefix + (sample.name || name) + formatLabels(lodash.assign({}, logDirLabel, sample.labels)) + ' ' + sample.value);
+			});
+		};
+
+		var labelled = function(values, labelName) {
+			return lodash.map(values, function(value, key) {
+				var labels = {};
+				labels[labelName] = key;
+				return {
+					labels : labels,
+					value : value
+				};
+			});
+		};
+
+		metric('watch_events_total', 'counter', 'Number of log dir watch events', [ {
+			value : snapshot.watchEventCount
+		} ]);
+		metric('files_gzipped_total', 'counter', 'Number of log files that were gzipped', [ {
+			value : snapshot.filesGzipped
+		} ]);
+		metric('gzip_bytes_before_total', 'counter', 'Number of bytes that were gzipped', [ {
+			value : snapshot.bytesBeforeCompression
+		} ]);
+		metric('gzip_bytes_after_total', 'counter', 'Number of gzipped bytes that were written', [ {
+			value : snapshot.bytesAfterCompression
+		} ]);
+		metric('files_archived_total', 'counter', 'Number of files that were uploaded to the archive sink', [ {
+			value : snapshot.filesArchived
+		} ]);
+		metric('archive_backlog_files', 'gauge', 'Number of files that are pending upload to the archive sink', [ {
+			value : snapshot.archiveBacklog
+		} ]);
+		metric('compression_queue_depth', 'gauge', 'Number of log files that are waiting to be compressed', [ {
+			value : snapshot.compressionQueueDepth
+		} ]);
+		metric('compressions_running', 'gauge', 'Number of log files that are being compressed', [ {
+			value : snapshot.compressionsRunning
+		} ]);
+		metric('files_deleted_total', 'counter', 'Number of files that were deleted by reason', labelled(snapshot.filesDeleted, 'reason'));
+		metric('sweep_duration_seconds', 'summary', 'Log dir sweep durations', [ {
+			name : 'sweep_duration_seconds_sum',
+			value : snapshot.sweeps.totalDurationMillis / 1000
+		}, {
+			name : 'sweep_duration_seconds_count',
+			value : snapshot.sweeps.count
+		} ]);
+		metric('last_sweep_duration_seconds', 'gauge', 'Duration of the last log dir sweep', [ {
+			value : snapshot.sweeps.lastDurationMillis / 1000
+		} ]);
+		metric('errors_total', 'counter', 'Number of errors by operation', labelled(snapshot.errors, 'operation'));
+		metric('tail_processes', 'gauge', 'Number of files that are being followed', [ {
+			value : snapshot.tailProcesses
+		} ]);
+		metric('tail_listeners', 'gauge', 'Number of listeners per followed file', labelled(snapshot.tailListeners, 'file'));
+		metric('log_dir_size_bytes', 'gauge', 'Total size of the files in the log dir', [ {
+			value : snapshot.logDirSizeBytes
+		} ]);
+
+		return lines.join('\n') + '\n';
+	};
+
+	module.exports = {
+		Stats : Stats,
+		toPrometheus : toPrometheus
+	};
+
+}());
@@ -0,0 +1,505 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Performs a tail -f on a logical log stream, i.e., the log files of an event
+ * and pid - or of an event across all pids. The newest log file of the stream
+ * is followed, and when a newer log file appears, e.g., when the writer moves
+ * from request.123.log.004 to request.123.log.005, the follower switches to it :
+ * 
+ * <code>
+ * 1. the rest of the current log file is read - from its compressed log file if it was compressed in the meantime
+ * 2. the onSwitchCallback is invoked
+ * 3. the newer log file is followed from its beginning
+ * </code>
+ * 
+ * When a stream spans multiple pids, then the newest log file of each pid is a
+ * candidate, and the candidate that was created last is followed, e.g., once a
+ * restarted process creates its first log file. Archived log files are never
+ * followed.
+ * 
+ * The log dir is watched for new log files via fs.watch() - unless the watch
+ * option is false.
+ * 
+ * A stream can be resumed from a position in one of its log files, e.g., a
+ * cursor - see cursors.js. The rest of that log file, and then the stream's
+ * newer log files are read in order, whether they have been compressed since or
+ * not, before the stream's newest log file is followed.
+ * 
+ * options
+ * 
+ * <code>
+ * dir					REQUIRED - absolute path of the dir that contains the log files
+ * namingScheme			REQUIRED - NamingScheme - see naming-schemes.js
+ * event				REQUIRED - the log event
+ * pid					OPTIONAL - if not specified, then the stream spans all pids
+ * onDataCallback		REQUIRED - function(data,offset,file){} - where data is Buffer, offset is the byte offset of the data, and file
+ * 								 is the absolute path of the log file that it was read from
+ * onSwitchCallback		OPTIONAL - function(from,to){} - where from and to are the absolute log file paths
+ * 								 - invoked whenever another log file is followed - from is null for the first log file
+ * onCloseCallback		OPTIONAL - function(code){} - where code is 0 when following is stopped, 1 on failure
+ * onTruncateCallback	OPTIONAL - function(file){} - invoked when the followed log file was truncated - see file-reader.js
+ * lines				OPTIONAL - the number of lines to output from the first log file. Default is 10
+ * 								 - if the stream has no log file yet, then its first log file is followed from the beginning
+ * offset				OPTIONAL - byte offset to start following the first log file from - overrides lines
+ * resumeFile			OPTIONAL - absolute path of the log file to resume the stream from at the offset - without its codec extension
+ * 								 - if the log file no longer exists, then the stream is resumed from its next log file
+ * watch				OPTIONAL - if false, then the log dir is not watched, and scan() must be invoked whenever the log dir changes,
+ * 								 e.g., by a MergedFollower that shares its watcher with its followers - see merged-follower.js. Default is true
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var fs = require('fs');
+	var path = require('path');
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var fileReader = require('./file-reader');
+	var codecs = require('./codecs');
+
+	var noop = function() {
+		return undefined;
+	};
+
+	var birthtime = fileReader.birthtime;
+
+	var StreamFollower = function(options) {
+		assert(lodash.isObject(options), 'options is required');
+		assert(lodash.isString(options.dir), 'options.dir is required and must be a String');
+		assert(lodash.isObject(options.namingScheme), 'options.namingScheme is required');
+		assert(lodash.isString(options.event), 'options.event is required and must be a String');
+		assert(lodash.isFunction(options.onDataCallback), 'options.onDataCallback is required and must be a function');
+
+		this.dir = options.dir;
+		this.namingScheme = options.namingScheme;
+		this.event = options.event;
+		this.pid = options.pid;
+		this.lines = options.lines;
+		this.offset = options.offset;
+		this.resumeFile = options.resumeFile;
+		this.onDataCallback = options.onDataCallback;
+		this.onSwitchCallback = options.onSwitchCallback || noop;
+		this.onCloseCallback = options.onCloseCallback || noop;
+		this.onTruncateCallback = options.onTruncateCallback || noop;
+		// the log file that is being followed, and its Follower - or its reader while the stream is resumed
+		this.file = null;
+		this.follower = null;
+		this.reader = null;
+		// used to tell whether the first log file existed when the stream was followed
+		this.scanned = false;
+		this.scanning = false;
+		this.scanPending = false;
+		this.paused = false;
+		this.closed = false;
+
+		this.watcher = null;
+
+		var self = this;
+		if (options.watch !== false) {
+			this.watcher = fs.watch(this.dir, function() {
+				self.scan();
+			});
+			this.watcher.on('error', function(err) {
+				log.error('tailFollow() watch failed : ' + self.dir + ' : ' + err);
+				self.close(1);
+			});
+		}
+		if (this.resumeFile) {
+			this.catchUp();
+		} else {
+			this.scan();
+		}
+	};
+
+	/**
+	 * 
+	 * @param archived
+	 *            if true, then the archived log files are included
+	 * @returns a promise that resolves to the stream's parsed log files - see
+	 *          NamingScheme.parse() - with their absolute path as the file
+	 *          property
+	 */
+	StreamFollower.prototype.logFilesPromise = function(archived) {
+		var self = this;
+		return when.promise(function(resolve, reject) {
+			fs.readdir(self.dir, function(err, names) {
+				if (err) {
+					reject(err);
+					return;
+				}
+				resolve(names.map(function(name) {
+					var logFile = self.namingScheme.parse(name);
+					if (logFile) {
+						logFile.file = path.join(self.dir, name);
+					}
+					return logFile;
+				}).filter(function(logFile) {
+					return logFile && (archived || !logFile.archived) && logFile.event === self.event
+							&& (lodash.isUndefined(self.pid) || logFile.pid === self.pid);
+				}));
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @returns a promise that resolves to the absolute path of the stream's
+	 *          newest log file, or null if the stream has no log files
+	 */
+	StreamFollower.prototype.newestFilePromise = function() {
+		var self = this;
+		return when(this.logFilesPromise(false), function(logFiles) {
+			var candidates = lodash.values(lodash.groupBy(logFiles, 'pid')).map(function(group) {
+				return self.namingScheme.sortNewestFirst(group)[0].file;
+			});
+			if (candidates.length < 2) {
+				return candidates.length ? candidates[0] : null;
+			}
+			return when.map(candidates, function(file) {
+				return when.promise(function(resolve) {
+					fs.stat(file, function(err, stats) {
+						resolve({
+							file : file,
+							// the file was deleted after the dir was read
+							birthtime : err ? 0 : birthtime(stats).getTime()
+						});
+					});
+				});
+			}).then(function(files) {
+				return lodash.max(files, 'birthtime').file;
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @returns a promise that resolves to the parsed log files to resume the
+	 *          stream from - oldest first, starting with the resume file, or
+	 *          the log file that follows it. If a log file exists both
+	 *          compressed and not, e.g., while it is being compressed, then
+	 *          the plain log file is kept.
+	 */
+	StreamFollower.prototype.resumeFilesPromise = function() {
+		var self = this;
+		return when(this.logFilesPromise(true), function(logFiles) {
+			var filesById = {};
+			logFiles.forEach(function(logFile) {
+				logFile.id = codecs.uncompressedFile(logFile.file);
+				if (!filesById[logFile.id] || !logFile.archived) {
+					filesById[logFile.id] = logFile;
+				}
+			});
+			var resumeLogFile = filesById[self.resumeFile];
+			if (!resumeLogFile) {
+				resumeLogFile = self.namingScheme.parse(path.basename(self.resumeFile));
+				if (!resumeLogFile) {
+					return [];
+				}
+				resumeLogFile.id = self.resumeFile;
+			}
+			var sortedLogFiles = self.namingScheme.sortNewestFirst(lodash.values(filesById).concat(filesById[self.resumeFile] ? [] : [ resumeLogFile ]))
+					.reverse();
+			return sortedLogFiles.slice(sortedLogFiles.indexOf(resumeLogFile)).filter(function(logFile) {
+				return !!logFile.file;
+			});
+		});
+	};
+
+	/**
+	 * Resumes the stream - see above. Scans are held off until the stream has
+	 * caught up.
+	 */
+	StreamFollower.prototype.catchUp = function() {
+		var self = this;
+		this.scanning = true;
+
+		var catchUpDone = function() {
+			self.scanned = true;
+			self.scanning = false;
+			self.scan();
+		};
+
+		when(this.resumeFilesPromise(), function(logFiles) {
+			var readLogFile = function(i) {
+				if (i >= logFiles.length || self.closed) {
+					return;
+				}
+				var logFile = logFiles[i];
+				var offset = logFile.id === self.resumeFile ? self.offset : 0;
+				// the newest log file might still be written to
+				if (i === logFiles.length - 1 && !logFile.archived) {
+					return self.switchTo(logFile.file, offset);
+				}
+				return when(self.readThrough(logFile.file, offset), function() {
+					return readLogFile(i + 1);
+				});
+			};
+			return readLogFile(0);
+		}).then(catchUpDone, function(err) {
+			log.warn('tailFollow() failed to resume : ' + self.resumeFile + ' : ' + err);
+			catchUpDone();
+		});
+	};
+
+	/**
+	 * Reads a log file that is no longer written to from the offset to its end.
+	 * If the log file was compressed before it could be read, then the
+	 * compressed log file is read instead.
+	 * 
+	 * @param file
+	 * @param offset
+	 * @returns a promise that resolves once the log file has been read
+	 */
+	StreamFollower.prototype.readThrough = function(file, offset) {
+		var self = this;
+		var previousFile = this.file;
+		this.file = file;
+		this.onSwitchCallback(previousFile, file);
+
+		var existsPromise = when.promise(function(resolve) {
+			fs.exists(file, resolve);
+		});
+		return when(existsPromise, function(exists) {
+			if (!exists && !codecs.isCompressed(file)) {
+				if (log.isDebugEnabled()) {
+					log.debug('tailFollow() log file was compressed before it could be read : ' + file);
+				}
+				return self.closed ? undefined : self.readCompressedFile(file, offset);
+			}
+			return when(self.readFile(file, offset), function(code) {
+				if (code === 0 || self.closed || codecs.isCompressed(file)) {
+					return;
+				}
+				return self.readCompressedFile(file, offset);
+			});
+		});
+	};
+
+	/**
+	 * 
+	 * @param file
+	 * @param offset
+	 * @returns a promise that resolves to the reader's close code once the file
+	 *          has been read from the offset to its end
+	 */
+	StreamFollower.prototype.readFile = function(file, offset) {
+		var self = this;
+		return when.promise(function(resolve) {
+			var reader = fileReader.read({
+				file : file,
+				offset : offset,
+				onDataCallback : function(data, dataOffset) {
+					self.onDataCallback(data, dataOffset, file);
+				},
+				onCloseCallback : function(code) {
+					self.reader = null;
+					resolve(code);
+				}
+			});
+			if (self.paused) {
+				reader.pause();
+			}
+			self.reader = reader;
+		});
+	};
+
+	/**
+	 * Reads the compressed log file of a log file that no longer exists
+	 * 
+	 * @param file
+	 *            the log file - without its codec extension
+	 * @param offset
+	 *            the offset in the decompressed data
+	 * @returns a promise that resolves once the compressed log file has been
+	 *          read, or if there is none
+	 */
+	StreamFollower.prototype.readCompressedFile = function(file, offset) {
+		var self = this;
+		var compressedFiles = codecs.extensions().map(function(extension) {
+			return file + extension;
+		});
+		return when.map(compressedFiles, function(compressedFile) {
+			return when.promise(function(resolve) {
+				fs.exists(compressedFile, resolve);
+			});
+		}).then(function(exists) {
+			var compressedFile = compressedFiles[exists.indexOf(true)];
+			if (compressedFile && !self.closed) {
+				return self.readFile(compressedFile, offset);
+			}
+		});
+	};
+
+	/**
+	 * Checks whether the stream has a newer log file, and switches to it. If a
+	 * scan is already in progress, then another scan is performed once it
+	 * completes.
+	 */
+	StreamFollower.prototype.scan = function() {
+		var self = this;
+		if (this.closed) {
+			return;
+		}
+		if (this.scanning) {
+			this.scanPending = true;
+			return;
+		}
+		this.scanning = true;
+		this.scanPending = false;
+
+		var scanDone = function() {
+			self.scanned = true;
+			self.scanning = false;
+			if (self.scanPending) {
+				self.scan();
+			}
+		};
+
+		when(this.newestFilePromise(), function(file) {
+			if (file && file !== self.file && !self.closed) {
+				// only the first log file that existed when the stream was followed is tailed - newer log files are followed from the beginning
+				return self.switchTo(file, self.scanned || self.file ? 0 : self.offset);
+			}
+		}).then(scanDone, function(err) {
+			log.warn('tailFollow() failed to scan : ' + self.dir + ' : ' + err);
+			scanDone();
+		});
+	};
+
+	/**
+	 * 
+	 * @param file
+	 *            the log file to follow
+	 * @param offset
+	 *            OPTIONAL - byte offset to start following the log file from -
+	 *            if not specified, then its last lines are followed
+	 * @returns a promise that resolves once the log file is followed
+	 */
+	StreamFollower.prototype.switchTo = function(file, offset) {
+		var self = this;
+		var previousFile = this.file;
+		var previousFollower = this.follower;
+		this.file = file;
+		this.follower = null;
+
+		var drainPromise = when.promise(function(resolve) {
+			if (!previousFollower) {
+				resolve();
+				return;
+			}
+			// the previous follower is no longer reachable by pause() and resume(), so it is drained even while paused - otherwise the
+			// switch would wait forever
+			previousFollower.resume();
+			previousFollower.read(function() {
+				previousFollower.close();
+				// if the log file was compressed before it was drained, then the rest is read from the compressed log file
+				fs.exists(previousFile, function(exists) {
+					resolve(exists || self.closed ? undefined : self.readCompressedFile(previousFile, previousFollower.position));
+				});
+			});
+		});
+
+		return when(drainPromise, function() {
+			if (self.closed) {
+				return;
+			}
+			if (log.isDebugEnabled()) {
+				log.debug('tailFollow() switching from : ' + previousFile + ' -> ' + file);
+			}
+			self.onSwitchCallback(previousFile, file);
+			var follower = fileReader.follow({
+				file : file,
+				lines : self.lines,
+				offset : offset,
+				onDataCallback : function(data, dataOffset) {
+					self.onDataCallback(data, dataOffset, file);
+				},
+				onCloseCallback : function(code) {
+					if (code !== 0 && self.follower === follower) {
+						self.close(code);
+					}
+				},
+				onTruncateCallback : function() {
+					self.onTruncateCallback(file);
+				}
+			});
+			if (self.paused) {
+				follower.pause();
+			}
+			self.follower = follower;
+		});
+	};
+
+	/**
+	 * Stops reading the log files until resume() is invoked - see
+	 * file-reader.js
+	 */
+	StreamFollower.prototype.pause = function() {
+		this.paused = true;
+		if (this.follower) {
+			this.follower.pause();
+		}
+		if (this.reader) {
+			this.reader.pause();
+		}
+	};
+
+	StreamFollower.prototype.resume = function() {
+		this.paused = false;
+		if (this.follower) {
+			this.follower.resume();
+		}
+		if (this.reader) {
+			this.reader.resume();
+		}
+	};
+
+	/**
+	 * Stops following the stream
+	 * 
+	 * @param code
+	 *            OPTIONAL - the code passed to the onCloseCallback. Default is
+	 *            0
+	 */
+	StreamFollower.prototype.close = function(code) {
+		if (this.closed) {
+			return;
+		}
+		this.closed = true;
+		if (this.watcher) {
+			this.watcher.close();
+			this.watcher = null;
+		}
+		if (this.follower) {
+			this.follower.close();
+			this.follower = null;
+		}
+		if (this.reader) {
+			this.reader.close();
+			this.reader = null;
+		}
+		this.onCloseCallback(code || 0);
+	};
+
+	module.exports = StreamFollower;
+
+}());
@@ -0,0 +1,291 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Delivers the data of a shared follower to one listener - see
+ * LogManager.tailFollow(). Each listener has its own buffer, so that a slow
+ * listener does not hold up the other listeners of the follower.
+ * 
+ * Each line or chunk is delivered with the cursor that follows it - see
+ * cursors.js - as long as the follower reports the position of the data.
+ * 
+ * If the onDataCallback returns a promise, then the next data is delivered
+ * once the promise is settled - in the meantime, the data is buffered. Switches
+ * and the close are buffered along with the data, i.e., the listener receives
+ * them in order.
+ * 
+ * When the buffer holds more than bufferLimit lines or chunks, then the
+ * overflow policy is applied - see OVERFLOW_POLICIES :
+ * 
+ * <code>
+ * dropOldest	the oldest buffered data is dropped - this is the default
+ * pause		the follower is paused, until the listener has caught up to half the buffer limit. The chunk that is
+ * 				already being read is still buffered, i.e., the buffer can exceed its limit by one chunk - or by the lines of
+ * 				one chunk in line mode
+ * disconnect	the listener is disconnected, and its buffer is discarded
+ * </code>
+ * 
+ * options
+ * 
+ * <code>
+ * onDataCallback			REQUIRED - function(data,cursor){} - where data is a Buffer chunk, or a String line in line mode
+ * 									 - data that is not a Buffer, e.g., a merged feed's tagged line, is delivered as is, without a cursor
+ * onSwitchCallback			OPTIONAL - function(from,to){}
+ * onCloseCallback			OPTIONAL - function(code){}
+ * lineMode					OPTIONAL - if true, then whole lines are delivered, without their trailing newline. Default is false
+ * encoding					OPTIONAL - line mode only - the encoding of the lines. Default is 'utf8'
+ * bufferLimit				OPTIONAL - the max number of lines or chunks that are buffered. Default is 1000
+ * overflow					OPTIONAL - the overflow policy - see OVERFLOW_POLICIES. Default is 'dropOldest'
+ * onOverflowCallback		OPTIONAL - function(){} - invoked when the buffer starts to overflow
+ * onPauseCallback			OPTIONAL - function(){} - invoked when the follower should be paused
+ * onResumeCallback			OPTIONAL - function(){} - invoked when the follower should be resumed
+ * onDisconnectCallback		OPTIONAL - function(err){} - invoked when the listener is disconnected
+ * </code>
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var when = require('when');
+
+	var logging = require('runrightfast-commons').logging;
+	var pkgInfo = require('./pkgInfo');
+	var log = logging.getLogger(pkgInfo.name);
+	var fileReader = require('./file-reader');
+	var cursors = require('./cursors');
+
+	var OVERFLOW_POLICIES = {
+		DROP_OLDEST : 'dropOldest',
+		PAUSE : 'pause',
+		DISCONNECT : 'disconnect'
+	};
+
+	var noop = function() {
+		return undefined;
+	};
+
+	var TailListener = function(options) {
+		assert(lodash.isObject(options), 'options is required');
+		assert(lodash.isFunction(options.onDataCallback), 'options.onDataCallback is required and must be a function');
+		if (!lodash.isUndefined(options.bufferLimit)) {
+			assert(lodash.isNumber(options.bufferLimit) && options.bufferLimit > 0, 'options.bufferLimit must be a number > 0');
+		}
+		if (!lodash.isUndefined(options.overflow)) {
+			assert(lodash.contains(lodash.values(OVERFLOW_POLICIES), options.overflow), 'options.overflow must be one of : '
+					+ lodash.values(OVERFLOW_POLICIES).join(','));
+		}
+		if (!lodash.isUndefined(options.encoding)) {
+			assert(Buffer.isEncoding(options.encoding), 'options.encoding is not supported : ' + options.encoding);
+		}
+
+		var self = this;
+		this.onDataCallback = options.onDataCallback;
+		this.onSwitchCallback = options.onSwitchCallback || noop;
+		this.onCloseCallback = options.onCloseCallback || noop;
+		this.onOverflowCallback = options.onOverflowCallback || noop;
+		this.onPauseCallback = options.onPauseCallback || noop;
+		this.onResumeCallback = options.onResumeCallback || noop;
+		this.onDisconnectCallback = options.onDisconnectCallback || noop;
+		this.encoding = options.encoding || 'utf8';
+		this.bufferLimit = options.bufferLimit || 1000;
+		this.overflow = options.overflow || OVERFLOW_POLICIES.DROP_OLDEST;
+		this.splitter = options.lineMode ? fileReader.lineSplitter(function(line) {
+			var cursor;
+			if (self.linePosition) {
+				self.linePosition.offset += line.length;
+				cursor = cursors.encode(self.linePosition.file, self.linePosition.offset);
+			}
+			self.push({
+				data : line.toString(self.encoding).replace(/\r?\n$/, ''),
+				cursor : cursor
+			});
+		}) : null;
+		// line mode only - {file,offset} of the line that is being split
+		this.linePosition = null;
+		// the buffered data, switches and close : [{data,cursor}|{fileSwitch:{from,to}}|{close:code}]
+		this.buffer = [];
+		// the number of buffered lines or chunks
+		this.bufferedDataCount = 0;
+		// the number of lines or chunks that were dropped by the dropOldest policy
+		this.droppedCount = 0;
+		this.overflowing = false;
+		this.paused = false;
+		this.delivering = false;
+		this.disconnected = false;
+
+		// bound, so that they can be registered as event listeners
+		this.write = this.write.bind(this);
+		this.switched = this.switched.bind(this);
+		this.closed = this.closed.bind(this);
+		this.truncated = this.truncated.bind(this);
+	};
+
+	/**
+	 * 
+	 * @param data
+	 *            Buffer chunk
+	 * @param position
+	 *            OPTIONAL - {file,offset} - where file is the file path
+	 *            relative to the log dir, without its codec extension, and
+	 *            offset is the byte offset of the data
+	 */
+	TailListener.prototype.write = function(data, position) {
+		if (this.splitter && Buffer.isBuffer(data)) {
+			if (position && !this.linePosition) {
+				this.linePosition = {
+					file : position.file,
+					offset : position.offset
+				};
+			}
+			this.splitter.write(data);
+		} else {
+			this.push({
+				data : data,
+				cursor : position && Buffer.isBuffer(data) ? cursors.encode(position.file, position.offset + data.length) : undefined
+			});
+		}
+	};
+
+	/**
+	 * The follower's file was truncated, i.e., its data starts over at offset 0
+	 */
+	TailListener.prototype.truncated = function() {
+		this.endLine();
+	};
+
+	TailListener.prototype.endLine = function() {
+		// the last line of a log file might not end with a newline
+		if (this.splitter) {
+			this.splitter.end();
+			this.linePosition = null;
+		}
+	};
+
+	TailListener.prototype.switched = function(from, to) {
+		this.endLine();
+		this.push({
+			fileSwitch : {
+				from : from,
+				to : to
+			}
+		});
+	};
+
+	TailListener.prototype.closed = function(code) {
+		this.endLine();
+		this.push({
+			close : code
+		});
+	};
+
+	TailListener.prototype.push = function(item) {
+		if (this.disconnected) {
+			return;
+		}
+		this.buffer.push(item);
+		if (lodash.has(item, 'data')) {
+			this.bufferedDataCount++;
+			if (this.bufferedDataCount > this.bufferLimit) {
+				this.overflowed();
+				if (this.disconnected) {
+					return;
+				}
+			}
+		}
+		this.deliver();
+	};
+
+	TailListener.prototype.overflowed = function() {
+		var oldestDataIndex;
+		if (!this.overflowing) {
+			this.overflowing = true;
+			log.warn('tail listener buffer limit exceeded : ' + this.bufferLimit + ' : ' + this.overflow);
+			this.onOverflowCallback();
+		}
+		switch (this.overflow) {
+		case OVERFLOW_POLICIES.DROP_OLDEST:
+			oldestDataIndex = lodash.findIndex(this.buffer, function(item) {
+				return lodash.has(item, 'data');
+			});
+			this.buffer.splice(oldestDataIndex, 1);
+			this.bufferedDataCount--;
+			this.droppedCount++;
+			break;
+		case OVERFLOW_POLICIES.PAUSE:
+			if (!this.paused) {
+				this.paused = true;
+				this.onPauseCallback();
+			}
+			break;
+		default:
+			// OVERFLOW_POLICIES.DISCONNECT
+			this.disconnected = true;
+			this.buffer = [];
+			this.bufferedDataCount = 0;
+			this.onDisconnectCallback(new Error('tail listener buffer limit exceeded : ' + this.bufferLimit));
+		}
+	};
+
+	/**
+	 * Delivers the buffered items, until the buffer is empty, or an
+	 * onDataCallback returns a promise that is not yet settled
+	 */
+	TailListener.prototype.deliver = function() {
+		var self = this;
+		var item, result;
+		var next = function() {
+			self.delivering = false;
+			self.deliver();
+		};
+		var failed = function(err) {
+			log.warn('tail listener callback failed : ' + err);
+			next();
+		};
+
+		while (!this.delivering && !this.disconnected && this.buffer.length > 0) {
+			item = this.buffer.shift();
+			if (lodash.has(item, 'data')) {
+				this.bufferedDataCount--;
+				result = this.onDataCallback(item.data, item.cursor);
+			} else if (item.fileSwitch) {
+				result = this.onSwitchCallback(item.fileSwitch.from, item.fileSwitch.to);
+			} else {
+				result = this.onCloseCallback(item.close);
+			}
+			this.caughtUp();
+			if (when.isPromiseLike(result)) {
+				this.delivering = true;
+				when(result, next, failed);
+			}
+		}
+	};
+
+	TailListener.prototype.caughtUp = function() {
+		if (this.paused && this.bufferedDataCount <= this.bufferLimit / 2) {
+			this.paused = false;
+			this.onResumeCallback();
+		}
+		if (this.overflowing && this.bufferedDataCount === 0) {
+			this.overflowing = false;
+		}
+	};
+
+	TailListener.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+
+	module.exports = TailListener;
+
+}());
@@ -0,0 +1,154 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+/**
+ * Runs tasks with bounded concurrency. Each task has a key, e.g., a file path -
+ * a task that is pushed while a task with the same key is queued or running is
+ * not added, but shares the queued or running task's promise.
+ * 
+ * Tasks are run in the order they were pushed.
+ */
+(function() {
+	'use strict';
+
+	var lodash = require('lodash');
+	var assert = require('assert');
+	var when = require('when');
+
+	/**
+	 * 
+	 * @param concurrency
+	 *            the max number of tasks that run at the same time
+	 */
+	var TaskQueue = function(concurrency) {
+		assert(lodash.isNumber(concurrency) && concurrency > 0, 'concurrency must be a number > 0');
+		this.concurrency = concurrency;
+		// the items that are waiting to run
+		this.queue = [];
+		// key -> item - for all queued and running items
+		this.items = {};
+		this.running = 0;
+		// used to keep the push order
+		this.sequence = 0;
+	};
+
+	var next = function(taskQueue) {
+		var run = function(item) {
+			var finish = function() {
+				taskQueue.running--;
+				delete taskQueue.items[item.key];
+				next(taskQueue);
+			};
+
+			item.state = 'running';
+			item.startedTime = new Date();
+			taskQueue.running++;
+			var promise;
+			try {
+				promise = when(item.task());
+			} catch (err) {
+				promise = when.reject(err);
+			}
+			promise.then(function(result) {
+				finish();
+				item.deferred.resolve(result);
+			}, function(err) {
+				finish();
+				item.deferred.reject(err);
+			});
+		};
+
+		while (taskQueue.running < taskQueue.concurrency && taskQueue.queue.length > 0) {
+			run(taskQueue.queue.shift());
+		}
+	};
+
+	/**
+	 * 
+	 * @param key
+	 * @param task
+	 *            function that returns a promise, or a value
+	 * @returns a promise that resolves to the task's result - if a task with
+	 *          the same key is already queued or running, then its promise is
+	 *          returned, and the task is not added
+	 */
+	TaskQueue.prototype.push = function(key, task) {
+		assert(lodash.isFunction(task), 'task must be a function');
+		if (this.items[key]) {
+			return this.items[key].promise;
+		}
+		var deferred = when.defer();
+		var item = {
+			key : key,
+			task : task,
+			deferred : deferred,
+			promise : deferred.promise,
+			state : 'queued',
+			queuedTime : new Date(),
+			sequence : this.sequence++
+		};
+		this.items[key] = item;
+		this.queue.push(item);
+		next(this);
+		return item.promise;
+	};
+
+	/**
+	 * 
+	 * @param key
+	 * @returns true if a task with the key is queued or running
+	 */
+	TaskQueue.prototype.has = function(key) {
+		return !!this.items[key];
+	};
+
+	/**
+	 * 
+	 * @returns the number of tasks that are waiting to run
+	 */
+	TaskQueue.prototype.depth = function() {
+		return this.queue.length;
+	};
+
+	/**
+	 * 
+	 * @returns the queued and running tasks, in the order they were pushed :
+	 *          [{key,state,queuedTime,startedTime}] - where state is 'queued'
+	 *          or 'running', and startedTime is undefined for queued tasks
+	 */
+	TaskQueue.prototype.pending = function() {
+		return lodash.sortBy(lodash.values(this.items), 'sequence').map(function(item) {
+			return {
+				key : item.key,
+				state : item.state,
+				queuedTime : item.queuedTime,
+				startedTime : item.startedTime
+			};
+		});
+	};
+
+	/**
+	 * 
+	 * @returns a promise that resolves once the tasks that are queued or
+	 *          running now have settled - whether they succeeded or failed
+	 */
+	TaskQueue.prototype.drainPromise = function() {
+		return when.settle(lodash.pluck(lodash.values(this.items), 'promise')).yield(undefined);
+	};
+
+	module.exports = TaskQueue;
+
+}());
@@ -0,0 +1,173 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var archiveSinks = require('../lib/archive-sinks');
+var fs = require('fs');
+var http = require('http');
+var file = require('file');
+var path = require('path');
+var when = require('when');
+
+describe('Archive Sinks', function() {
+	var tempDir = file.path.abspath('temp/archive-sinks');
+	var logFile = path.join(tempDir, 'ops.999999.log.001.gz');
+
+	/**
+	 * Local stand-in for an S3 compatible endpoint
+	 * 
+	 * @param statusCode
+	 * @param callback
+	 *            function(server,requests){} - invoked once the server is
+	 *            listening
+	 */
+	var s3StandIn = function(statusCode, callback) {
+		var requests = [];
+		var server = http.createServer(function(req, res) {
+			var body = [];
+			req.on('data', function(data) {
+				body.push(data);
+			});
+			req.on('end', function() {
+				requests.push({
+					method : req.method,
+					url : req.url,
+					headers : req.headers,
+					body : Buffer.concat(body).toString()
+				});
+				res.statusCode = statusCode;
+				res.end(statusCode === 200 ? '' : '<Error><Code>InternalError</Code></Error>');
+			});
+		});
+		server.listen(0, '127.0.0.1', function() {
+			callback(server, requests);
+		});
+	};
+
+	before(function(done) {
+		file.mkdirs(tempDir, parseInt('0755', 8), function(err) {
+			if (err) {
+				done(err);
+			} else {
+				fs.writeFile(logFile, 'SOME DATA', done);
+			}
+		});
+	});
+
+	it('dir copies the file into the dir using the key as the relative path', function(done) {
+		var archiveDir = path.join(tempDir, 'archive');
+		var sink = archiveSinks.resolve({
+			type : 'dir',
+			dir : archiveDir
+		});
+		when(sink.upload(logFile, 'api/ops.999999.log.001.gz'), function() {
+			expect(fs.readFileSync(path.join(archiveDir, 'api', 'ops.999999.log.001.gz'), 'utf8')).to.equal('SOME DATA');
+			expect(fs.readdirSync(path.join(archiveDir, 'api'))).to.eql([ 'ops.999999.log.001.gz' ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('dir fails if the file does not exist', function(done) {
+		var sink = archiveSinks.resolve({
+			type : 'dir',
+			dir : path.join(tempDir, 'archive')
+		});
+		when(sink.upload(path.join(tempDir, 'missing.gz'), 'missing.gz'), function() {
+			done(new Error('expected the upload to fail'));
+		}, function(err) {
+			expect(err.code).to.equal('ENOENT');
+			expect(fs.existsSync(path.join(tempDir, 'archive', 'missing.gz'))).to.equal(false);
+			done();
+		}).otherwise(done);
+	});
+
+	it('s3 PUTs the file to {endpoint}/{bucket}/{prefix}{key} with a signature version 4 authorization header', function(done) {
+		s3StandIn(200, function(server, requests) {
+			var sink = archiveSinks.resolve({
+				type : 's3',
+				endpoint : 'http://127.0.0.1:' + server.address().port,
+				bucket : 'logs',
+				prefix : 'api-gateway/',
+				region : 'eu-west-1',
+				accessKeyId : 'AKIDEXAMPLE',
+				secretAccessKey : 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+			});
+			when(sink.upload(logFile, 'ops.999999.log.001.gz'), function() {
+				server.close();
+				expect(requests.length).to.equal(1);
+				var req = requests[0];
+				expect(req.method).to.equal('PUT');
+				expect(req.url).to.equal('/logs/api-gateway/ops.999999.log.001.gz');
+				expect(req.body).to.equal('SOME DATA');
+				expect(req.headers['content-length']).to.equal('9');
+				expect(req.headers['x-amz-content-sha256']).to.equal('UNSIGNED-PAYLOAD');
+				expect(req.headers['x-amz-date']).to.match(/^\d{8}T\d{6}Z$/);
+				expect(req.headers.authorization).to.match(
+						/^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/);
+				done();
+			}).otherwise(function(err) {
+				server.close();
+				done(err);
+			});
+		});
+	});
+
+	it('s3 fails if the upload is not confirmed with a 2xx response', function(done) {
+		s3StandIn(500, function(server, requests) {
+			var sink = archiveSinks.resolve({
+				type : 's3',
+				endpoint : 'http://127.0.0.1:' + server.address().port,
+				bucket : 'logs'
+			});
+			when(sink.upload(logFile, 'ops.999999.log.001.gz'), function() {
+				server.close();
+				done(new Error('expected the upload to fail'));
+			}, function(err) {
+				server.close();
+				expect(err.message).to.contain('HTTP 500');
+				expect(requests[0].headers.authorization).to.equal(undefined);
+				done();
+			}).otherwise(done);
+		});
+	});
+
+	it('resolve returns custom sinks as is, and validates the preset options', function() {
+		var sink = {
+			upload : function() {
+				return when.resolve();
+			}
+		};
+		expect(archiveSinks.resolve(sink)).to.equal(sink);
+		expect(function() {
+			archiveSinks.resolve({
+				type : 'ftp'
+			});
+		}).to.throw(/unknown archive sink preset/);
+		expect(function() {
+			archiveSinks.resolve({
+				type : 's3'
+			});
+		}).to.throw(/bucket/);
+		expect(function() {
+			archiveSinks.resolve({
+				type : 'dir'
+			});
+		}).to.throw(/dir/);
+	});
+
+});
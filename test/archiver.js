@@ -0,0 +1,150 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var Archiver = require('../lib/archiver');
+var fs = require('fs');
+var file = require('file');
+var path = require('path');
+var when = require('when');
+
+describe('Archiver', function() {
+	var tempDir = file.path.abspath('temp/archiver');
+	var backlogFile = path.join(tempDir, 'backlog.json');
+	var logFile = path.join(tempDir, 'ops.999999.log.001.gz');
+
+	/**
+	 * 
+	 * @param failures
+	 *            the number of uploads that fail before uploads succeed
+	 * @returns a sink that records the uploaded keys
+	 */
+	var flakySink = function(failures) {
+		return {
+			files : [],
+			keys : [],
+			attempts : 0,
+			upload : function(file, key) {
+				this.attempts++;
+				if (this.attempts <= failures) {
+					return when.reject(new Error('upload failed'));
+				}
+				this.files.push(file);
+				this.keys.push(key);
+				return when.resolve();
+			}
+		};
+	};
+
+	var newArchiver = function(sink) {
+		return new Archiver({
+			sink : sink,
+			baseDir : tempDir,
+			backlogFile : backlogFile,
+			retries : 2,
+			retryDelayMillis : 1
+		});
+	};
+
+	before(function(done) {
+		file.mkdirs(tempDir, parseInt('0755', 8), done);
+	});
+
+	beforeEach(function() {
+		fs.writeFileSync(logFile, 'SOME DATA');
+		if (fs.existsSync(backlogFile)) {
+			fs.unlinkSync(backlogFile);
+		}
+	});
+
+	it('retries failed uploads, and persists the archived files', function(done) {
+		var sink = flakySink(2);
+		when(newArchiver(sink).archive(logFile), function(key) {
+			expect(key).to.equal('ops.999999.log.001.gz');
+			expect(sink.attempts).to.equal(3);
+			expect(sink.keys).to.eql([ key ]);
+			var archiver = newArchiver(sink);
+			return when.all([ archiver.isArchived(logFile), archiver.pendingFiles() ]);
+		}).then(function(results) {
+			expect(results[0]).to.equal(true);
+			expect(results[1]).to.eql([]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('keeps files whose uploads failed in the backlog across restarts', function(done) {
+		var sink = flakySink(3);
+		when(newArchiver(sink).archive(logFile), function() {
+			done(new Error('expected the upload to fail'));
+		}, function(err) {
+			expect(err.message).to.equal('upload failed');
+			expect(sink.attempts).to.equal(3);
+			var state = JSON.parse(fs.readFileSync(backlogFile, 'utf8'));
+			expect(state.pending[logFile]).to.eql({
+				attempts : 3,
+				lastError : 'upload failed'
+			});
+
+			var archiver = newArchiver(sink);
+			return when(archiver.pendingFiles(), function(pendingFiles) {
+				expect(pendingFiles).to.eql([ logFile ]);
+				return archiver.archive(logFile);
+			}).then(function() {
+				return archiver.pendingFiles();
+			}).then(function(pendingFiles) {
+				expect(pendingFiles).to.eql([]);
+				return archiver.isArchived(logFile);
+			}).then(function(archived) {
+				expect(archived).to.equal(true);
+				done();
+			});
+		}).otherwise(done);
+	});
+
+	it('shares the upload if the file is already being uploaded', function(done) {
+		var sink = flakySink(0);
+		var archiver = newArchiver(sink);
+		expect(archiver.archive(logFile)).to.equal(archiver.archive(logFile));
+		when(archiver.archive(logFile), function() {
+			expect(sink.keys.length).to.equal(1);
+			done();
+		}).otherwise(done);
+	});
+
+	it('forgets files that no longer exist, without retrying', function(done) {
+		var sink = flakySink(0);
+		sink.upload = function() {
+			this.attempts++;
+			var err = new Error('ENOENT');
+			err.code = 'ENOENT';
+			return when.reject(err);
+		};
+		var archiver = newArchiver(sink);
+		when(archiver.archive(logFile), function() {
+			done(new Error('expected the upload to fail'));
+		}, function(err) {
+			expect(err.code).to.equal('ENOENT');
+			expect(sink.attempts).to.equal(1);
+			return when(archiver.pendingFiles(), function(pendingFiles) {
+				expect(pendingFiles).to.eql([]);
+				done();
+			});
+		}).otherwise(done);
+	});
+
+});
@@ -0,0 +1,182 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var cli = require('../lib/cli');
+var fs = require('fs');
+var file = require('file');
+var path = require('path');
+
+describe('CLI', function() {
+	var logDir = file.path.abspath('temp/logs');
+	var configFile = file.path.abspath('temp/rrf-logs.json');
+	var inactiveLogFile = path.join(logDir, 'ops.999999.log.001');
+	var streams;
+
+	var output = function() {
+		var text = '';
+		return {
+			write : function(data) {
+				text += data.toString();
+			},
+			text : function() {
+				return text;
+			}
+		};
+	};
+
+	before(function(done) {
+		file.mkdirs(logDir, parseInt('0755', 8), done);
+	});
+
+	beforeEach(function() {
+		streams = {
+			stdout : output(),
+			stderr : output()
+		};
+		fs.writeFileSync(inactiveLogFile, 'line 1\nline 2\nline 3\n');
+		fs.writeFileSync(path.join(logDir, 'ops.999999.log.000.gz'), '');
+		fs.writeFileSync(path.join(logDir, 'not-a-log-file.txt'), '');
+	});
+
+	afterEach(function() {
+		fs.readdirSync(logDir).forEach(function(name) {
+			fs.unlinkSync(path.join(logDir, name));
+		});
+		if (fs.existsSync(configFile)) {
+			fs.unlinkSync(configFile);
+		}
+	});
+
+	it('prints the usage for an unknown command', function(done) {
+		cli.run([ 'unknown', '--log-dir', logDir ], streams, function(exitCode) {
+			expect(exitCode).to.equal(1);
+			expect(streams.stderr.text()).to.contain('Usage: rrf-logs');
+			done();
+		});
+	});
+
+	it('fails if the log dir is not specified', function(done) {
+		cli.run([ 'ls' ], streams, function(exitCode) {
+			expect(exitCode).to.equal(1);
+			expect(streams.stderr.text()).to.contain('logDir');
+			done();
+		});
+	});
+
+	it('lists the files with their status as JSON', function(done) {
+		cli.run([ 'ls', '--log-dir', logDir, '--json' ], streams, function(exitCode) {
+			expect(exitCode).to.equal(0);
+			var files = JSON.parse(streams.stdout.text());
+			expect(files.map(function(fileStats) {
+				return [ fileStats.file, fileStats.status ];
+			})).to.eql([ [ 'not-a-log-file.txt', 'unmanaged' ], [ 'ops.999999.log.000.gz', 'archived' ], [ 'ops.999999.log.001', 'inactive' ] ]);
+			expect(files[2].stats.size).to.equal(21);
+			done();
+		});
+	});
+
+	it('can tail and head a file', function(done) {
+		cli.run([ 'tail', 'ops.999999.log.001', '-n', '2', '--log-dir', logDir ], streams, function(exitCode) {
+			expect(exitCode).to.equal(0);
+			expect(streams.stdout.text()).to.equal('line 2\nline 3\n');
+
+			streams.stdout = output();
+			cli.run([ 'head', inactiveLogFile, '-n', '1', '--log-dir', logDir, '--json' ], streams, function(exitCode) {
+				expect(exitCode).to.equal(0);
+				expect(JSON.parse(streams.stdout.text())).to.eql({
+					file : inactiveLogFile,
+					lines : [ 'line 1' ]
+				});
+				done();
+			});
+		});
+	});
+
+	it('fails if the file does not exist', function(done) {
+		cli.run([ 'tail', 'ops.1.log.001', '--log-dir', logDir ], streams, function(exitCode) {
+			expect(exitCode).to.equal(1);
+			expect(streams.stderr.text()).to.contain('file does not exist');
+			done();
+		});
+	});
+
+	it('can follow a file until interrupted', function(done) {
+		cli.run([ 'follow', 'ops.999999.log.001', '-n', '1', '--log-dir', logDir, '--json' ], streams, function(exitCode) {
+			expect(exitCode).to.equal(0);
+			expect(streams.stdout.text().trim().split('\n').map(function(line) {
+				return JSON.parse(line).line;
+			})).to.eql([ 'line 3', 'line 4' ]);
+			done();
+		});
+
+		setTimeout(function() {
+			fs.appendFileSync(inactiveLogFile, 'line 4\n');
+			setTimeout(function() {
+				process.emit('SIGINT');
+			}, 200);
+		}, 200);
+	});
+
+	it('can sweep as a dry run', function(done) {
+		cli.run([ 'sweep', '--dry-run', '--log-dir', logDir, '--json' ], streams, function(exitCode) {
+			expect(exitCode).to.equal(0);
+			var report = JSON.parse(streams.stdout.text());
+			expect(report.dryRun).to.equal(true);
+			expect(report.gzipped).to.eql([ inactiveLogFile ]);
+			expect(fs.existsSync(inactiveLogFile)).to.equal(true);
+			done();
+		});
+	});
+
+	it('reads the LogManager options from a config file', function(done) {
+		fs.writeFileSync(configFile, JSON.stringify({
+			logDir : 'logs'
+		}));
+		cli.run([ 'clean', '--config', configFile ], streams, function(exitCode) {
+			expect(exitCode).to.equal(0);
+			expect(streams.stdout.text()).to.contain('deleted ' + inactiveLogFile);
+			expect(fs.readdirSync(logDir)).to.eql([]);
+			done();
+		});
+	});
+
+	it('prints the files that a sweep archived', function(done) {
+		fs.writeFileSync(configFile, JSON.stringify({
+			logDir : 'logs',
+			archiveSink : {
+				type : 'dir',
+				dir : file.path.abspath('temp/archive-sinks')
+			}
+		}));
+		cli.run([ 'sweep', '--config', configFile ], streams, function(exitCode) {
+			expect(exitCode).to.equal(0);
+			expect(streams.stdout.text()).to.contain('gzipped ' + inactiveLogFile);
+			expect(streams.stdout.text()).to.contain('archived ' + inactiveLogFile + '.gz');
+			done();
+		});
+	});
+
+	it('can purge the log files of inactive processes', function(done) {
+		cli.run([ 'purge-inactive', '--log-dir', logDir ], streams, function(exitCode) {
+			expect(exitCode).to.equal(0);
+			expect(fs.readdirSync(logDir).sort()).to.eql([ 'not-a-log-file.txt' ]);
+			done();
+		});
+	});
+});
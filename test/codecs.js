@@ -0,0 +1,82 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var codecs = require('../lib/codecs');
+
+describe('codecs', function() {
+
+	var roundTrip = function(codec, level, data, callback) {
+		var chunks = [];
+		var decompressor = codec.createDecompressor();
+		decompressor.on('data', function(chunk) {
+			chunks.push(chunk);
+		});
+		decompressor.on('error', callback);
+		decompressor.on('end', function() {
+			callback(null, Buffer.concat(chunks).toString());
+		});
+		var compressor = codec.createCompressor(level);
+		compressor.pipe(decompressor);
+		compressor.end(data);
+	};
+
+	Object.keys(codecs.CODECS).filter(function(name) {
+		return codecs.CODECS[name].available;
+	}).forEach(function(name) {
+		it(name + ' compresses and decompresses data at the min and max levels', function(done) {
+			var codec = codecs.resolve(name);
+			roundTrip(codec, codec.minLevel, 'SOME DATA', function(err, data) {
+				expect(err).to.equal(null);
+				expect(data).to.equal('SOME DATA');
+				roundTrip(codec, codec.maxLevel, 'SOME DATA', function(err, data) {
+					expect(err).to.equal(null);
+					expect(data).to.equal('SOME DATA');
+					done();
+				});
+			});
+		});
+	});
+
+	it('strips the codec extension from a file', function() {
+		expect(codecs.uncompressedFile('/logs/ops.1.log.001.gz')).to.equal('/logs/ops.1.log.001');
+		expect(codecs.uncompressedFile('ops.1.log.001.br')).to.equal('ops.1.log.001');
+		expect(codecs.uncompressedFile('ops.1.log.001')).to.equal('ops.1.log.001');
+	});
+
+	it('finds the codec by file extension', function() {
+		expect(codecs.forFile('/logs/ops.1.log.001.gz').name).to.equal('gzip');
+		expect(codecs.forFile('ops.1.log.001.deflate').name).to.equal('deflate');
+		expect(codecs.forFile('ops.1.log.001.br').name).to.equal('brotli');
+		expect(codecs.forFile('ops.1.log.001')).to.equal(undefined);
+		expect(codecs.isCompressed('ops.1.log.001.br')).to.equal(true);
+		expect(codecs.isCompressed('ops.1.log.001')).to.equal(false);
+		expect(codecs.extensions()).to.eql([ '.gz', '.deflate', '.br' ]);
+	});
+
+	it('validates the codec name and level', function() {
+		expect(function() {
+			codecs.resolve('lzma');
+		}).to.throw(/unknown compression codec/);
+		expect(function() {
+			codecs.resolve('gzip', 10);
+		}).to.throw(/between 0 and 9/);
+		expect(codecs.resolve('gzip', 9).name).to.equal('gzip');
+	});
+
+});
@@ -0,0 +1,66 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var CronSchedule = require('../lib/cron-schedule');
+
+describe('CronSchedule', function() {
+
+	it('computes the next time a daily schedule fires', function() {
+		var schedule = new CronSchedule('30 3 * * *');
+		expect(schedule.next(new Date(2026, 9, 18, 1, 0))).to.eql(new Date(2026, 9, 18, 3, 30));
+		expect(schedule.next(new Date(2026, 9, 18, 3, 30))).to.eql(new Date(2026, 9, 19, 3, 30));
+		expect(schedule.next(new Date(2026, 11, 31, 4, 0))).to.eql(new Date(2027, 0, 1, 3, 30));
+	});
+
+	it('supports steps, ranges and lists', function() {
+		var schedule = new CronSchedule('*/15 9-17 * * 1,3,5');
+		// 2026-10-18 is a Sunday
+		expect(schedule.next(new Date(2026, 9, 18, 12, 0))).to.eql(new Date(2026, 9, 19, 9, 0));
+		expect(schedule.next(new Date(2026, 9, 19, 9, 0))).to.eql(new Date(2026, 9, 19, 9, 15));
+		expect(schedule.next(new Date(2026, 9, 19, 17, 45))).to.eql(new Date(2026, 9, 21, 9, 0));
+		expect(schedule.matches(new Date(2026, 9, 21, 10, 30))).to.equal(true);
+		expect(schedule.matches(new Date(2026, 9, 21, 10, 31))).to.equal(false);
+	});
+
+	it('matches either the day of month or the day of week when both are restricted', function() {
+		// 1st of the month or Sundays
+		var schedule = new CronSchedule('0 0 1 * 7');
+		expect(schedule.next(new Date(2026, 9, 18, 1, 0))).to.eql(new Date(2026, 9, 25, 0, 0));
+		expect(schedule.next(new Date(2026, 9, 25, 1, 0))).to.eql(new Date(2026, 10, 1, 0, 0));
+	});
+
+	it('matches both the day of month and the day of week when one of them starts with *', function() {
+		// odd days of the month that are Mondays
+		var schedule = new CronSchedule('0 0 */2 * 1');
+		expect(schedule.next(new Date(2026, 9, 18, 1, 0))).to.eql(new Date(2026, 9, 19, 0, 0));
+		expect(schedule.next(new Date(2026, 9, 19, 1, 0))).to.eql(new Date(2026, 10, 9, 0, 0));
+	});
+
+	it('returns null if the schedule never fires', function() {
+		expect(new CronSchedule('0 0 31 2 *').next(new Date(2026, 9, 18))).to.equal(null);
+	});
+
+	it('rejects invalid expressions', function() {
+		[ '* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '5-1 * * * *', '*/0 * * * *', 'a * * * *' ].forEach(function(expression) {
+			expect(function() {
+				return new CronSchedule(expression);
+			}).to.throw(Error);
+		});
+	});
+});
@@ -0,0 +1,41 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+
+'use strict';
+var expect = require('chai').expect;
+
+var cursors = require('../lib/cursors');
+
+describe('cursors', function() {
+
+	it('encodes the file and offset as an URL safe String, and decodes it', function() {
+		var cursor = cursors.encode('api/request.123.log.004', 1024);
+		expect(cursor).to.match(/^[A-Za-z0-9_\-]+$/);
+		expect(cursors.decode(cursor)).to.eql({
+			file : 'api/request.123.log.004',
+			offset : 1024
+		});
+	});
+
+	it('returns null for invalid cursors', function() {
+		[ undefined, '', 'not a cursor!', 'bm90IEpTT04', cursors.encode('/etc/passwd', 0), cursors.encode('../ops.1.log.001', 0),
+				cursors.encode('api/../../ops.1.log.001', 0), cursors.encode('.', 0), cursors.encode('ops.1.log.001', -1),
+				cursors.encode('ops.1.log.001', 1.5) ].forEach(function(cursor) {
+			expect(cursors.decode(cursor)).to.equal(null);
+		});
+	});
+});
@@ -0,0 +1,340 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var fileReader = require('../lib/file-reader');
+var codecs = require('../lib/codecs');
+var fs = require('fs');
+var zlib = require('zlib');
+var file = require('file');
+var path = require('path');
+
+describe('fileReader', function() {
+	var logDir = file.path.abspath('temp/logs');
+	var logFile = path.join(logDir, 'file-reader.log');
+	var gzippedLogFile = logFile + '.gz';
+
+	before(function(done) {
+		file.mkdirs(logDir, parseInt('0755', 8), done);
+	});
+
+	afterEach(function() {
+		[ logFile, gzippedLogFile ].forEach(function(f) {
+			if (fs.existsSync(f)) {
+				fs.unlinkSync(f);
+			}
+		});
+	});
+
+	var lines = function(from, to) {
+		var data = '';
+		var i;
+		for (i = from; i < to; i++) {
+			data += 'line ' + i + '\n';
+		}
+		return data;
+	};
+
+	it('can tail -n a file', function(done) {
+		fs.writeFileSync(logFile, lines(0, 20));
+		var data = '';
+		fileReader.tail({
+			file : logFile,
+			lines : 5,
+			onDataCallback : function(chunk) {
+				data += chunk.toString();
+			},
+			onCloseCallback : function(code) {
+				expect(code).to.equal(0);
+				expect(data).to.equal(lines(15, 20));
+				done();
+			}
+		});
+	});
+
+	it('can tail -n a file that is larger than the read chunk size and has no trailing newline', function(done) {
+		fs.writeFileSync(logFile, lines(0, 20000) + 'last line');
+		var data = '';
+		fileReader.tail({
+			file : logFile,
+			lines : 5000,
+			onDataCallback : function(chunk) {
+				data += chunk.toString();
+			},
+			onCloseCallback : function(code) {
+				expect(code).to.equal(0);
+				expect(data).to.equal(lines(15001, 20000) + 'last line');
+				done();
+			}
+		});
+	});
+
+	it('tail -n returns the whole file if it has fewer lines', function(done) {
+		fs.writeFileSync(logFile, lines(0, 3));
+		var data = '';
+		fileReader.tail({
+			file : logFile,
+			onDataCallback : function(chunk) {
+				data += chunk.toString();
+			},
+			onCloseCallback : function() {
+				expect(data).to.equal(lines(0, 3));
+				done();
+			}
+		});
+	});
+
+	it('can head -n a file', function(done) {
+		fs.writeFileSync(logFile, lines(0, 20));
+		var data = '';
+		fileReader.head({
+			file : logFile,
+			lines : 5,
+			onDataCallback : function(chunk) {
+				data += chunk.toString();
+			},
+			onCloseCallback : function(code) {
+				expect(code).to.equal(0);
+				expect(data).to.equal(lines(0, 5));
+				done();
+			}
+		});
+	});
+
+	var writeGzippedFile = function(data, callback) {
+		zlib.gzip(new Buffer(data), function(err, compressed) {
+			if (err) {
+				callback(err);
+			} else {
+				fs.writeFile(gzippedLogFile, compressed, callback);
+			}
+		});
+	};
+
+	[ 'head', 'tail', 'read' ].forEach(function(operation) {
+		it('can ' + operation + ' a gzipped file', function(done) {
+			writeGzippedFile(lines(0, 20) + 'last line', function(err) {
+				if (err) {
+					done(err);
+					return;
+				}
+				var data = '';
+				fileReader[operation]({
+					file : gzippedLogFile,
+					lines : 5,
+					onDataCallback : function(chunk) {
+						data += chunk.toString();
+					},
+					onCloseCallback : function(code) {
+						expect(code).to.equal(0);
+						expect(data).to.equal({
+							head : lines(0, 5),
+							tail : lines(16, 20) + 'last line',
+							read : lines(0, 20) + 'last line'
+						}[operation]);
+						done();
+					}
+				});
+			});
+		});
+	});
+
+	[ 'plain', 'gzipped' ].forEach(function(type) {
+		it('read() can start from a byte offset of a ' + type + ' file, and reports the byte offset of the data', function(done) {
+			var offset = lines(0, 15).length + 2;
+			var readFile = function() {
+				var data = '';
+				fileReader.read({
+					file : type === 'plain' ? logFile : gzippedLogFile,
+					offset : offset,
+					onDataCallback : function(chunk, chunkOffset) {
+						expect(chunkOffset).to.equal(offset + data.length);
+						data += chunk.toString();
+					},
+					onCloseCallback : function(code) {
+						expect(code).to.equal(0);
+						expect(data).to.equal(lines(15, 20).substring(2));
+						done();
+					}
+				});
+			};
+			if (type === 'plain') {
+				fs.writeFileSync(logFile, lines(0, 20));
+				readFile();
+			} else {
+				writeGzippedFile(lines(0, 20), function(err) {
+					if (err) {
+						done(err);
+					} else {
+						readFile();
+					}
+				});
+			}
+		});
+	});
+
+	it('read() can be paused and closed', function(done) {
+		fs.writeFileSync(logFile, lines(0, 20));
+		var closeCodes = [];
+		var reader = fileReader.read({
+			file : logFile,
+			onDataCallback : function() {
+				done(new Error('data was delivered while paused'));
+			},
+			onCloseCallback : function(code) {
+				closeCodes.push(code);
+			}
+		});
+		reader.pause();
+		setTimeout(function() {
+			reader.close();
+			reader.resume();
+			setTimeout(function() {
+				expect(closeCodes).to.eql([ 0 ]);
+				done();
+			}, 20);
+		}, 20);
+	});
+
+	[ 'deflate', 'brotli' ].filter(function(codec) {
+		return codecs.CODECS[codec].available;
+	}).forEach(function(codec) {
+		it('can tail a ' + codec + ' compressed file', function(done) {
+			var compressedLogFile = logFile + codecs.CODECS[codec].extension;
+			var out = fs.createWriteStream(compressedLogFile);
+			out.on('finish', function() {
+				var data = '';
+				fileReader.tail({
+					file : compressedLogFile,
+					lines : 2,
+					onDataCallback : function(chunk) {
+						data += chunk.toString();
+					},
+					onCloseCallback : function(code) {
+						fs.unlinkSync(compressedLogFile);
+						expect(code).to.equal(0);
+						expect(data).to.equal(lines(18, 20));
+						done();
+					}
+				});
+			});
+			var compressor = codecs.CODECS[codec].createCompressor();
+			compressor.pipe(out);
+			compressor.end(lines(0, 20));
+		});
+	});
+
+	it('closes with code 1 if a gzipped file is corrupt', function(done) {
+		fs.writeFileSync(gzippedLogFile, lines(0, 20));
+		fileReader.tail({
+			file : gzippedLogFile,
+			onDataCallback : function() {
+				done(new Error('no data was expected'));
+			},
+			onCloseCallback : function(code) {
+				expect(code).to.equal(1);
+				done();
+			}
+		});
+	});
+
+	it('closes with code 1 if the file does not exist', function(done) {
+		fileReader.head({
+			file : logFile,
+			onDataCallback : function() {
+				done(new Error('no data was expected'));
+			},
+			onCloseCallback : function(code) {
+				expect(code).to.equal(1);
+				fileReader.tail({
+					file : logFile,
+					onDataCallback : function() {
+						done(new Error('no data was expected'));
+					},
+					onCloseCallback : function(code) {
+						expect(code).to.equal(1);
+						done();
+					}
+				});
+			}
+		});
+	});
+
+	[ undefined, 20 ].forEach(function(pollIntervalMillis) {
+		it('can tail -f a file' + (pollIntervalMillis ? ' by polling' : ''), function(done) {
+			fs.writeFileSync(logFile, lines(0, 20));
+			var data = '';
+			var follower = fileReader.follow({
+				file : logFile,
+				lines : 2,
+				pollIntervalMillis : pollIntervalMillis,
+				onDataCallback : function(chunk) {
+					data += chunk.toString();
+					if (data === lines(18, 20)) {
+						fs.appendFileSync(logFile, lines(20, 22));
+					} else if (data === lines(18, 22)) {
+						follower.close();
+					}
+				},
+				onCloseCallback : function(code) {
+					expect(code).to.equal(0);
+					done();
+				}
+			});
+		});
+	});
+
+	it('tail -f follows a truncated file from the beginning', function(done) {
+		fs.writeFileSync(logFile, lines(0, 20));
+		var data = '';
+		var follower = fileReader.follow({
+			file : logFile,
+			lines : 1,
+			onDataCallback : function(chunk) {
+				data += chunk.toString();
+				if (data === lines(19, 20)) {
+					fs.writeFileSync(logFile, lines(0, 1));
+				} else if (data === lines(19, 20) + lines(0, 1)) {
+					follower.close();
+					done();
+				}
+			}
+		});
+	});
+
+	it('tail -f can start from a byte offset, and read() notifies once the end of the file was read', function(done) {
+		fs.writeFileSync(logFile, lines(0, 3));
+		var data = '';
+		var follower = fileReader.follow({
+			file : logFile,
+			offset : lines(0, 1).length,
+			onDataCallback : function(chunk, offset) {
+				expect(offset).to.equal(lines(0, 1).length + data.length);
+				data += chunk.toString();
+			}
+		});
+		setTimeout(function() {
+			fs.appendFileSync(logFile, lines(3, 4));
+			follower.read(function() {
+				expect(data).to.equal(lines(1, 4));
+				follower.close();
+				done();
+			});
+		}, 50);
+	});
+});
@@ -0,0 +1,155 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var goodEvents = require('..').goodEvents;
+var lodash = require('lodash');
+
+describe('goodEvents', function() {
+
+	it('parses a hapi good event line', function() {
+		var line = JSON.stringify({
+			event : 'request',
+			timestamp : 1382125371000,
+			pid : 123,
+			method : 'get',
+			path : '/'
+		});
+		var event = goodEvents.parseLine(line + '\n');
+		expect(event.event).to.equal('request');
+		expect(event.timestamp).to.eql(new Date(1382125371000));
+		expect(event.pid).to.equal(123);
+		expect(event.data.path).to.equal('/');
+	});
+
+	it('types the fields of the standard events', function() {
+		var fields = function(data) {
+			return goodEvents.parseLine(JSON.stringify(lodash.extend({
+				timestamp : 1382125371000
+			}, data))).fields;
+		};
+		expect(fields({
+			event : 'ops',
+			os : {
+				load : [ 0.5, 0.4, 0.3 ]
+			},
+			proc : {
+				uptime : 60,
+				mem : {
+					rss : 3,
+					heapTotal : 2,
+					heapUsed : 1
+				},
+				delay : 'not a number'
+			}
+		})).to.eql({
+			heapUsed : 1,
+			heapTotal : 2,
+			rss : 3,
+			load : 0.5,
+			eventLoopDelay : undefined,
+			uptime : 60
+		});
+		expect(fields({
+			event : 'request',
+			id : '1382125371000-123-1',
+			method : 'get',
+			path : '/',
+			statusCode : 200,
+			responseTime : 5,
+			source : {
+				remoteAddress : '127.0.0.1'
+			}
+		})).to.eql({
+			id : '1382125371000-123-1',
+			method : 'get',
+			path : '/',
+			statusCode : 200,
+			responseTime : 5,
+			remoteAddress : '127.0.0.1'
+		});
+		expect(fields({
+			event : 'log',
+			tags : [ 'info' ],
+			data : 'started'
+		})).to.eql({
+			tags : [ 'info' ],
+			message : 'started'
+		});
+		expect(fields({
+			event : 'error',
+			url : '/fail',
+			method : 'post',
+			message : 'boom'
+		})).to.eql({
+			url : '/fail',
+			method : 'post',
+			message : 'boom',
+			stack : undefined
+		});
+		expect(fields({
+			event : 'custom'
+		})).to.equal(undefined);
+	});
+
+	it('uses the defaults for the event and pid if the line does not contain them', function() {
+		var event = goodEvents.parseLine('{"timestamp":1382125371000,"os":{"load":[1,1,1]}}', {
+			event : 'ops',
+			pid : 456
+		});
+		expect(event.event).to.equal('ops');
+		expect(event.pid).to.equal(456);
+	});
+
+	it('returns a LogParseError for malformed lines', function() {
+		[ 'SOME DATA', '[1,2]', '{"event":"ops"}', '{"event":"ops","timestamp":"not a date"}', '{"timestamp":1382125371000}' ].forEach(function(line) {
+			var error = goodEvents.parseLine(line, {
+				file : 'ops.123.log.001',
+				lineNumber : 7
+			});
+			expect(error).to.be.instanceOf(goodEvents.LogParseError);
+			expect(error).to.be.instanceOf(Error);
+			expect(error.line).to.equal(line);
+			expect(error.file).to.equal('ops.123.log.001');
+			expect(error.lineNumber).to.equal(7);
+		});
+	});
+
+	it('skips blank lines', function() {
+		expect(goodEvents.parseLine('  \n')).to.equal(null);
+	});
+
+	it('parses lines split across chunks', function() {
+		var parsed = [];
+		var parser = goodEvents.lineParser(function(eventOrError) {
+			parsed.push(eventOrError);
+		}, {
+			event : 'log',
+			pid : 1
+		});
+		parser.write(new Buffer('{"timestamp":1,"data":"a"}\n{"timest'));
+		parser.write(new Buffer('amp":2,"data":"b"}\n\nbad line'));
+		parser.end();
+
+		expect(parsed.length).to.equal(3);
+		expect(parsed[0].data.data).to.equal('a');
+		expect(parsed[1].data.data).to.equal('b');
+		expect(parsed[2]).to.be.instanceOf(goodEvents.LogParseError);
+		expect(parsed[2].lineNumber).to.equal(4);
+	});
+});
@@ -0,0 +1,514 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var Hapi = require('hapi');
+var LogManager = require('..').LogManager;
+var hapiPlugin = require('..').hapiPlugin;
+var cursors = require('../lib/cursors');
+var fs = require('fs');
+var http = require('http');
+var zlib = require('zlib');
+var file = require('file');
+var path = require('path');
+var lodash = require('lodash');
+
+describe('hapi plugin', function() {
+	var logDir = file.path.abspath('temp/logs');
+	var logManager;
+
+	var createServer = function(options, callback) {
+		var server = new Hapi.Server();
+		server.pack.register(hapiPlugin, options, function(err) {
+			callback(err, server);
+		});
+	};
+
+	before(function(done) {
+		file.mkdirs(logDir, parseInt('0755', 8), done);
+	});
+
+	beforeEach(function(done) {
+		logManager = new LogManager({
+			logDir : logDir,
+			dryRun : true
+		});
+
+		fs.writeFileSync(path.join(logDir, 'ops.100.log.001'), 'line 1\nline 2\nline 3\n');
+		zlib.gzip(new Buffer('archived 1\narchived 2\n'), function(err, data) {
+			if (err) {
+				done(err);
+			} else {
+				fs.writeFile(path.join(logDir, 'ops.200.log.001.gz'), data, done);
+			}
+		});
+	});
+
+	afterEach(function() {
+		fs.readdirSync(logDir).forEach(function(name) {
+			var filePath = path.join(logDir, name);
+			if (fs.statSync(filePath).isDirectory()) {
+				fs.readdirSync(filePath).forEach(function(name) {
+					fs.unlinkSync(path.join(filePath, name));
+				});
+				fs.rmdirSync(filePath);
+			} else {
+				fs.unlinkSync(filePath);
+			}
+		});
+	});
+
+	it('requires a logManager', function(done) {
+		createServer({}, function(err) {
+			expect(err).to.be.instanceOf(Error);
+			done();
+		});
+	});
+
+	it('lists the log dir files', function(done) {
+		createServer({
+			logManager : logManager
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'GET',
+				url : '/logs/files'
+			}, function(res) {
+				expect(res.statusCode).to.equal(200);
+				expect(res.result.map(function(fileStats) {
+					return fileStats.file;
+				})).to.eql([ 'ops.100.log.001', 'ops.200.log.001.gz' ]);
+				expect(res.result[0].stats.size).to.equal(21);
+				done();
+			});
+		});
+	});
+
+	it('can head and tail plain and gzipped files', function(done) {
+		createServer({
+			logManager : logManager,
+			basePath : '/api/logs'
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'GET',
+				url : '/api/logs/files/ops.100.log.001/tail?lines=2'
+			}, function(res) {
+				expect(res.statusCode).to.equal(200);
+				expect(res.payload).to.equal('line 2\nline 3\n');
+				server.inject({
+					method : 'GET',
+					url : '/api/logs/files/ops.200.log.001.gz/head?lines=1'
+				}, function(res) {
+					expect(res.statusCode).to.equal(200);
+					expect(res.payload).to.equal('archived 1\n');
+					done();
+				});
+			});
+		});
+	});
+
+	it('replies 400 for invalid lines and 404 for files that do not exist', function(done) {
+		createServer({
+			logManager : logManager,
+			maxLines : 100
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'GET',
+				url : '/logs/files/ops.100.log.001/tail?lines=abc'
+			}, function(res) {
+				expect(res.statusCode).to.equal(400);
+				server.inject({
+					method : 'GET',
+					url : '/logs/files/ops.100.log.001/head?lines=101'
+				}, function(res) {
+					expect(res.statusCode).to.equal(400);
+					server.inject({
+						method : 'GET',
+						url : '/logs/files/ops.300.log.001/tail'
+					}, function(res) {
+						expect(res.statusCode).to.equal(404);
+						server.inject({
+							method : 'GET',
+							url : '/logs/files/..'
+						}, function(res) {
+							expect(res.statusCode).to.equal(400);
+							done();
+						});
+					});
+				});
+			});
+		});
+	});
+
+	it('replies 404 if the file is deleted after it was checked', function(done) {
+		var tail = logManager.tail;
+		logManager.tail = function(options) {
+			fs.unlinkSync(options.file);
+			tail.call(logManager, options);
+		};
+		createServer({
+			logManager : logManager
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'GET',
+				url : '/logs/files/ops.100.log.001/tail'
+			}, function(res) {
+				expect(res.statusCode).to.equal(404);
+				done();
+			});
+		});
+	});
+
+	it('serves the files in the sub dirs of a recursive LogManager', function(done) {
+		fs.mkdirSync(path.join(logDir, 'api'));
+		fs.writeFileSync(path.join(logDir, 'api', 'ops.300.log.001'), 'line 1\nline 2\n');
+
+		createServer({
+			logManager : new LogManager({
+				logDir : logDir,
+				recursive : true
+			})
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'GET',
+				url : '/logs/files/api%2Fops.300.log.001/head?lines=1'
+			}, function(res) {
+				expect(res.statusCode).to.equal(200);
+				expect(res.payload).to.equal('line 1\n');
+				server.inject({
+					method : 'GET',
+					url : '/logs/files/api%2F..%2F..%2Fops.100.log.001'
+				}, function(res) {
+					expect(res.statusCode).to.equal(400);
+					createServer({
+						logManager : logManager
+					}, function(err, server) {
+						if (err) {
+							done(err);
+							return;
+						}
+						server.inject({
+							method : 'GET',
+							url : '/logs/files/api%2Fops.300.log.001'
+						}, function(res) {
+							expect(res.statusCode).to.equal(400);
+							done();
+						});
+					});
+				});
+			});
+		});
+	});
+
+	it('can download a gzipped file', function(done) {
+		createServer({
+			logManager : logManager
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'GET',
+				url : '/logs/files/ops.200.log.001.gz'
+			}, function(res) {
+				expect(res.statusCode).to.equal(200);
+				expect(res.headers['content-type']).to.contain('application/x-gzip');
+				expect(res.headers['content-disposition']).to.equal('attachment; filename="ops.200.log.001.gz"');
+				zlib.gunzip(new Buffer(res.rawPayload), function(err, data) {
+					expect(data.toString()).to.equal('archived 1\narchived 2\n');
+					done(err);
+				});
+			});
+		});
+	});
+
+	it('can trigger a sweep', function(done) {
+		createServer({
+			logManager : logManager
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'POST',
+				url : '/logs/sweep?dryRun=true'
+			}, function(res) {
+				expect(res.statusCode).to.equal(200);
+				expect(res.result.dryRun).to.equal(true);
+				expect(res.result.gzipped).to.eql([ path.join(logDir, 'ops.100.log.001') ]);
+				expect(fs.existsSync(path.join(logDir, 'ops.100.log.001'))).to.equal(true);
+				server.inject({
+					method : 'POST',
+					url : '/logs/sweep?dryRun=yes'
+				}, function(res) {
+					expect(res.statusCode).to.equal(400);
+					done();
+				});
+			});
+		});
+	});
+
+	it('invokes the authorize hook for each route', function(done) {
+		var actions = [];
+		createServer({
+			logManager : logManager,
+			authorize : function(request, action, callback) {
+				expect(request.path).to.contain('/logs/');
+				actions.push(action);
+				callback(null, action !== hapiPlugin.ACTIONS.SWEEP);
+			}
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject({
+				method : 'POST',
+				url : '/logs/sweep'
+			}, function(res) {
+				expect(res.statusCode).to.equal(403);
+				server.inject({
+					method : 'GET',
+					url : '/logs/files'
+				}, function(res) {
+					expect(res.statusCode).to.equal(200);
+					expect(actions).to.eql([ 'sweep', 'list' ]);
+					done();
+				});
+			});
+		});
+	});
+
+	it('streams a followed file as Server-Sent Events and stops following when the client disconnects', function(done) {
+		var logFile = path.join(logDir, 'ops.100.log.001');
+		var server = new Hapi.Server('localhost', 0);
+		server.pack.register(hapiPlugin, {
+			logManager : logManager,
+			heartbeatMillis : 50
+		}, function(err) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.start(function() {
+				var received = '';
+				var req = http.get({
+					host : 'localhost',
+					port : server.info.port,
+					path : '/logs/files/ops.100.log.001/follow?lines=1'
+				}, function(res) {
+					expect(res.statusCode).to.equal(200);
+					expect(res.headers['content-type']).to.contain('text/event-stream');
+					res.on('data', function(data) {
+						received += data.toString();
+						if (received.indexOf('data: line 3\n\n') >= 0 && received.indexOf('line 4') < 0) {
+							expect(logManager.tailProcesses[logFile]).to.be.an('object');
+							fs.appendFileSync(logFile, 'line 4\n');
+						}
+						if (received.indexOf('data: line 4\n\n') >= 0 && received.indexOf(': heartbeat') >= 0) {
+							req.abort();
+							setTimeout(function() {
+								expect(logManager.tailProcesses[logFile]).to.equal(undefined);
+								expect(received).to.not.contain('line 2');
+								server.stop(function() {
+									done();
+								});
+							}, 100);
+						}
+					});
+				});
+				req.on('error', function(err) {
+					// aborting the request may emit a socket hang up
+					expect(err.code).to.equal('ECONNRESET');
+				});
+			});
+		});
+	});
+
+	it('resumes an SSE client from its Last-Event-ID, even if the followed file was gzipped since', function(done) {
+		var logFile = path.join(logDir, 'ops.100.log.001');
+		zlib.gzip(fs.readFileSync(logFile), function(err, data) {
+			if (err) {
+				done(err);
+				return;
+			}
+			fs.writeFileSync(logFile + '.gz', data);
+			fs.unlinkSync(logFile);
+			fs.writeFileSync(path.join(logDir, 'ops.100.log.002'), 'line 4\n');
+
+			var server = new Hapi.Server('localhost', 0);
+			server.pack.register(hapiPlugin, {
+				logManager : logManager
+			}, function(err) {
+				if (err) {
+					done(err);
+					return;
+				}
+				server.start(function() {
+					var received = '';
+					var req = http.get({
+						host : 'localhost',
+						port : server.info.port,
+						path : '/logs/files/ops.100.log.001/follow',
+						headers : {
+							'last-event-id' : cursors.encode('ops.100.log.001', 'line 1\n'.length)
+						}
+					}, function(res) {
+						expect(res.statusCode).to.equal(200);
+						res.on('data', function(data) {
+							received += data.toString();
+							if (received.indexOf('data: line 4\n\n') >= 0) {
+								var messages = received.split('\n\n').filter(function(message) {
+									return message.indexOf('data: ') >= 0;
+								});
+								expect(messages.map(function(message) {
+									return (/data: ([\S ]*)/).exec(message)[1];
+								})).to.eql([ 'line 2', 'line 3', 'line 4' ]);
+								expect(cursors.decode((/id: (\S*)/).exec(messages[2])[1])).to.eql({
+									file : 'ops.100.log.002',
+									offset : 'line 4\n'.length
+								});
+								req.abort();
+								setTimeout(function() {
+									expect(logManager.tailProcesses).to.eql({});
+									server.stop(function() {
+										done();
+									});
+								}, 100);
+							}
+						});
+					});
+					req.on('error', function(err) {
+						// aborting the request may emit a socket hang up
+						expect(err.code).to.equal('ECONNRESET');
+					});
+				});
+			});
+		});
+	});
+
+	it('replies 400 for follow cursors that are invalid or belong to another file', function(done) {
+		createServer({
+			logManager : logManager
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject('/logs/files/ops.100.log.001/follow?cursor=invalid!', function(res) {
+				expect(res.statusCode).to.equal(400);
+				server.inject('/logs/files/ops.100.log.001/follow?cursor=' + cursors.encode('ops.200.log.001', 0), function(res) {
+					expect(res.statusCode).to.equal(400);
+					done();
+				});
+			});
+		});
+	});
+
+	it('replies only once if the follow registration fails and tailFollow throws', function(done) {
+		logManager.tailFollow = function(options) {
+			options.onRegistrationCallback(new Error('file does not exist'));
+			throw new Error('invalid cursor');
+		};
+		createServer({
+			logManager : logManager
+		}, function(err, server) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.inject('/logs/files/ops.100.log.001/follow', function(res) {
+				expect(res.statusCode).to.equal(404);
+				done();
+			});
+		});
+	});
+
+	it('shares the follower between SSE clients', function(done) {
+		var logFile = path.join(logDir, 'ops.100.log.001');
+		var server = new Hapi.Server('localhost', 0);
+		server.pack.register(hapiPlugin, {
+			logManager : logManager
+		}, function(err) {
+			if (err) {
+				done(err);
+				return;
+			}
+			server.start(function() {
+				var follow = function(callback) {
+					var req = http.get({
+						host : 'localhost',
+						port : server.info.port,
+						path : '/logs/files/ops.100.log.001/follow?parsed=true'
+					}, function(res) {
+						res.once('data', function() {
+							callback(req);
+						});
+					});
+					req.on('error', function(err) {
+						// aborting the request may emit a socket hang up
+						expect(err.code).to.equal('ECONNRESET');
+					});
+				};
+
+				follow(function(req1) {
+					follow(function(req2) {
+						expect(lodash.keys(logManager.tailProcesses)).to.eql([ logFile ]);
+						expect(lodash.keys(logManager.tailProcesses[logFile].listeners).length).to.equal(2);
+						req1.abort();
+						setTimeout(function() {
+							expect(lodash.keys(logManager.tailProcesses[logFile].listeners).length).to.equal(1);
+							req2.abort();
+							setTimeout(function() {
+								expect(logManager.tailProcesses[logFile]).to.equal(undefined);
+								server.stop(function() {
+									done();
+								});
+							}, 100);
+						}, 100);
+					});
+					// the second client only receives new data
+					setTimeout(function() {
+						fs.appendFileSync(logFile, '{"event":"ops","timestamp":0}\n');
+					}, 100);
+				});
+			});
+		});
+	});
+});
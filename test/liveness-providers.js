@@ -0,0 +1,140 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var livenessProviders = require('../lib/liveness-providers');
+var fs = require('fs');
+var file = require('file');
+var path = require('path');
+var when = require('when');
+
+describe('Liveness Providers', function() {
+	var tempDir = file.path.abspath('temp/liveness');
+	var deadPid = 999999;
+
+	var mkdir = function(dir) {
+		file.mkdirsSync(dir, parseInt('0755', 8));
+	};
+
+	before(function() {
+		mkdir(tempDir);
+	});
+
+	it('ps lists the running processes with their start time', function(done) {
+		when(livenessProviders.resolve('ps').processesPromise([ process.pid, deadPid ]), function(processes) {
+			expect(Object.keys(processes)).to.eql([ String(process.pid) ]);
+			expect(processes[process.pid].startTime).to.be.instanceOf(Date);
+			expect(processes[process.pid].startTime.getTime()).to.be.at.most(Date.now());
+			done();
+		}).otherwise(done);
+	});
+
+	it('ps fails with a clear error if the ps output cannot be parsed', function(done) {
+		var binDir = path.join(tempDir, 'bin');
+		var envPath = process.env.PATH;
+		mkdir(binDir);
+		// busybox style output, without the start time
+		fs.writeFile(path.join(binDir, 'ps'), '#!/bin/sh\necho "PID   USER     TIME  COMMAND"\necho "    1 root      0:00 init"\n', {
+			mode : parseInt('0755', 8)
+		}, function(err) {
+			if (err) {
+				done(err);
+				return;
+			}
+			process.env.PATH = binDir + path.delimiter + envPath;
+			var processesPromise = livenessProviders.resolve('ps').processesPromise([ 1 ]);
+			process.env.PATH = envPath;
+			when(processesPromise, function() {
+				done(new Error('expected the ps output to be rejected'));
+			}, function(err) {
+				expect(err.message).to.contain('failed to parse the ps output');
+				expect(err.message).to.contain('PID   USER');
+				done();
+			}).otherwise(done);
+		});
+	});
+
+	it('signal checks each pid', function(done) {
+		when(livenessProviders.resolve('signal').processesPromise([ process.pid, deadPid ]), function(processes) {
+			var expected = {};
+			expected[process.pid] = {};
+			expect(processes).to.eql(expected);
+			done();
+		}).otherwise(done);
+	});
+
+	it('proc reads the process start time and skips zombie processes', function(done) {
+		var procDir = path.join(tempDir, 'proc');
+		mkdir(procDir);
+		mkdir(path.join(procDir, '100'));
+		mkdir(path.join(procDir, '200'));
+		fs.writeFileSync(path.join(procDir, 'stat'), 'cpu  1 2 3\nbtime 1000\nprocesses 10\n');
+		// the process name contains spaces and parentheses - the start time is field 22, in clock ticks since boot
+		fs.writeFileSync(path.join(procDir, '100', 'stat'), '100 (node (a b)) S 1 100 100 0 -1 0 0 0 0 0 0 0 0 0 20 0 1 0 500 0 0\n');
+		fs.writeFileSync(path.join(procDir, '200', 'stat'), '200 (node) Z 1 200 200 0 -1 0 0 0 0 0 0 0 0 0 20 0 1 0 500 0 0\n');
+
+		var provider = livenessProviders.resolve({
+			type : 'proc',
+			procDir : procDir
+		});
+		when(provider.processesPromise([ 100, 200, 300 ]), function(processes) {
+			expect(Object.keys(processes)).to.eql([ '100' ]);
+			expect(processes[100].startTime.getTime()).to.equal(1005 * 1000);
+
+			return when(provider.processesPromise(), function(processes) {
+				expect(Object.keys(processes)).to.eql([ '100' ]);
+				done();
+			});
+		}).otherwise(done);
+	});
+
+	it('pidfile reads the pids from the pidfiles', function(done) {
+		var pidDir = path.join(tempDir, 'pids');
+		mkdir(pidDir);
+		fs.writeFileSync(path.join(pidDir, 'api.pid'), '100\n');
+		fs.writeFileSync(path.join(pidDir, 'worker.pid'), '200');
+		fs.writeFileSync(path.join(pidDir, 'README'), '300');
+
+		when(livenessProviders.resolve({
+			type : 'pidfile',
+			dir : pidDir
+		}).processesPromise([ 100, 300 ]), function(processes) {
+			expect(processes).to.eql({
+				100 : {}
+			});
+			done();
+		}).otherwise(done);
+	});
+
+	it('can resolve a custom provider', function() {
+		var provider = {
+			processesPromise : function() {
+				return when.resolve({});
+			}
+		};
+		expect(livenessProviders.resolve(provider)).to.equal(provider);
+		expect(function() {
+			livenessProviders.resolve('unknown');
+		}).to.throw(Error);
+		expect(function() {
+			livenessProviders.resolve({
+				type : 'pidfile'
+			});
+		}).to.throw(Error);
+	});
+});
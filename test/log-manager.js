@@ -18,10 +18,14 @@
 var expect = require('chai').expect;
 
 var LogManager = require('..').LogManager;
+var codecs = require('../lib/codecs');
+var cursors = require('../lib/cursors');
 var fs = require('fs');
+var zlib = require('zlib');
 var file = require('file');
 var path = require('path');
 var when = require('when');
+var lodash = require('lodash');
 
 describe('LogManager', function() {
 	var logDir = file.path.abspath('temp/logs');
@@ -43,15 +47,24 @@ describe('LogManager', function() {
 		});
 	});
 
+	// deletes the files in the dir, including its sub dirs
+	var removeDirContents = function removeDirContents(dir) {
+		fs.readdirSync(dir).forEach(function(name) {
+			var filePath = path.join(dir, name);
+			if (fs.lstatSync(filePath).isDirectory()) {
+				removeDirContents(filePath);
+				fs.rmdirSync(filePath);
+			} else {
+				fs.unlinkSync(filePath);
+				console.log('DELETED : ' + name);
+			}
+		});
+	};
+
 	afterEach(function(done) {
 		setTimeout(function() {
-			fs.readdir(logDir, function(err, names) {
-				names.forEach(function(name) {
-					fs.unlinkSync(path.join(logDir, name));
-					console.log('DELETED : ' + name);
-				});
-				done();
-			});
+			removeDirContents(logDir);
+			done();
 		}, 50);
 	});
 
@@ -87,6 +100,21 @@ describe('LogManager', function() {
 		});
 	});
 
+	it('stop() resolves once the running sweeps and compressions are done', function(done) {
+		var logManager = new LogManager(options);
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		fs.writeFileSync(deadPidLogFile, 'SOME DATA');
+		logManager.start();
+
+		when(logManager.stop(), function() {
+			expect(logManager.started()).to.equal(false);
+			expect(fs.existsSync(deadPidLogFile)).to.equal(false);
+			expect(fs.existsSync(deadPidLogFile + '.gz')).to.equal(true);
+			expect(logManager.compressionQueueStatus().pending).to.eql([]);
+			done();
+		}).otherwise(done);
+	});
+
 	it('can clean the log dir, i.e., rm -fr * on the log dir', function(done) {
 		var logManager = new LogManager(options);
 
@@ -207,6 +235,52 @@ describe('LogManager', function() {
 
 	});
 
+	it('gzips active log files beyond the max active log files limit using the configured naming scheme', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			namingScheme : 'dated',
+			maxNumberActiveFiles : 2
+		});
+
+		var logFiles = [ 'app-2026-10-16.log.2', 'app-2026-10-17.log.1', 'app-2026-10-18.log.1', 'app-2026-10-18.log.2', 'other.25559.log.001' ];
+		logFiles.forEach(function(logFile) {
+			fs.writeFileSync(path.join(logDir, logFile), '\nSOME DATA');
+		});
+
+		logManager.handleLogDirEvent('change', 'app-2026-10-18.log.2');
+
+		setTimeout(function() {
+			expect(fs.existsSync(path.join(logDir, 'app-2026-10-16.log.2.gz'))).to.equal(true);
+			expect(fs.existsSync(path.join(logDir, 'app-2026-10-17.log.1.gz'))).to.equal(true);
+			expect(fs.existsSync(path.join(logDir, 'app-2026-10-18.log.1'))).to.equal(true);
+			expect(fs.existsSync(path.join(logDir, 'app-2026-10-18.log.2'))).to.equal(true);
+			expect(fs.existsSync(path.join(logDir, 'other.25559.log.001'))).to.equal(true);
+			done();
+		}, 200);
+	});
+
+	it('coalesces the watch events that arrive while a sweep is running into the next sweep', function(done) {
+		var logManager = new LogManager(options);
+		var sweepCount = 0;
+		var sweep = logManager.sweep;
+		logManager.sweep = function() {
+			sweepCount++;
+			return sweep.apply(logManager, arguments);
+		};
+
+		var first = logManager.handleLogDirEvent('change', 'ops.1.log.001');
+		var second = logManager.handleLogDirEvent('change', 'ops.2.log.001');
+		var third = logManager.handleLogDirEvent('change', 'ops.3.log.001');
+		expect(third).to.equal(second);
+		when.all([ first, second, third ], function() {
+			expect(sweepCount).to.equal(2);
+			return logManager.handleLogDirEvent('change', 'ops.4.log.001');
+		}).then(function() {
+			expect(sweepCount).to.equal(3);
+			done();
+		}).otherwise(done);
+	});
+
 	it('can delete old log files', function(done) {
 		var logManager = new LogManager(options);
 
@@ -231,6 +305,708 @@ describe('LogManager', function() {
 
 	});
 
+	it('can sweep the log dir and report on what was done', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			maxNumberActiveFiles : 1
+		});
+
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var activeLogFile = path.join(logDir, 'ops.' + process.pid + '.log.002');
+		var rotatedLogFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		var gzippedLogFile = path.join(logDir, 'ops.' + process.pid + '.log.000.gz');
+		var oldGzippedLogFile = path.join(logDir, 'ops.999999.log.000.gz');
+		[ deadPidLogFile, activeLogFile, rotatedLogFile, gzippedLogFile, oldGzippedLogFile ].forEach(function(logFile) {
+			fs.writeFileSync(logFile, 'SOME DATA');
+		});
+		var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+		fs.utimesSync(oldGzippedLogFile, expireTime, expireTime);
+
+		when(logManager.sweep(), function(report) {
+			try {
+				expect(report.gzipped.sort()).to.eql([ deadPidLogFile, rotatedLogFile ].sort());
+				expect(report.deleted).to.eql([ oldGzippedLogFile ]);
+				expect(report.skipped).to.eql([ {
+					file : activeLogFile,
+					reason : LogManager.SKIP_REASONS.ACTIVE_PID
+				}, {
+					file : gzippedLogFile,
+					reason : LogManager.SKIP_REASONS.WITHIN_RETENTION
+				} ]);
+				expect(report.errors).to.eql([]);
+				expect(fs.existsSync(deadPidLogFile + '.gz')).to.equal(true);
+				expect(fs.existsSync(rotatedLogFile + '.gz')).to.equal(true);
+				expect(fs.existsSync(oldGzippedLogFile)).to.equal(false);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		}, done);
+	});
+
+	it('gzip reports files that do not exist as skipped', function(done) {
+		var logManager = new LogManager(options);
+		when(logManager.gzip(path.join(logDir, 'fsdfsdfsf')), function(report) {
+			expect(report.gzipped).to.eql([]);
+			expect(report.skipped[0].reason).to.equal(LogManager.SKIP_REASONS.FILE_NOT_FOUND);
+			done();
+		}, done);
+	});
+
+	it('a dry run sweep reports what it would do without touching the log dir', function(done) {
+		var logManager = new LogManager(options);
+
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var oldGzippedLogFile = path.join(logDir, 'ops.999999.log.000.gz');
+		fs.writeFileSync(deadPidLogFile, 'SOME DATA');
+		fs.writeFileSync(oldGzippedLogFile, 'SOME DATA');
+		var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+		fs.utimesSync(oldGzippedLogFile, expireTime, expireTime);
+
+		when(logManager.sweep({
+			dryRun : true
+		}), function(report) {
+			try {
+				expect(report.dryRun).to.equal(true);
+				expect(report.gzipped).to.eql([ deadPidLogFile ]);
+				expect(report.deleted).to.eql([ oldGzippedLogFile ]);
+				expect(fs.existsSync(deadPidLogFile)).to.equal(true);
+				expect(fs.existsSync(deadPidLogFile + '.gz')).to.equal(false);
+				expect(fs.existsSync(oldGzippedLogFile)).to.equal(true);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		}, done);
+	});
+
+	it('dry run can be enabled for a LogManager instance and overridden per call', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			dryRun : true
+		});
+
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var activeLogFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		fs.writeFileSync(deadPidLogFile, 'SOME DATA');
+		fs.writeFileSync(activeLogFile, 'SOME DATA');
+
+		when.all([ logManager.deleteAllNonActiveLogFiles(), logManager.cleanLogDir(), logManager.gzip(deadPidLogFile) ], function(reports) {
+			try {
+				expect(reports[0].dryRun).to.equal(true);
+				expect(reports[0].deleted).to.eql([ deadPidLogFile ]);
+				expect(reports[1].deleted.sort()).to.eql([ activeLogFile, deadPidLogFile ].sort());
+				expect(reports[2].gzipped).to.eql([ deadPidLogFile ]);
+				expect(fs.existsSync(deadPidLogFile)).to.equal(true);
+				expect(fs.existsSync(activeLogFile)).to.equal(true);
+			} catch (err) {
+				done(err);
+				return;
+			}
+
+			when(logManager.deleteAllNonActiveLogFiles({
+				dryRun : false
+			}), function(report) {
+				expect(report.dryRun).to.equal(false);
+				expect(report.deleted).to.eql([ deadPidLogFile ]);
+				expect(fs.existsSync(deadPidLogFile)).to.equal(false);
+				expect(fs.existsSync(activeLogFile)).to.equal(true);
+				done();
+			}).otherwise(done);
+		}, done);
+	});
+
+	it('processFiles still accepts an array of the running pids', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			dryRun : true
+		});
+
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var activeLogFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		fs.writeFileSync(deadPidLogFile, 'SOME DATA');
+		fs.writeFileSync(activeLogFile, 'SOME DATA');
+
+		when(logManager.processFiles([ process.pid ], [ {
+			file : deadPidLogFile,
+			event : 'ops',
+			pid : 999999,
+			logFileSequence : 1
+		}, {
+			file : activeLogFile,
+			event : 'ops',
+			pid : process.pid,
+			logFileSequence : 1
+		} ]), function(report) {
+			try {
+				expect(report.gzipped).to.eql([ deadPidLogFile ]);
+				expect(lodash.pluck(report.skipped, 'file')).to.eql([ activeLogFile ]);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		}, done);
+	});
+
+	it('treats log files as inactive if their pid was reused by a process that started after the log file was created', function(done) {
+		var startTime = new Date(Date.now() + 1000 * 60);
+		var logManager = new LogManager({
+			logDir : logDir,
+			dryRun : true,
+			livenessProvider : {
+				processesPromise : function(pids) {
+					var processes = {};
+					pids.forEach(function(pid) {
+						processes[pid] = {
+							startTime : pid === process.pid ? new Date(0) : startTime
+						};
+					});
+					return when.resolve(processes);
+				}
+			}
+		});
+
+		var reusedPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var activeLogFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		fs.writeFileSync(reusedPidLogFile, 'SOME DATA');
+		fs.writeFileSync(activeLogFile, 'SOME DATA');
+
+		when(logManager.deleteAllNonActiveLogFiles(), function(report) {
+			expect(report.deleted).to.eql([ reusedPidLogFile ]);
+			expect(report.skipped).to.eql([ {
+				file : activeLogFile,
+				reason : LogManager.SKIP_REASONS.ACTIVE_PID
+			} ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('can use a pidfile dir to determine which processes are running', function(done) {
+		var pidDir = file.path.abspath('temp/pids');
+		if (!fs.existsSync(pidDir)) {
+			fs.mkdirSync(pidDir);
+		}
+		fs.writeFileSync(path.join(pidDir, 'api.pid'), '999999\n');
+
+		var logManager = new LogManager({
+			logDir : logDir,
+			dryRun : true,
+			livenessProvider : {
+				type : 'pidfile',
+				dir : pidDir
+			}
+		});
+
+		var pidfileLogFile = path.join(logDir, 'ops.999999.log.001');
+		var noPidfileLogFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		fs.writeFileSync(pidfileLogFile, 'SOME DATA');
+		fs.writeFileSync(noPidfileLogFile, 'SOME DATA');
+
+		when(logManager.sweep(), function(report) {
+			fs.unlinkSync(path.join(pidDir, 'api.pid'));
+			expect(report.gzipped).to.eql([ noPidfileLogFile ]);
+			expect(report.errors).to.eql([]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('emits events when files are gzipped and deleted, and when a sweep completes', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir
+		});
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var expiredLogFile = path.join(logDir, 'ops.999999.log.000.gz');
+		fs.writeFileSync(deadPidLogFile, 'SOME DATA');
+		fs.writeFileSync(expiredLogFile, 'SOME DATA');
+		var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+		fs.utimesSync(expiredLogFile, expireTime, expireTime);
+
+		var events = [];
+		[ 'gzipStarted', 'gzipped', 'deleted' ].forEach(function(event) {
+			logManager.on(event, function(data) {
+				events.push([ event, data ]);
+			});
+		});
+		logManager.on('sweepCompleted', function(report) {
+			try {
+				expect(report.gzipped).to.eql([ deadPidLogFile ]);
+				expect(lodash.sortBy(events, function(event) {
+					return event[0];
+				})).to.eql([ [ 'deleted', {
+					file : expiredLogFile,
+					reason : LogManager.DELETE_REASONS.RETENTION
+				} ], [ 'gzipStarted', {
+					file : deadPidLogFile
+				} ], [ 'gzipped', {
+					file : deadPidLogFile,
+					gzipFile : deadPidLogFile + '.gz',
+					codec : 'gzip',
+					originalSize : 9,
+					compressedSize : fs.statSync(deadPidLogFile + '.gz').size
+				} ] ]);
+				done();
+			} catch (err) {
+				done(err);
+			}
+		});
+		logManager.sweep();
+	});
+
+	it('emits errors if there are error listeners', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			livenessProvider : {
+				processesPromise : function() {
+					return when.reject(new Error('ps failed'));
+				}
+			}
+		});
+
+		when(logManager.sweep(), function(report) {
+			expect(report.errors.length).to.equal(1);
+			logManager.on('error', function(err, details) {
+				expect(err.message).to.equal('ps failed');
+				expect(details).to.eql({
+					file : undefined,
+					operation : 'pids'
+				});
+				done();
+			});
+			logManager.sweep();
+		}).otherwise(done);
+	});
+
+	it('emits events when files are added and when tails are started and stopped', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir
+		});
+		var logFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+
+		logManager.on('tailStarted', function(data) {
+			expect(data.file).to.equal(logFile);
+			logManager.stopTailFollowing(data.file, data.listenerId);
+		});
+		logManager.on('tailStopped', function(data) {
+			expect(data.file).to.equal(logFile);
+			logManager.stop();
+			done();
+		});
+		logManager.on('fileAdded', function(data) {
+			expect(data.file).to.equal(logFile);
+			logManager.tailFollow({
+				file : logFile,
+				onDataCallback : function() {
+					return undefined;
+				}
+			});
+		});
+
+		logManager.start();
+		setTimeout(function() {
+			fs.writeFileSync(logFile, 'SOME DATA');
+		}, 50);
+	});
+
+	it('keeps runtime statistics, which can be exported in the Prometheus format', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir
+		});
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var expiredLogFile = path.join(logDir, 'ops.999999.log.000.gz');
+		fs.writeFileSync(deadPidLogFile, 'SOME DATA');
+		fs.writeFileSync(expiredLogFile, 'SOME DATA');
+		var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+		fs.utimesSync(expiredLogFile, expireTime, expireTime);
+
+		when(logManager.sweep(), function() {
+			return logManager.getStats();
+		}).then(function(stats) {
+			var gzipSize = fs.statSync(deadPidLogFile + '.gz').size;
+			expect(stats.logDir).to.equal(logDir);
+			expect(stats.filesGzipped).to.equal(1);
+			expect(stats.bytesBeforeCompression).to.equal(9);
+			expect(stats.bytesAfterCompression).to.equal(gzipSize);
+			expect(stats.filesDeleted).to.eql({
+				retention : 1
+			});
+			expect(stats.sweeps.count).to.equal(1);
+			expect(stats.errors).to.eql({});
+			expect(stats.tailProcesses).to.equal(0);
+			expect(stats.tailListeners).to.eql({});
+			expect(stats.logDirSizeBytes).to.equal(gzipSize);
+			return logManager.getPrometheusMetrics();
+		}).then(function(metrics) {
+			expect(metrics).to.contain('# TYPE log_manager_files_gzipped_total counter\n');
+			expect(metrics).to.contain('log_manager_files_gzipped_total{log_dir="' + logDir + '"} 1\n');
+			expect(metrics).to.contain('log_manager_files_deleted_total{log_dir="' + logDir + '",reason="retention"} 1\n');
+			expect(metrics).to.contain('log_manager_sweep_duration_seconds_count{log_dir="' + logDir + '"} 1\n');
+			done();
+		}).otherwise(done);
+	});
+
+	it('dry runs are not counted in the runtime statistics', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			dryRun : true
+		});
+		fs.writeFileSync(path.join(logDir, 'ops.999999.log.001'), 'SOME DATA');
+
+		when(logManager.sweep(), function() {
+			return logManager.getStats();
+		}).then(function(stats) {
+			expect(stats.filesGzipped).to.equal(0);
+			expect(stats.filesDeleted).to.eql({});
+			expect(stats.sweeps.count).to.equal(0);
+			expect(stats.logDirSizeBytes).to.equal(9);
+			done();
+		}).otherwise(done);
+	});
+
+	it('archives gzipped log files, and deletes expired log files once they are archived', function(done) {
+		var archiveDir = file.path.abspath('temp/archive');
+		var logManager = new LogManager({
+			logDir : logDir,
+			archiveSink : {
+				type : 'dir',
+				dir : archiveDir
+			}
+		});
+		var deadPidLogFile = path.join(logDir, 'ops.999999.log.001');
+		var expiredLogFile = path.join(logDir, 'ops.999999.log.000.gz');
+		fs.writeFileSync(deadPidLogFile, 'SOME DATA');
+		fs.writeFileSync(expiredLogFile, 'EXPIRED DATA');
+		var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+		fs.utimesSync(expiredLogFile, expireTime, expireTime);
+
+		var archivedEvents = [];
+		logManager.on('archived', function(data) {
+			archivedEvents.push(data);
+		});
+
+		when(logManager.sweep(), function(report) {
+			expect(report.errors).to.eql([]);
+			expect(report.archived.sort()).to.eql([ expiredLogFile, deadPidLogFile + '.gz' ].sort());
+			expect(report.deleted).to.eql([ expiredLogFile ]);
+			expect(fs.readFileSync(path.join(archiveDir, 'ops.999999.log.000.gz'), 'utf8')).to.equal('EXPIRED DATA');
+			expect(fs.readFileSync(path.join(archiveDir, 'ops.999999.log.001.gz'))).to.eql(fs.readFileSync(deadPidLogFile + '.gz'));
+			return logManager.getStats();
+		}).then(function(stats) {
+			expect(stats.filesArchived).to.equal(2);
+			expect(stats.archiveBacklog).to.equal(0);
+			setImmediate(function() {
+				expect(lodash.sortBy(archivedEvents, 'key')).to.eql([ {
+					file : expiredLogFile,
+					key : 'ops.999999.log.000.gz'
+				}, {
+					file : deadPidLogFile + '.gz',
+					key : 'ops.999999.log.001.gz'
+				} ]);
+				done();
+			});
+		}).otherwise(done);
+	});
+
+	it('keeps expired log files whose upload failed, and retries the archive backlog after a restart', function(done) {
+		var uploadedKeys = [];
+		var failingSink = {
+			upload : function() {
+				return when.reject(new Error('archive is down'));
+			}
+		};
+		var workingSink = {
+			upload : function(file, key) {
+				expect(file).to.contain(logDir);
+				uploadedKeys.push(key);
+				return when.resolve();
+			}
+		};
+		var newLogManager = function(sink) {
+			return new LogManager({
+				logDir : logDir,
+				archiveSink : sink,
+				archiveRetries : 1,
+				archiveRetryDelayMillis : 1
+			});
+		};
+		var expiredLogFile = path.join(logDir, 'ops.999999.log.000.gz');
+		fs.writeFileSync(expiredLogFile, 'EXPIRED DATA');
+		var logManager = newLogManager(failingSink);
+		var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+		fs.utimesSync(expiredLogFile, expireTime, expireTime);
+
+		when(logManager.sweep(), function(report) {
+			expect(report.deleted).to.eql([]);
+			expect(report.skipped).to.eql([ {
+				file : expiredLogFile,
+				reason : LogManager.SKIP_REASONS.NOT_ARCHIVED
+			} ]);
+			expect(report.errors.length).to.equal(1);
+			expect(report.errors[0].operation).to.equal('archive');
+			expect(fs.existsSync(expiredLogFile)).to.equal(true);
+
+			logManager = newLogManager(workingSink);
+			return when(logManager.getStats(), function(stats) {
+				expect(stats.archiveBacklog).to.equal(1);
+				fs.utimesSync(expiredLogFile, new Date(), new Date());
+				return logManager.sweep();
+			});
+		}).then(function(report) {
+			// the file is within the retention period, so it is only archived from the backlog
+			expect(report.archived).to.eql([ expiredLogFile ]);
+			expect(report.deleted).to.eql([]);
+			expect(uploadedKeys).to.eql([ 'ops.999999.log.000.gz' ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('neither lists nor cleans the archive backlog file', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			archiveSink : {
+				upload : function() {
+					return when.resolve();
+				}
+			}
+		});
+		var logFile = path.join(logDir, 'ops.999999.log.001');
+		var backlogFile = path.join(logDir, '.archive-backlog.json');
+		fs.writeFileSync(logFile, 'SOME DATA');
+		fs.writeFileSync(backlogFile, '{}');
+
+		when(logManager.logDirectoryFilesPromise(), function(files) {
+			expect(files).to.eql([ 'ops.999999.log.001' ]);
+			return logManager.cleanLogDir();
+		}).then(function(report) {
+			expect(report.deleted).to.eql([ logFile ]);
+			expect(fs.existsSync(backlogFile)).to.equal(true);
+			done();
+		}).otherwise(done);
+	});
+
+	it('compresses log files with the codec and level that are configured for the event', function(done) {
+		var eventCodec = codecs.CODECS.brotli.available ? 'brotli' : 'gzip';
+		var logManager = new LogManager({
+			logDir : logDir,
+			compression : {
+				codec : 'deflate',
+				level : 1,
+				events : {
+					request : {
+						codec : eventCodec,
+						level : 9
+					}
+				}
+			}
+		});
+		var opsLogFile = path.join(logDir, 'ops.999999.log.001');
+		var requestLogFile = path.join(logDir, 'request.999999.log.001');
+		var requestArchivedFile = requestLogFile + (eventCodec === 'brotli' ? '.br' : '.gz');
+		fs.writeFileSync(opsLogFile, 'SOME DATA');
+		fs.writeFileSync(requestLogFile, 'SOME DATA');
+
+		when(logManager.sweep(), function(report) {
+			expect(report.gzipped.sort()).to.eql([ opsLogFile, requestLogFile ]);
+			expect(fs.existsSync(opsLogFile + '.deflate')).to.equal(true);
+			expect(fs.existsSync(requestArchivedFile)).to.equal(true);
+			return logManager.logDirectoryFilesWithStatusPromise();
+		}).then(function(files) {
+			expect(files.map(function(fileStats) {
+				return [ fileStats.file, fileStats.status ];
+			})).to.eql([ [ 'ops.999999.log.001.deflate', LogManager.FILE_STATUSES.ARCHIVED ],
+					[ path.basename(requestArchivedFile), LogManager.FILE_STATUSES.ARCHIVED ] ]);
+			var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+			fs.utimesSync(opsLogFile + '.deflate', expireTime, expireTime);
+			fs.utimesSync(requestArchivedFile, expireTime, expireTime);
+			return logManager.sweep();
+		}).then(function(report) {
+			expect(report.deleted.sort()).to.eql([ opsLogFile + '.deflate', requestArchivedFile ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('validates the compression options', function() {
+		expect(function() {
+			return new LogManager({
+				logDir : logDir,
+				compression : {
+					codec : 'lzma'
+				}
+			});
+		}).to.throw(/unknown compression codec/);
+		expect(function() {
+			return new LogManager({
+				logDir : logDir,
+				compression : {
+					events : {
+						ops : {
+							level : 12
+						}
+					}
+				}
+			});
+		}).to.throw(/compression level/);
+	});
+
+	it('compresses log files via a bounded queue that compresses each file once at a time', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			compressionConcurrency : 1
+		});
+		var logFiles = [ 1, 2, 3 ].map(function(seq) {
+			var logFile = path.join(logDir, 'ops.999999.log.00' + seq);
+			fs.writeFileSync(logFile, 'SOME DATA');
+			return logFile;
+		});
+		var gzipStartedCount = 0;
+		logManager.on('gzipStarted', function() {
+			gzipStartedCount++;
+		});
+
+		var reports = [ logManager.gzip(logFiles[0]), logManager.gzip(logFiles[0]) ].concat(logFiles.slice(1).map(function(logFile) {
+			return logManager.gzip(logFile);
+		}));
+		setTimeout(function() {
+			var status = logManager.compressionQueueStatus();
+			expect(status.concurrency).to.equal(1);
+			expect(status.running).to.be.at.most(1);
+			expect(status.running + status.depth).to.equal(status.pending.length);
+		}, 0);
+
+		when.all(reports, function(reports) {
+			expect(reports[0].gzipped).to.eql([ logFiles[0] ]);
+			expect(reports[1].gzipped).to.eql([]);
+			expect(reports[1].skipped).to.eql([ {
+				file : logFiles[0],
+				reason : LogManager.SKIP_REASONS.COMPRESSION_IN_PROGRESS
+			} ]);
+			logFiles.forEach(function(logFile) {
+				expect(fs.existsSync(logFile + '.gz')).to.equal(true);
+			});
+			expect(logManager.compressionQueueStatus().pending).to.eql([]);
+			return logManager.getStats();
+		}).then(function(stats) {
+			expect(stats.compressionQueueDepth).to.equal(0);
+			expect(stats.compressionsRunning).to.equal(0);
+			setImmediate(function() {
+				expect(gzipStartedCount).to.equal(3);
+				done();
+			});
+		}).otherwise(done);
+	});
+
+	it('keeps the log file and deletes the temp file if the compressed file cannot be renamed into place', function(done) {
+		var logManager = new LogManager(options);
+		var logFile = path.join(logDir, 'ops.999999.log.001');
+		fs.writeFileSync(logFile, 'SOME DATA');
+		// a non empty dir cannot be replaced by a file
+		fs.mkdirSync(logFile + '.gz');
+		fs.writeFileSync(path.join(logFile + '.gz', 'file'), 'SOME DATA');
+
+		when(logManager.gzip(logFile), function(report) {
+			fs.unlinkSync(path.join(logFile + '.gz', 'file'));
+			fs.rmdirSync(logFile + '.gz');
+			expect(report.gzipped).to.eql([]);
+			expect(report.errors.length).to.equal(1);
+			expect(report.errors[0].operation).to.equal('rename');
+			expect(fs.readFileSync(logFile, 'utf8')).to.equal('SOME DATA');
+			setTimeout(function() {
+				expect(fs.existsSync(logFile + '.gz.tmp')).to.equal(false);
+				done();
+			}, 20);
+		}).otherwise(done);
+	});
+
+	it('recovers the compressions that were interrupted', function(done) {
+		var logManager = new LogManager(options);
+		var logFile = path.join(logDir, 'ops.999999.log.001');
+		var orphanedLogFile = path.join(logDir, 'ops.999999.log.002');
+		var corruptLogFile = path.join(logDir, 'ops.999999.log.003');
+		var unmanagedTempFile = path.join(logDir, 'unmanaged.tmp');
+		fs.writeFileSync(logFile, 'SOME DATA');
+		fs.writeFileSync(logFile + '.gz.tmp', 'PARTIAL');
+		fs.writeFileSync(corruptLogFile + '.gz.tmp', 'PARTIAL');
+		fs.writeFileSync(unmanagedTempFile, 'SOME DATA');
+
+		zlib.gzip(new Buffer('SOME DATA'), function(err, data) {
+			if (err) {
+				done(err);
+				return;
+			}
+			fs.writeFileSync(orphanedLogFile + '.gz.tmp', data);
+			when(logManager.recoverCompressions(), function(report) {
+				expect(report.resumed).to.eql([ orphanedLogFile + '.gz' ]);
+				expect(report.deleted.sort()).to.eql([ logFile + '.gz.tmp', corruptLogFile + '.gz.tmp' ]);
+				expect(report.errors.length).to.equal(1);
+				expect(report.errors[0].file).to.equal(corruptLogFile + '.gz.tmp');
+				expect(report.errors[0].operation).to.equal('recover');
+				expect(fs.readFileSync(orphanedLogFile + '.gz')).to.eql(data);
+				expect(fs.readdirSync(logDir).sort()).to.eql([ 'ops.999999.log.001', 'ops.999999.log.002.gz', 'unmanaged.tmp' ]);
+				done();
+			}).otherwise(done);
+		});
+	});
+
+	it('recovers interrupted compressions before the first sweep when started', function(done) {
+		var logManager = new LogManager(options);
+		var logFile = path.join(logDir, 'ops.999999.log.001');
+		fs.writeFileSync(logFile, 'SOME DATA');
+		fs.writeFileSync(logFile + '.gz.tmp', 'PARTIAL');
+
+		logManager.start();
+		when(logManager.scheduledSweepPromise, function(report) {
+			logManager.stop();
+			// the log file may have been compressed by a sweep that was triggered by a watch event
+			expect(report.errors).to.eql([]);
+			expect(fs.readdirSync(logDir)).to.eql([ 'ops.999999.log.001.gz' ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('sweeps the log dir when started', function(done) {
+		var logManager = new LogManager(options);
+
+		var oldLogFile = path.join(logDir, 'ops.' + process.pid + '.log.002.gz');
+		fs.writeFileSync(oldLogFile, 'SOME DATA');
+		var expireTime = new Date(logManager.getLogsRetentionTimeMillis() - 1);
+		fs.utimesSync(oldLogFile, expireTime, expireTime);
+
+		logManager.start();
+		when(logManager.scheduledSweepPromise, function(report) {
+			logManager.stop();
+			expect(report.deleted).to.eql([ oldLogFile ]);
+			expect(fs.existsSync(oldLogFile)).to.equal(false);
+			done();
+		}).otherwise(done);
+	});
+
+	it('sweeps the log dir periodically', function(done) {
+		var logManager = new LogManager({
+			logDir : logDir,
+			sweepIntervalMillis : 30,
+			sweepCron : '* * * * *'
+		});
+		expect(logManager.sweepSchedules.length).to.equal(1);
+
+		var sweepCount = 0;
+		var sweep = logManager.sweep;
+		logManager.sweep = function() {
+			sweepCount++;
+			return sweep.apply(logManager, arguments);
+		};
+
+		logManager.start();
+		setTimeout(function() {
+			logManager.stop();
+			expect(sweepCount).to.be.gt(2);
+			expect(logManager.sweepTimers).to.eql({});
+			var stoppedSweepCount = sweepCount;
+			setTimeout(function() {
+				expect(sweepCount).to.equal(stoppedSweepCount);
+				done();
+			}, 100);
+		}, 200);
+	});
+
 	it('can tail a log file', function(done) {
 		var logManager = new LogManager(options);
 
@@ -408,6 +1184,97 @@ describe('LogManager', function() {
 		});
 	});
 
+	it('can tail and read a gzipped log file', function(done) {
+		var logManager = new LogManager(options);
+
+		var logFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		var data = '';
+		for ( var i = 0; i < 20; i++) {
+			data += '***' + i + '\n';
+		}
+		fs.writeFileSync(logFile, data);
+
+		when(logManager.gzip(logFile), function() {
+			var tailData = '';
+			logManager.tail({
+				file : logFile + '.gz',
+				lines : 2,
+				onDataCallback : function(data) {
+					tailData += data.toString();
+				},
+				onCloseCallback : function() {
+					expect(tailData).to.equal('***18\n***19\n');
+					var readData = '';
+					logManager.read({
+						file : logFile + '.gz',
+						onDataCallback : function(data) {
+							readData += data.toString();
+						},
+						onCloseCallback : function(code) {
+							expect(code).to.equal(0);
+							expect(readData).to.equal(data);
+							done();
+						}
+					});
+				}
+			});
+		}).otherwise(done);
+	});
+
+	it('can tail and tail -f a log file in parsed mode', function(done) {
+		var logManager = new LogManager(options);
+
+		var logFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		var data = '';
+		for ( var i = 0; i < 5; i++) {
+			data += JSON.stringify({
+				event : 'ops',
+				timestamp : 1382125371000 + i
+			}) + '\n';
+		}
+		fs.writeFileSync(logFile, data + 'SOME DATA\n');
+
+		var events = [];
+		logManager.tail({
+			file : logFile,
+			lines : 3,
+			parsed : true,
+			onDataCallback : function(event) {
+				events.push(event);
+			},
+			onCloseCallback : function() {
+				expect(events.length).to.equal(3);
+				expect(events[0].event).to.equal('ops');
+				expect(events[0].pid).to.equal(process.pid);
+				expect(events[0].timestamp).to.eql(new Date(1382125371003));
+				expect(events[2]).to.be.instanceOf(Error);
+				expect(events[2].line).to.equal('SOME DATA');
+
+				var followedEvents = [];
+				logManager.tailFollow({
+					file : logFile,
+					lines : 1,
+					parsed : true,
+					onDataCallback : function(event) {
+						followedEvents.push(event);
+						if (followedEvents.length === 1) {
+							fs.appendFileSync(logFile, JSON.stringify({
+								event : 'ops',
+								timestamp : 1382125372000
+							}) + '\n');
+						} else {
+							expect(followedEvents[0]).to.be.instanceOf(Error);
+							expect(followedEvents[1].timestamp).to.eql(new Date(1382125372000));
+							logManager.stop();
+							done();
+						}
+					}
+				});
+				logManager.start();
+			}
+		});
+	});
+
 	it('start and stop can be called mulitple times with no harm', function() {
 		var logManager = new LogManager(options);
 		logManager.start();
@@ -421,6 +1288,69 @@ describe('LogManager', function() {
 		expect(logManager.started()).to.equal(false);
 	});
 
+	it('multiple instances can manage different log dirs independently', function(done) {
+		var logDir2 = file.path.abspath('temp/logs-2');
+		file.mkdirs(logDir2, parseInt('0755', 8), function(err) {
+			if (err) {
+				done(err);
+				return;
+			}
+
+			var logManager = new LogManager(options);
+			var logManager2 = new LogManager({
+				logDir : logDir2,
+				maxNumberActiveFiles : 2,
+				retentionDays : 3
+			});
+
+			expect(logManager.logDir).to.equal(logDir);
+			expect(logManager.maxNumberActiveFiles).to.equal(5);
+			expect(logManager.retentionDays).to.equal(10);
+			expect(logManager2.logDir).to.equal(logDir2);
+			expect(logManager2.maxNumberActiveFiles).to.equal(2);
+			expect(logManager2.retentionDays).to.equal(3);
+			expect(new LogManager(options).maxNumberActiveFiles).to.equal(5);
+
+			logManager.start();
+			logManager2.start();
+			expect(logManager.started()).to.equal(true);
+			expect(logManager2.started()).to.equal(true);
+
+			var logFile = path.join(logDir2, 'ops.' + process.pid + '.log.001');
+			var data = '';
+			for ( var i = 0; i < 20; i++) {
+				data += '\n***' + i;
+			}
+			fs.writeFileSync(logFile, data);
+
+			logManager2.tailFollow({
+				file : logFile,
+				onDataCallback : function(data) {
+					console.log(data.toString());
+				},
+				onRegistrationCallback : function(err, file, listenerId) {
+					if (err) {
+						done(err);
+						return;
+					}
+					expect(file).to.equal(logFile);
+					setTimeout(function() {
+						logManager.stop();
+						expect(logManager.started()).to.equal(false);
+						expect(logManager2.started()).to.equal(true);
+						expect(logManager2.tailProcesses[logFile].listeners[listenerId]).to.be.an('object');
+
+						logManager2.stop();
+						expect(logManager2.started()).to.equal(false);
+						expect(logManager2.tailProcesses).to.eql({});
+						fs.unlinkSync(logFile);
+						done();
+					}, 100);
+				}
+			});
+		});
+	});
+
 	it('trying to gzip file that does not exist will simply log it', function() {
 		var logManager = new LogManager(options);
 		logManager.gzip('fsdfsdfsf');
@@ -456,6 +1386,29 @@ describe('LogManager', function() {
 		});
 	});
 
+	it('notifies the onMissingCallback if the file to head, tail or read does not exist', function(done) {
+		var logManager = new LogManager(options);
+		var missingCount = 0;
+		var onMissingCallback = function() {
+			missingCount++;
+			if (missingCount === 3) {
+				done();
+			}
+		};
+		var onCloseCallback = function(code) {
+			done(new Error('expected no close : ' + code));
+		};
+
+		[ 'head', 'tail', 'read' ].forEach(function(method) {
+			logManager[method]({
+				file : 'sfsdfsfs',
+				onDataCallback : onCloseCallback,
+				onCloseCallback : onCloseCallback,
+				onMissingCallback : onMissingCallback
+			});
+		});
+	});
+
 	it('trying to tail -f a file that does not exist will simply log it and notify the onRegistrationCallback with an Error', function(done) {
 		var logManager = new LogManager(options);
 
@@ -509,4 +1462,323 @@ describe('LogManager', function() {
 		});
 
 	});
+
+	it('lists the files in the sub dirs with their paths relative to the log dir, if recursive', function(done) {
+		var logManager = new LogManager(lodash.assign({}, options, {
+			recursive : true
+		}));
+		fs.mkdirSync(path.join(logDir, 'api'));
+		fs.mkdirSync(path.join(logDir, 'api', '1'));
+		fs.writeFileSync(path.join(logDir, 'api', '1', 'ops.999999.log.001'), 'SOME DATA');
+		fs.writeFileSync(path.join(logDir, 'ops.999999.log.002'), 'SOME DATA');
+
+		when.all([ logManager.logDirectoryFilesPromise(), new LogManager(options).logDirectoryFilesPromise(), logManager.logDirectoryFilesWithStatusPromise() ],
+				function(results) {
+					expect(results[0].sort()).to.eql([ path.join('api', '1', 'ops.999999.log.001'), 'ops.999999.log.002' ]);
+					expect(results[1].sort()).to.eql([ 'api', 'ops.999999.log.002' ]);
+					expect(results[2].map(function(fileStats) {
+						return fileStats.file + ' : ' + fileStats.status;
+					})).to.eql([ path.join('api', '1', 'ops.999999.log.001') + ' : inactive', 'ops.999999.log.002 : inactive' ]);
+					done();
+				}).otherwise(done);
+	});
+
+	it('applies the same rules to each sub dir, if recursive', function(done) {
+		var logManager = new LogManager(lodash.assign({}, options, {
+			maxNumberActiveFiles : 1,
+			recursive : true
+		}));
+		var dir1 = path.join(logDir, 'api', '1');
+		var dir2 = path.join(logDir, 'api', '2');
+		fs.mkdirSync(path.join(logDir, 'api'));
+		fs.mkdirSync(dir1);
+		fs.mkdirSync(dir2);
+		fs.writeFileSync(path.join(dir1, 'ops.' + process.pid + '.log.001'), 'SOME DATA');
+		fs.writeFileSync(path.join(dir1, 'ops.' + process.pid + '.log.002'), 'SOME DATA');
+		fs.writeFileSync(path.join(dir2, 'ops.' + process.pid + '.log.001'), 'SOME DATA');
+		fs.writeFileSync(path.join(dir2, 'ops.999999.log.001'), 'SOME DATA');
+
+		when(new LogManager(options).sweep(), function(report) {
+			expect(report.gzipped).to.eql([]);
+			return logManager.sweep();
+		}).then(function(report) {
+			expect(report.errors).to.eql([]);
+			expect(report.gzipped.sort()).to.eql([ path.join(dir1, 'ops.' + process.pid + '.log.001'), path.join(dir2, 'ops.999999.log.001') ]);
+			expect(lodash.pluck(report.skipped, 'file').sort()).to.eql(
+					[ path.join(dir1, 'ops.' + process.pid + '.log.002'), path.join(dir2, 'ops.' + process.pid + '.log.001') ]);
+			expect(fs.readdirSync(dir2).sort()).to.eql([ 'ops.' + process.pid + '.log.001', 'ops.999999.log.001.gz' ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('watches the sub dirs, if recursive', function(done) {
+		var logManager = new LogManager(lodash.assign({}, options, {
+			recursive : true
+		}));
+		var subDir = path.join('api', '2');
+		var logFile = path.join(logDir, subDir, 'ops.' + process.pid + '.log.001');
+		fs.mkdirSync(path.join(logDir, 'api'));
+
+		logManager.on('fileAdded', function(data) {
+			if (data.file === logFile) {
+				logManager.stop();
+				expect(logManager.dirWatchers).to.eql({});
+				done();
+			}
+		});
+
+		logManager.start();
+		when(logManager.scheduledSweepPromise, function() {
+			expect(lodash.keys(logManager.dirWatchers)).to.eql([ 'api' ]);
+			fs.mkdirSync(path.join(logDir, subDir));
+			var waitForWatcher = function() {
+				if (logManager.dirWatchers[subDir]) {
+					fs.writeFileSync(logFile, 'SOME DATA');
+				} else {
+					setTimeout(waitForWatcher, 10);
+				}
+			};
+			waitForWatcher();
+		}).otherwise(done);
+	});
+
+	it('can follow a log stream across its sequence files', function(done) {
+		var logManager = new LogManager(options);
+		var logFile1 = path.join(logDir, 'request.' + process.pid + '.log.001');
+		var logFile2 = path.join(logDir, 'request.' + process.pid + '.log.002');
+		fs.writeFileSync(logFile1, 'line 1\n');
+		var streamId = 'stream:request.' + process.pid;
+		var switches = [];
+		var data = '';
+		var listenerId;
+
+		logManager.on('tailSwitched', function(event) {
+			switches.push(event);
+		});
+		logManager.on('tailStopped', function(event) {
+			expect(event.file).to.equal(streamId);
+			expect(data).to.equal('line 1\nline 2\n');
+			expect(switches).to.eql([ {
+				file : streamId,
+				from : null,
+				to : logFile1
+			}, {
+				file : streamId,
+				from : logFile1,
+				to : logFile2
+			} ]);
+			expect(logManager.tailProcesses).to.eql({});
+			done();
+		});
+
+		logManager.tailFollow({
+			event : 'request',
+			pid : process.pid,
+			onDataCallback : function(chunk) {
+				data += chunk.toString();
+				if (data === 'line 1\n') {
+					fs.writeFileSync(logFile2, 'line 2\n');
+				}
+			},
+			onSwitchCallback : function(from, to) {
+				if (to === logFile2) {
+					expect(from).to.equal(logFile1);
+					setTimeout(function() {
+						logManager.stopTailFollowing(streamId, listenerId);
+					}, 50);
+				}
+			},
+			onRegistrationCallback : function(err, file, id) {
+				expect(err).to.equal(null);
+				expect(file).to.equal(streamId);
+				listenerId = id;
+			}
+		});
+	});
+
+	it('disconnects a tail listener that cannot keep up, if its overflow policy is disconnect', function(done) {
+		var logManager = new LogManager(options);
+		var logFile = path.join(logDir, 'ops.' + process.pid + '.log.001');
+		fs.writeFileSync(logFile, 'line 1\nline 2\nline 3\nline 4\npartial');
+		var lines = [];
+		var closeArgs;
+
+		// the LogManager events are emitted asynchronously, i.e., after the listener was disconnected
+		logManager.on('tailOverflow', function(event) {
+			expect(event.file).to.equal(logFile);
+			expect(event.overflow).to.equal('disconnect');
+			expect(closeArgs[0]).to.equal(1);
+			expect(closeArgs[1]).to.be.instanceOf(Error);
+			expect(lines).to.eql([ 'line 1' ]);
+			expect(logManager.tailProcesses).to.eql({});
+			done();
+		});
+
+		logManager.tailFollow({
+			file : logFile,
+			lines : 10,
+			lineMode : true,
+			bufferLimit : 2,
+			overflow : LogManager.OVERFLOW_POLICIES.DISCONNECT,
+			onDataCallback : function(line) {
+				lines.push(line);
+				return when.defer().promise;
+			},
+			onCloseCallback : function(code, err) {
+				closeArgs = [ code, err ];
+			}
+		});
+	});
+
+	it('can resume following from a cursor, across a log file that was gzipped since and into the next sequence file', function(done) {
+		var logManager = new LogManager(options);
+		var logFile1 = path.join(logDir, 'request.' + process.pid + '.log.001');
+		var logFile2 = path.join(logDir, 'request.' + process.pid + '.log.002');
+		fs.writeFileSync(logFile1, 'line 1\nline 2\n');
+
+		var listenerId;
+		var firstCursor;
+		var resume = function(cursor) {
+			var lines = [];
+			var resumedId;
+			logManager.tailFollow({
+				cursor : cursor,
+				lineMode : true,
+				onDataCallback : function(line) {
+					lines.push(line);
+					if (line === 'line 3') {
+						expect(lines).to.eql([ 'line 2', 'line 3' ]);
+						logManager.stopTailFollowing(resumedId, listenerId);
+						expect(logManager.tailProcesses).to.eql({});
+						done();
+					}
+				},
+				onRegistrationCallback : function(err, file, id) {
+					expect(err).to.equal(null);
+					expect(file).to.equal('stream:request.' + process.pid + '@' + id);
+					resumedId = file;
+					listenerId = id;
+				}
+			});
+		};
+
+		logManager.tailFollow({
+			file : logFile1,
+			lineMode : true,
+			onDataCallback : function(line, cursor) {
+				if (firstCursor) {
+					return;
+				}
+				expect(line).to.equal('line 1');
+				firstCursor = cursor;
+				logManager.stopTailFollowing(logFile1, listenerId);
+				zlib.gzip(fs.readFileSync(logFile1), function(err, compressed) {
+					if (err) {
+						done(err);
+						return;
+					}
+					fs.writeFileSync(logFile1 + '.gz', compressed);
+					fs.unlinkSync(logFile1);
+					fs.writeFileSync(logFile2, 'line 3\n');
+					resume(firstCursor);
+				});
+			},
+			onRegistrationCallback : function(err, file, id) {
+				expect(err).to.equal(null);
+				expect(file).to.equal(logFile1);
+				listenerId = id;
+			}
+		});
+	});
+
+	it('restarts the line cursors when the followed file is truncated', function(done) {
+		var logManager = new LogManager(options);
+		var logFile = path.join(logDir, 'request.' + process.pid + '.log.001');
+		fs.writeFileSync(logFile, 'line 1\nline 2\n');
+
+		var listenerId;
+		var received = [];
+		logManager.tailFollow({
+			file : logFile,
+			lineMode : true,
+			onDataCallback : function(line, cursor) {
+				received.push([ line, cursors.decode(cursor).offset ]);
+				if (line === 'line 2') {
+					fs.writeFileSync(logFile, 'new 1\n');
+				} else if (line === 'new 1') {
+					expect(received).to.eql([ [ 'line 1', 7 ], [ 'line 2', 14 ], [ 'new 1', 6 ] ]);
+					logManager.stopTailFollowing(logFile, listenerId);
+					done();
+				}
+			},
+			onRegistrationCallback : function(err, file, id) {
+				expect(err).to.equal(null);
+				expect(file).to.equal(logFile);
+				listenerId = id;
+			}
+		});
+	});
+
+	it('validates that the cursor belongs to the followed file', function() {
+		var logManager = new LogManager(options);
+		var cursor = cursors.encode('request.1.log.001', 0);
+		var onDataCallback = function() {
+			return undefined;
+		};
+		expect(function() {
+			logManager.tailFollow({
+				cursor : 'not a cursor!',
+				onDataCallback : onDataCallback
+			});
+		}).to.throw('options.cursor is invalid');
+		expect(function() {
+			logManager.tailFollow({
+				file : path.join(logDir, 'request.2.log.001'),
+				cursor : cursor,
+				onDataCallback : onDataCallback
+			});
+		}).to.throw(/does not belong/);
+		expect(function() {
+			logManager.tailFollow({
+				event : 'ops',
+				cursor : cursor,
+				onDataCallback : onDataCallback
+			});
+		}).to.throw(/does not belong/);
+	});
+
+	it('can follow the log streams of all pids for an event as one merged feed', function(done) {
+		var logManager = new LogManager(options);
+		var logFile = path.join(logDir, 'request.999999.log.001');
+		var listenerId;
+		fs.writeFileSync(logFile, JSON.stringify({
+			event : 'request',
+			timestamp : 1000
+		}) + '\n');
+
+		logManager.on('tailStopped', function(event) {
+			expect(event.file).to.equal('merged:request');
+			done();
+		});
+
+		logManager.tailFollow({
+			event : 'request',
+			merged : true,
+			parsed : true,
+			mergeWindowMillis : 0,
+			onDataCallback : function(taggedLine) {
+				expect(taggedLine.pid).to.equal(999999);
+				expect(taggedLine.file).to.equal(logFile);
+				expect(taggedLine.timestamp.getTime()).to.equal(1000);
+				expect(taggedLine.parsed.pid).to.equal(999999);
+				expect(taggedLine.parsed.event).to.equal('request');
+				logManager.stopTailFollowing('merged:request', listenerId);
+			},
+			onRegistrationCallback : function(err, file, id) {
+				expect(err).to.equal(null);
+				expect(file).to.equal('merged:request');
+				listenerId = id;
+			}
+		});
+	});
 });
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var LogManager = require('..').LogManager;
+var fs = require('fs');
+var zlib = require('zlib');
+var file = require('file');
+var path = require('path');
+var when = require('when');
+
+describe('LogSearch', function() {
+	var logDir = file.path.abspath('temp/logs');
+	var logManager;
+
+	before(function(done) {
+		file.mkdirs(logDir, parseInt('0755', 8), done);
+	});
+
+	beforeEach(function(done) {
+		logManager = new LogManager({
+			logDir : logDir
+		});
+
+		fs.writeFileSync(path.join(logDir, 'ops.100.log.001'), 'request-1 started\nrequest-2 started\n');
+		fs.writeFileSync(path.join(logDir, 'request.100.log.001'), 'REQUEST-1 ok\nrequest-2 failed\nrequest-3 ok');
+		fs.writeFileSync(path.join(logDir, 'not-a-log-file.txt'), 'request-1\n');
+		zlib.gzip(new Buffer('request-1 archived\nrequest-4 archived\n'), function(err, data) {
+			if (err) {
+				done(err);
+			} else {
+				fs.writeFile(path.join(logDir, 'request.200.log.001.gz'), data, done);
+			}
+		});
+	});
+
+	afterEach(function() {
+		fs.readdirSync(logDir).forEach(function(name) {
+			fs.unlinkSync(path.join(logDir, name));
+		});
+	});
+
+	it('can search plain and gzipped log files', function(done) {
+		when(logManager.search({
+			pattern : 'request-1'
+		}).promise, function(result) {
+			expect(result.matchCount).to.equal(2);
+			expect(result.truncated).to.equal(false);
+			expect(result.filesSearched.length).to.equal(3);
+			expect(result.matches).to.eql([ {
+				file : path.join(logDir, 'ops.100.log.001'),
+				lineNumber : 1,
+				line : 'request-1 started'
+			}, {
+				file : path.join(logDir, 'request.200.log.001.gz'),
+				lineNumber : 1,
+				line : 'request-1 archived'
+			} ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('can filter the log files by event and pid', function(done) {
+		when(logManager.search({
+			pattern : /request-1/i,
+			events : [ 'request' ],
+			pids : [ 100 ]
+		}).promise, function(result) {
+			expect(result.filesSearched).to.eql([ path.join(logDir, 'request.100.log.001') ]);
+			expect(result.matches.length).to.equal(1);
+			expect(result.matches[0].line).to.equal('REQUEST-1 ok');
+			done();
+		}).otherwise(done);
+	});
+
+	it('drops the global flag of the pattern, but keeps its other flags', function(done) {
+		var search = logManager.search({
+			pattern : /^request-\d ok$/gim
+		});
+		expect(search.pattern.global).to.equal(false);
+		expect(search.pattern.ignoreCase).to.equal(true);
+		expect(search.pattern.multiline).to.equal(true);
+		when(search.promise, function(result) {
+			expect(result.matches.map(function(match) {
+				return match.line;
+			})).to.eql([ 'REQUEST-1 ok', 'request-3 ok' ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('can filter the log files by time', function(done) {
+		var oldTime = new Date(Date.now() - 1000 * 60 * 60);
+		fs.utimesSync(path.join(logDir, 'ops.100.log.001'), oldTime, oldTime);
+		when(logManager.search({
+			pattern : /request/,
+			since : Date.now() - 1000 * 60
+		}).promise, function(result) {
+			expect(result.filesSearched.length).to.equal(2);
+			expect(result.filesSearched).to.not.contain(path.join(logDir, 'ops.100.log.001'));
+			done();
+		}).otherwise(done);
+	});
+
+	it('stops searching once maxResults matches are found', function(done) {
+		var matches = [];
+		when(logManager.search({
+			pattern : /ok|started/g,
+			maxResults : 3,
+			onMatchCallback : function(match) {
+				matches.push(match);
+			}
+		}).promise, function(result) {
+			expect(result.matchCount).to.equal(3);
+			expect(result.truncated).to.equal(true);
+			expect(result.matches).to.equal(undefined);
+			expect(matches.map(function(match) {
+				return match.line;
+			})).to.eql([ 'request-1 started', 'request-2 started', 'REQUEST-1 ok' ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('is not truncated if there are exactly maxResults matches', function(done) {
+		when(logManager.search({
+			pattern : /ok|started/,
+			maxResults : 4
+		}).promise, function(result) {
+			expect(result.matchCount).to.equal(4);
+			expect(result.matches.length).to.equal(4);
+			expect(result.truncated).to.equal(false);
+			done();
+		}).otherwise(done);
+	});
+
+	it('can parse the matching lines', function(done) {
+		fs.writeFileSync(path.join(logDir, 'log.300.log.001'), '{"timestamp":1382125371000,"data":"request-5"}\nrequest-5\n');
+		when(logManager.search({
+			pattern : 'request-5',
+			parsed : true
+		}).promise, function(result) {
+			expect(result.matches.length).to.equal(2);
+			expect(result.matches[0].parsed.event).to.equal('log');
+			expect(result.matches[0].parsed.pid).to.equal(300);
+			expect(result.matches[1].parsed).to.be.instanceOf(Error);
+			expect(result.matches[1].parsed.lineNumber).to.equal(2);
+			done();
+		}).otherwise(done);
+	});
+
+	it('can be cancelled', function(done) {
+		var search = logManager.search({
+			pattern : 'request'
+		});
+		search.cancel();
+		when(search.promise, function(result) {
+			expect(result.cancelled).to.equal(true);
+			expect(result.matchCount).to.equal(0);
+			done();
+		}).otherwise(done);
+	});
+});
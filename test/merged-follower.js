@@ -0,0 +1,183 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+
+'use strict';
+var expect = require('chai').expect;
+
+var MergedFollower = require('../lib/merged-follower');
+var namingSchemes = require('../lib/naming-schemes');
+var fs = require('fs');
+var file = require('file');
+var path = require('path');
+var lodash = require('lodash');
+
+describe('MergedFollower', function() {
+	var logDir = file.path.abspath('temp/logs');
+	var namingScheme = namingSchemes.resolve('good');
+
+	before(function(done) {
+		file.mkdirs(logDir, parseInt('0755', 8), done);
+	});
+
+	afterEach(function() {
+		fs.readdirSync(logDir).forEach(function(name) {
+			fs.unlinkSync(path.join(logDir, name));
+		});
+	});
+
+	var logFile = function(name) {
+		return path.join(logDir, name);
+	};
+
+	var eventLine = function(pid, timestamp) {
+		return JSON.stringify({
+			event : 'request',
+			timestamp : timestamp,
+			pid : pid
+		});
+	};
+
+	it('delivers the lines of all pids tagged with their source, and interleaved by timestamp', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), [ eventLine(100, 1000), eventLine(100, 3000) ].join('\n') + '\n');
+		fs.writeFileSync(logFile('request.200.log.001'), [ eventLine(200, 2000), eventLine(200, 4000) ].join('\n') + '\n');
+		fs.writeFileSync(logFile('request.300.log.001.gz'), 'archived');
+		fs.writeFileSync(logFile('ops.400.log.001'), eventLine(400, 0) + '\n');
+
+		var received = [];
+		var follower = new MergedFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			mergeWindowMillis : 100,
+			onDataCallback : function(taggedLine) {
+				received.push(taggedLine);
+				if (received.length === 4) {
+					follower.close();
+				}
+			},
+			onCloseCallback : function(code) {
+				expect(code).to.equal(0);
+				expect(lodash.map(received, function(taggedLine) {
+					return [ taggedLine.pid, path.basename(taggedLine.file), taggedLine.timestamp.getTime() ];
+				})).to.eql([ [ 100, 'request.100.log.001', 1000 ], [ 200, 'request.200.log.001', 2000 ], [ 100, 'request.100.log.001', 3000 ],
+						[ 200, 'request.200.log.001', 4000 ] ]);
+				expect(received[0].line).to.equal(eventLine(100, 1000));
+				done();
+			}
+		});
+	});
+
+	it('picks up new pids, and stops following pids whose log files were archived', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), 'pid 100\n');
+
+		var switches = [];
+		var received = [];
+		var follower;
+		var waitForUnfollow = function() {
+			if (lodash.keys(follower.sources).length === 1) {
+				expect(lodash.keys(follower.sources)).to.eql([ '200' ]);
+				follower.close();
+				done();
+			} else {
+				setTimeout(waitForUnfollow, 10);
+			}
+		};
+
+		follower = new MergedFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			mergeWindowMillis : 0,
+			onDataCallback : function(taggedLine) {
+				received.push(taggedLine);
+				if (taggedLine.pid === 100) {
+					fs.writeFileSync(logFile('request.200.log.001'), 'pid 200 line 1\npid 200 line 2\n');
+				} else if (taggedLine.line === 'pid 200 line 2') {
+					expect(lodash.pluck(received, 'line')).to.eql([ 'pid 100', 'pid 200 line 1', 'pid 200 line 2' ]);
+					expect(taggedLine.timestamp).to.equal(undefined);
+					expect(switches).to.eql([ [ null, logFile('request.100.log.001') ], [ null, logFile('request.200.log.001') ] ]);
+					fs.renameSync(logFile('request.100.log.001'), logFile('request.100.log.001.gz'));
+					waitForUnfollow();
+				}
+			},
+			onSwitchCallback : function(from, to) {
+				switches.push([ from, to ]);
+			}
+		});
+	});
+
+	it('shares one log dir watcher across the pids, and fans its changes out to the pids', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), 'pid 100 line 1\n');
+		fs.writeFileSync(logFile('request.200.log.001'), 'pid 200 line 1\n');
+
+		var watch = fs.watch;
+		var watchedDirs = [];
+		fs.watch = function(watchedFile) {
+			if (watchedFile === logDir) {
+				watchedDirs.push(watchedFile);
+			}
+			return watch.apply(fs, arguments);
+		};
+
+		var received = [];
+		var follower = new MergedFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			mergeWindowMillis : 0,
+			onDataCallback : function(taggedLine) {
+				received.push(taggedLine.line);
+				if (received.length === 2) {
+					fs.writeFileSync(logFile('request.100.log.002'), 'pid 100 line 2\n');
+				} else if (taggedLine.line === 'pid 100 line 2') {
+					follower.close();
+				}
+			},
+			onCloseCallback : function() {
+				fs.watch = watch;
+				expect(watchedDirs).to.eql([ logDir ]);
+				expect(received.sort()).to.eql([ 'pid 100 line 1', 'pid 100 line 2', 'pid 200 line 1' ]);
+				done();
+			}
+		});
+		setTimeout(function() {
+			fs.watch = watch;
+		}, 100);
+	});
+
+	it('keeps the order of the lines of a pid, including the lines without a timestamp', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), [ eventLine(100, 3000), 'stack trace', eventLine(100, 1000) ].join('\n') + '\n');
+		fs.writeFileSync(logFile('request.200.log.001'), eventLine(200, 2000) + '\n');
+
+		var received = [];
+		var follower = new MergedFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			mergeWindowMillis : 100,
+			onDataCallback : function(taggedLine) {
+				received.push(taggedLine.pid + ' : ' + taggedLine.line);
+				if (received.length === 4) {
+					follower.close();
+					expect(received).to.eql([ '200 : ' + eventLine(200, 2000), '100 : ' + eventLine(100, 3000), '100 : stack trace',
+							'100 : ' + eventLine(100, 1000) ]);
+					done();
+				}
+			}
+		});
+	});
+});
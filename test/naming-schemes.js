@@ -0,0 +1,129 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var namingSchemes = require('..').namingSchemes;
+
+describe('namingSchemes', function() {
+
+	it('the good preset parses [event].[pid].log.[seq] files', function() {
+		var scheme = namingSchemes.resolve('good');
+		var logFile = scheme.parse('ops.25559.log.001');
+		expect(logFile.event).to.equal('ops');
+		expect(logFile.pid).to.equal(25559);
+		expect(logFile.logFileSequence).to.equal(1);
+		expect(logFile.archived).to.equal(false);
+
+		logFile = scheme.parse('request.25559.log.012.gz');
+		expect(logFile.event).to.equal('request');
+		expect(logFile.pid).to.equal(25559);
+		expect(logFile.logFileSequence).to.equal(12);
+		expect(logFile.archived).to.equal(true);
+
+		expect(scheme.parse('ops.25559.log.001.tgz')).to.equal(null);
+		expect(scheme.parse('app-2026-10-18.log.3')).to.equal(null);
+	});
+
+	it('the dated preset parses [name]-[date].log.[seq] files', function() {
+		var scheme = namingSchemes.resolve('dated');
+		var logFile = scheme.parse('my-app-2026-10-18.log.3');
+		expect(logFile.event).to.equal('my-app');
+		expect(logFile.pid).to.equal(undefined);
+		expect(logFile.date).to.equal('2026-10-18');
+		expect(logFile.logFileSequence).to.equal(3);
+
+		logFile = scheme.parse('app-2026-10-18.log.gz');
+		expect(logFile.event).to.equal('app');
+		expect(logFile.logFileSequence).to.equal(0);
+		expect(logFile.archived).to.equal(true);
+	});
+
+	it('the numbered preset parses logrotate style [name].log.[seq] files', function() {
+		var scheme = namingSchemes.resolve('numbered');
+		expect(scheme.parse('app.log').logFileSequence).to.equal(0);
+		expect(scheme.parse('app.log.3').logFileSequence).to.equal(3);
+		expect(scheme.parse('app.log.3.gz').archived).to.equal(true);
+		expect(scheme.parse('app.txt')).to.equal(null);
+	});
+
+	it('recognises archived files for each compression codec', function() {
+		var scheme = namingSchemes.resolve('good');
+		expect(scheme.parse('ops.25559.log.001').codec).to.equal(undefined);
+		[ [ 'ops.25559.log.001.gz', 'gzip' ], [ 'ops.25559.log.001.deflate', 'deflate' ], [ 'ops.25559.log.001.br', 'brotli' ] ].forEach(function(test) {
+			var logFile = scheme.parse(test[0]);
+			expect(logFile.archived).to.equal(true);
+			expect(logFile.codec).to.equal(test[1]);
+			expect(logFile.pid).to.equal(25559);
+			expect(logFile.logFileSequence).to.equal(1);
+		});
+		expect(scheme.parse('ops.25559.log.001.zip')).to.equal(null);
+	});
+
+	it('sorts files newest first', function() {
+		var dated = namingSchemes.resolve('dated');
+		var files = [ 'app-2026-10-17.log.2', 'app-2026-10-18.log.1', 'app-2026-10-18.log.10', 'app-2026-10-17.log.9' ].map(function(f) {
+			return dated.parse(f);
+		});
+		expect(dated.sortNewestFirst(files).map(function(f) {
+			return f.date + '.' + f.logFileSequence;
+		})).to.eql([ '2026-10-18.10', '2026-10-18.1', '2026-10-17.9', '2026-10-17.2' ]);
+
+		var numbered = namingSchemes.resolve('numbered');
+		files = [ 'app.log.2', 'app.log', 'app.log.10' ].map(function(f) {
+			return numbered.parse(f);
+		});
+		expect(numbered.sortNewestFirst(files).map(function(f) {
+			return f.logFileSequence;
+		})).to.eql([ 0, 2, 10 ]);
+	});
+
+	it('supports custom naming schemes', function() {
+		var scheme = namingSchemes.resolve({
+			pattern : /^(\d+)-(\w+)\.txt$/,
+			fields : {
+				pid : 1,
+				event : 2
+			}
+		});
+		var logFile = scheme.parse('123-ops.txt');
+		expect(logFile.event).to.equal('ops');
+		expect(logFile.pid).to.equal(123);
+		expect(logFile.logFileSequence).to.equal(0);
+		expect(scheme.parse('123-ops.txt.gz').archived).to.equal(true);
+	});
+
+	it('validates naming scheme options', function() {
+		expect(function() {
+			namingSchemes.resolve('unknown');
+		}).to.throw(Error);
+		expect(function() {
+			namingSchemes.resolve({
+				pattern : /(\w+)\.log/,
+				fields : {
+					event : 1
+				}
+			});
+		}).to.throw(Error);
+		expect(function() {
+			namingSchemes.resolve({
+				pattern : /^(\w+)\.log$/,
+				fields : {}
+			});
+		}).to.throw(Error);
+	});
+});
@@ -0,0 +1,153 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var LogManager = require('..').LogManager;
+var fs = require('fs');
+var zlib = require('zlib');
+var file = require('file');
+var path = require('path');
+var when = require('when');
+
+describe('Ops Metrics', function() {
+	var logDir = file.path.abspath('temp/logs');
+	var logManager;
+
+	var opsLine = function(pid, timestamp, heapUsed, rss, load, delay) {
+		return JSON.stringify({
+			event : 'ops',
+			timestamp : timestamp,
+			pid : pid,
+			os : {
+				load : [ load, load, load ]
+			},
+			proc : {
+				mem : {
+					rss : rss,
+					heapTotal : heapUsed * 2,
+					heapUsed : heapUsed
+				},
+				delay : delay
+			}
+		}) + '\n';
+	};
+
+	before(function(done) {
+		file.mkdirs(logDir, parseInt('0755', 8), done);
+	});
+
+	beforeEach(function(done) {
+		logManager = new LogManager({
+			logDir : logDir
+		});
+
+		var archived = opsLine(100, 0, 10, 100, 1, 1) + opsLine(100, 30000, 20, 200, 2, 2);
+		fs.writeFileSync(path.join(logDir, 'ops.100.log.002'), opsLine(100, 60000, 30, 300, 3, 3) + 'not json\n' + opsLine(100, 90000, 40, 400, 4, 4));
+		fs.writeFileSync(path.join(logDir, 'ops.200.log.001'), opsLine(200, 15000, 50, 500, 5, 5));
+		fs.writeFileSync(path.join(logDir, 'request.100.log.001'), JSON.stringify({
+			event : 'request',
+			timestamp : 0
+		}) + '\n');
+		zlib.gzip(new Buffer(archived), function(err, data) {
+			if (err) {
+				done(err);
+			} else {
+				fs.writeFile(path.join(logDir, 'ops.100.log.001.gz'), data, done);
+			}
+		});
+	});
+
+	afterEach(function() {
+		fs.readdirSync(logDir).forEach(function(name) {
+			fs.unlinkSync(path.join(logDir, name));
+		});
+	});
+
+	it('aggregates the plain and gzipped ops log files across all pids', function(done) {
+		when(logManager.opsMetrics({
+			bucketMillis : 60000
+		}), function(result) {
+			expect(result.bucketMillis).to.equal(60000);
+			expect(result.filesRead.length).to.equal(3);
+			expect(result.parseErrors).to.equal(1);
+			expect(result.errors.length).to.equal(0);
+			expect(result.buckets.length).to.equal(2);
+
+			var bucket = result.buckets[0];
+			expect(bucket.start.getTime()).to.equal(0);
+			expect(bucket.end.getTime()).to.equal(60000);
+			expect(bucket.count).to.equal(3);
+			expect(bucket.metrics.heapUsed).to.eql({
+				min : 10,
+				max : 50,
+				avg : 80 / 3,
+				count : 3,
+				p50 : 20,
+				p90 : 50,
+				p99 : 50
+			});
+			expect(bucket.metrics.rss.max).to.equal(500);
+			expect(bucket.metrics.heapTotal.min).to.equal(20);
+			expect(bucket.metrics.load.avg).to.equal(8 / 3);
+			expect(bucket.metrics.eventLoopDelay.min).to.equal(1);
+
+			bucket = result.buckets[1];
+			expect(bucket.start.getTime()).to.equal(60000);
+			expect(bucket.count).to.equal(2);
+			expect(bucket.metrics.rss.avg).to.equal(350);
+			done();
+		}).otherwise(done);
+	});
+
+	it('can aggregate the ops events for a single pid within a time range', function(done) {
+		when(logManager.opsMetrics({
+			pid : 100,
+			bucketMillis : 30000,
+			since : new Date(30000),
+			until : 90000,
+			percentiles : [ 75 ]
+		}), function(result) {
+			expect(result.filesRead.length).to.equal(2);
+			expect(result.buckets.map(function(bucket) {
+				return bucket.start.getTime();
+			})).to.eql([ 30000, 60000 ]);
+			expect(result.buckets[0].metrics.heapUsed).to.eql({
+				min : 20,
+				max : 20,
+				avg : 20,
+				count : 1,
+				p75 : 20
+			});
+			expect(result.buckets[1].metrics.heapUsed.max).to.equal(30);
+			done();
+		}).otherwise(done);
+	});
+
+	it('validates the options', function() {
+		expect(function() {
+			logManager.opsMetrics({
+				bucketMillis : 0
+			});
+		}).to.throw(Error);
+		expect(function() {
+			logManager.opsMetrics({
+				percentiles : [ 101 ]
+			});
+		}).to.throw(Error);
+	});
+});
@@ -0,0 +1,106 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var runtimeStats = require('../lib/stats');
+
+describe('stats', function() {
+
+	it('counts gzipped files and bytes, deleted files by reason, sweeps, and errors by operation', function() {
+		var stats = new runtimeStats.Stats();
+		stats.gzipped(100, 20);
+		stats.gzipped(50, 10);
+		stats.archived();
+		stats.deleted('retention');
+		stats.deleted('retention');
+		stats.deleted('inactive');
+		stats.sweepCompleted(30);
+		stats.sweepCompleted(10);
+		stats.error('gzip');
+
+		var counters = stats.counters();
+		expect(counters).to.eql({
+			filesGzipped : 2,
+			bytesBeforeCompression : 150,
+			bytesAfterCompression : 30,
+			filesArchived : 1,
+			filesDeleted : {
+				retention : 2,
+				inactive : 1
+			},
+			sweeps : {
+				count : 2,
+				totalDurationMillis : 40,
+				lastDurationMillis : 10,
+				maxDurationMillis : 30
+			},
+			errors : {
+				gzip : 1
+			}
+		});
+
+		counters.filesDeleted.retention = 0;
+		expect(stats.counters().filesDeleted.retention).to.equal(2);
+	});
+
+	it('formats a snapshot in the Prometheus text exposition format', function() {
+		var stats = new runtimeStats.Stats();
+		stats.gzipped(100, 20);
+		stats.deleted('retention');
+		stats.sweepCompleted(1500);
+		stats.error('readdir');
+
+		var snapshot = stats.counters();
+		snapshot.logDir = '/logs/"app"';
+		snapshot.watchEventCount = 7;
+		snapshot.tailProcesses = 1;
+		snapshot.archiveBacklog = 2;
+		snapshot.compressionQueueDepth = 3;
+		snapshot.compressionsRunning = 1;
+		snapshot.tailListeners = {
+			'/logs/"app"/ops.1.log.001' : 2
+		};
+		snapshot.logDirSizeBytes = 1024;
+
+		var lines = runtimeStats.toPrometheus(snapshot).split('\n');
+		var label = 'log_dir="/logs/\\"app\\""';
+		expect(lines).to.include('# HELP log_manager_watch_events_total Number of log dir watch events');
+		expect(lines).to.include('# TYPE log_manager_watch_events_total counter');
+		expect(lines).to.include('log_manager_watch_events_total{' + label + '} 7');
+		expect(lines).to.include('log_manager_files_gzipped_total{' + label + '} 1');
+		expect(lines).to.include('log_manager_gzip_bytes_before_total{' + label + '} 100');
+		expect(lines).to.include('log_manager_gzip_bytes_after_total{' + label + '} 20');
+		expect(lines).to.include('log_manager_files_archived_total{' + label + '} 0');
+		expect(lines).to.include('log_manager_archive_backlog_files{' + label + '} 2');
+		expect(lines).to.include('log_manager_compression_queue_depth{' + label + '} 3');
+		expect(lines).to.include('log_manager_compressions_running{' + label + '} 1');
+		expect(lines).to.include('log_manager_files_deleted_total{' + label + ',reason="retention"} 1');
+		expect(lines).to.include('# TYPE log_manager_sweep_duration_seconds summary');
+		expect(lines).to.include('log_manager_sweep_duration_seconds_sum{' + label + '} 1.5');
+		expect(lines).to.include('log_manager_sweep_duration_seconds_count{' + label + '} 1');
+		expect(lines).to.include('log_manager_last_sweep_duration_seconds{' + label + '} 1.5');
+		expect(lines).to.include('log_manager_errors_total{' + label + ',operation="readdir"} 1');
+		expect(lines).to.include('log_manager_tail_processes{' + label + '} 1');
+		expect(lines).to.include('log_manager_tail_listeners{' + label + ',file="/logs/\\"app\\"/ops.1.log.001"} 2');
+		expect(lines).to.include('log_manager_log_dir_size_bytes{' + label + '} 1024');
+		expect(lines[lines.length - 1]).to.equal('');
+
+		expect(runtimeStats.toPrometheus(snapshot, 'app_logs_')).to.contain('app_logs_files_gzipped_total{' + label + '} 1\n');
+	});
+
+});
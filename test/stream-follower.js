@@ -0,0 +1,255 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+
+'use strict';
+var expect = require('chai').expect;
+
+var StreamFollower = require('../lib/stream-follower');
+var namingSchemes = require('../lib/naming-schemes');
+var fs = require('fs');
+var zlib = require('zlib');
+var file = require('file');
+var path = require('path');
+
+describe('StreamFollower', function() {
+	var logDir = file.path.abspath('temp/logs');
+	var namingScheme = namingSchemes.resolve('good');
+
+	before(function(done) {
+		file.mkdirs(logDir, parseInt('0755', 8), done);
+	});
+
+	afterEach(function() {
+		fs.readdirSync(logDir).forEach(function(name) {
+			fs.unlinkSync(path.join(logDir, name));
+		});
+	});
+
+	var logFile = function(name) {
+		return path.join(logDir, name);
+	};
+
+	it('switches to the next sequence file, and signals the switch', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), 'line 0\nline 1\n');
+		fs.writeFileSync(logFile('request.100.log.000.gz'), 'archived');
+		fs.writeFileSync(logFile('request.200.log.002'), 'other pid\n');
+		fs.writeFileSync(logFile('ops.100.log.002'), 'other event\n');
+
+		var received = [];
+		var follower = new StreamFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			pid : 100,
+			lines : 1,
+			onDataCallback : function(data) {
+				received.push(data.toString());
+				if (data.toString() === 'line 1\n') {
+					fs.appendFileSync(logFile('request.100.log.001'), 'line 2\n');
+					fs.writeFileSync(logFile('request.100.log.002'), 'line 3\n');
+				} else if (data.toString() === 'line 3\n') {
+					follower.close();
+				}
+			},
+			onSwitchCallback : function(from, to) {
+				received.push((from && path.basename(from)) + ' -> ' + path.basename(to));
+			},
+			onCloseCallback : function(code) {
+				expect(code).to.equal(0);
+				expect(received).to.eql([ 'null -> request.100.log.001', 'line 1\n', 'line 2\n', 'request.100.log.001 -> request.100.log.002', 'line 3\n' ]);
+				done();
+			}
+		});
+	});
+
+	it('drains the previous log file and switches while paused, and follows the next log file once resumed', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), 'line 0\nline 1\n');
+
+		var received = [];
+		var follower = new StreamFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			pid : 100,
+			lines : 1,
+			onDataCallback : function(data) {
+				received.push(data.toString());
+				if (data.toString() === 'line 1\n') {
+					follower.pause();
+					fs.appendFileSync(logFile('request.100.log.001'), 'line 2\n');
+					fs.writeFileSync(logFile('request.100.log.002'), 'line 3\n');
+					setTimeout(function() {
+						expect(received).to.eql([ 'null -> request.100.log.001', 'line 1\n', 'line 2\n', 'request.100.log.001 -> request.100.log.002' ]);
+						follower.resume();
+					}, 200);
+				} else if (data.toString() === 'line 3\n') {
+					follower.close();
+				}
+			},
+			onSwitchCallback : function(from, to) {
+				received.push((from && path.basename(from)) + ' -> ' + path.basename(to));
+			},
+			onCloseCallback : function() {
+				expect(received[received.length - 1]).to.equal('line 3\n');
+				done();
+			}
+		});
+	});
+
+	it('drains the rest of the previous log file from its gzipped log file, if it was gzipped before the switch', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), 'line 0\nline 1\n');
+
+		var received = [];
+		var follower = new StreamFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			pid : 100,
+			lines : 1,
+			onDataCallback : function(data, offset, dataFile) {
+				received.push([ data.toString(), offset, path.basename(dataFile) ]);
+				if (data.toString() === 'line 1\n') {
+					zlib.gzip(new Buffer('line 0\nline 1\nline 2\n'), function(err, compressed) {
+						if (err) {
+							done(err);
+							return;
+						}
+						fs.writeFileSync(logFile('request.100.log.001.gz'), compressed);
+						fs.unlinkSync(logFile('request.100.log.001'));
+						fs.writeFileSync(logFile('request.100.log.002'), 'line 3\n');
+					});
+				} else if (data.toString() === 'line 3\n') {
+					follower.close();
+				}
+			},
+			onSwitchCallback : function(from, to) {
+				received.push((from && path.basename(from)) + ' -> ' + path.basename(to));
+			},
+			onCloseCallback : function() {
+				expect(received).to.eql([ 'null -> request.100.log.001', [ 'line 1\n', 7, 'request.100.log.001' ],
+						[ 'line 2\n', 14, 'request.100.log.001.gz' ], 'request.100.log.001 -> request.100.log.002', [ 'line 3\n', 0, 'request.100.log.002' ] ]);
+				done();
+			}
+		});
+	});
+
+	it('follows the stream across pids, if no pid is specified', function(done) {
+		fs.writeFileSync(logFile('request.100.log.001'), 'pid 100\n');
+
+		var follower = new StreamFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			onDataCallback : function(data) {
+				if (data.toString() === 'pid 100\n') {
+					setTimeout(function() {
+						fs.writeFileSync(logFile('request.200.log.001'), 'pid 200\n');
+					}, 20);
+				} else {
+					expect(data.toString()).to.equal('pid 200\n');
+					expect(follower.file).to.equal(logFile('request.200.log.001'));
+					follower.close();
+					done();
+				}
+			}
+		});
+	});
+
+	it('resumes from an offset in a log file that was gzipped since, and reads the newer log files before following the newest one', function(done) {
+		fs.writeFileSync(logFile('request.100.log.002'), 'line 2\n');
+		fs.writeFileSync(logFile('request.100.log.003'), 'line 3\n');
+		fs.writeFileSync(logFile('request.200.log.004'), 'other pid\n');
+
+		zlib.gzip(new Buffer('line 0\nline 1\n'), function(err, compressed) {
+			if (err) {
+				done(err);
+				return;
+			}
+			fs.writeFileSync(logFile('request.100.log.001.gz'), compressed);
+
+			var received = [];
+			var follower = new StreamFollower({
+				dir : logDir,
+				namingScheme : namingScheme,
+				event : 'request',
+				pid : 100,
+				resumeFile : logFile('request.100.log.001'),
+				offset : 'line 0\n'.length,
+				onDataCallback : function(data, offset, dataFile) {
+					received.push([ data.toString(), offset, path.basename(dataFile) ]);
+					if (data.toString() === 'line 3\n') {
+						fs.appendFileSync(logFile('request.100.log.003'), 'line 4\n');
+					} else if (data.toString() === 'line 4\n') {
+						follower.close();
+					}
+				},
+				onSwitchCallback : function(from, to) {
+					received.push((from && path.basename(from)) + ' -> ' + path.basename(to));
+				},
+				onCloseCallback : function() {
+					expect(received).to.eql([ 'null -> request.100.log.001.gz', [ 'line 1\n', 7, 'request.100.log.001.gz' ],
+							'request.100.log.001.gz -> request.100.log.002', [ 'line 2\n', 0, 'request.100.log.002' ],
+							'request.100.log.002 -> request.100.log.003', [ 'line 3\n', 0, 'request.100.log.003' ],
+							[ 'line 4\n', 7, 'request.100.log.003' ] ]);
+					done();
+				}
+			});
+		});
+	});
+
+	it('resumes from the next log file, if the resume file no longer exists', function(done) {
+		fs.writeFileSync(logFile('request.100.log.003'), 'line 3\n');
+
+		var follower = new StreamFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			pid : 100,
+			resumeFile : logFile('request.100.log.001'),
+			offset : 100,
+			onDataCallback : function(data, offset) {
+				expect(data.toString()).to.equal('line 3\n');
+				expect(offset).to.equal(0);
+				follower.close();
+				done();
+			}
+		});
+	});
+
+	it('waits for the first log file of the stream, and follows it from the beginning', function(done) {
+		var switches = [];
+		var follower = new StreamFollower({
+			dir : logDir,
+			namingScheme : namingScheme,
+			event : 'request',
+			pid : 100,
+			lines : 1,
+			onDataCallback : function(data) {
+				expect(data.toString()).to.equal('line 0\nline 1\n');
+				expect(switches).to.eql([ [ null, logFile('request.100.log.001') ] ]);
+				follower.close();
+				done();
+			},
+			onSwitchCallback : function(from, to) {
+				switches.push([ from, to ]);
+			}
+		});
+		setTimeout(function() {
+			fs.writeFileSync(logFile('request.100.log.001'), 'line 0\nline 1\n');
+		}, 20);
+	});
+});
@@ -0,0 +1,282 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+
+'use strict';
+var expect = require('chai').expect;
+
+var TailListener = require('../lib/tail-listener');
+var cursors = require('../lib/cursors');
+var fileReader = require('../lib/file-reader');
+var when = require('when');
+var fs = require('fs');
+var file = require('file');
+var path = require('path');
+
+describe('TailListener', function() {
+
+	it('delivers whole lines in line mode, using the encoding', function() {
+		var received = [];
+		var listener = new TailListener({
+			lineMode : true,
+			encoding : 'latin1',
+			onDataCallback : function(line) {
+				received.push(line);
+			},
+			onSwitchCallback : function(from, to) {
+				received.push(from + ' -> ' + to);
+			},
+			onCloseCallback : function(code) {
+				received.push('close ' + code);
+			}
+		});
+		listener.write(new Buffer('line 1\r\nli'));
+		listener.write(new Buffer([ 0x6e, 0xe9, 0x20, 0x32, 0x0a, 0x6c ]));
+		listener.switched('a.log.001', 'a.log.002');
+		listener.write(new Buffer('line 3'));
+		listener.closed(0);
+		expect(received).to.eql([ 'line 1', 'liné 2', 'l', 'a.log.001 -> a.log.002', 'line 3', 'close 0' ]);
+	});
+
+	it('delivers each chunk or line with the cursor that follows it', function() {
+		var chunkCursors = [];
+		var chunkListener = new TailListener({
+			onDataCallback : function(data, cursor) {
+				expect(Buffer.isBuffer(data)).to.equal(true);
+				chunkCursors.push(cursors.decode(cursor));
+			}
+		});
+		chunkListener.write(new Buffer('line 1\nli'), {
+			file : 'ops.1.log.001',
+			offset : 10
+		});
+		expect(chunkCursors).to.eql([ {
+			file : 'ops.1.log.001',
+			offset : 19
+		} ]);
+
+		var lineCursors = [];
+		var lineListener = new TailListener({
+			lineMode : true,
+			onDataCallback : function(line, cursor) {
+				lineCursors.push([ line, cursors.decode(cursor).offset ]);
+			}
+		});
+		lineListener.write(new Buffer('line 1\nli'), {
+			file : 'ops.1.log.001',
+			offset : 10
+		});
+		lineListener.write(new Buffer('ne 2\nline 3'), {
+			file : 'ops.1.log.001',
+			offset : 19
+		});
+		lineListener.switched('ops.1.log.001', 'ops.1.log.002');
+		lineListener.write(new Buffer('line 4\n'), {
+			file : 'ops.1.log.002',
+			offset : 0
+		});
+		expect(lineCursors).to.eql([ [ 'line 1', 17 ], [ 'line 2', 24 ], [ 'line 3', 30 ], [ 'line 4', 7 ] ]);
+	});
+
+	it('ends the pending line and restarts the line cursors when the file is truncated', function() {
+		var lineCursors = [];
+		var listener = new TailListener({
+			lineMode : true,
+			onDataCallback : function(line, cursor) {
+				lineCursors.push([ line, cursors.decode(cursor).offset ]);
+			}
+		});
+		listener.write(new Buffer('line 1\nli'), {
+			file : 'ops.1.log.001',
+			offset : 0
+		});
+		listener.truncated();
+		listener.write(new Buffer('new 1\n'), {
+			file : 'ops.1.log.001',
+			offset : 0
+		});
+		expect(lineCursors).to.eql([ [ 'line 1', 7 ], [ 'li', 9 ], [ 'new 1', 6 ] ]);
+	});
+
+	it('delivers the next data once the promise that was returned by the onDataCallback is settled', function(done) {
+		var received = [];
+		var deferreds = [];
+		var listener = new TailListener({
+			onDataCallback : function(data) {
+				received.push(data);
+				var deferred = when.defer();
+				deferreds.push(deferred);
+				return deferred.promise;
+			},
+			onCloseCallback : function(code) {
+				expect(received).to.eql([ 'a', 'b', 'c' ]);
+				expect(code).to.equal(0);
+				done();
+			}
+		});
+		listener.write('a');
+		listener.write('b');
+		listener.write('c');
+		listener.closed(0);
+		expect(received).to.eql([ 'a' ]);
+		expect(listener.bufferedDataCount).to.equal(2);
+		deferreds[0].resolve();
+		when(deferreds[0].promise, function() {
+			deferreds[1].reject(new Error('failed'));
+			return deferreds[1].promise;
+		}).otherwise(function() {
+			deferreds[2].resolve();
+		});
+	});
+
+	it('drops the oldest data when the buffer overflows', function() {
+		var deferred = when.defer();
+		var received = [];
+		var overflowCount = 0;
+		var listener = new TailListener({
+			bufferLimit : 2,
+			onDataCallback : function(data) {
+				received.push(data);
+				return data === 'a' ? deferred.promise : undefined;
+			},
+			onOverflowCallback : function() {
+				overflowCount++;
+			}
+		});
+		[ 'a', 'b', 'c', 'd', 'e' ].forEach(listener.write);
+		expect(listener.droppedCount).to.equal(2);
+		expect(overflowCount).to.equal(1);
+		deferred.resolve();
+		return when(deferred.promise, function() {
+			expect(received).to.eql([ 'a', 'd', 'e' ]);
+			expect(listener.overflowing).to.equal(false);
+		});
+	});
+
+	it('pauses the follower when the buffer overflows, until the listener has caught up to half the buffer limit', function(done) {
+		var deferreds = [];
+		var events = [];
+		var listener = new TailListener({
+			bufferLimit : 2,
+			overflow : 'pause',
+			onDataCallback : function(data) {
+				events.push(data);
+				var deferred = when.defer();
+				deferreds.push(deferred);
+				return deferred.promise;
+			},
+			onPauseCallback : function() {
+				events.push('pause');
+			},
+			onResumeCallback : function() {
+				events.push('resume');
+				expect(events).to.eql([ 'a', 'pause', 'b', 'c', 'resume' ]);
+				expect(listener.bufferedDataCount).to.equal(1);
+				done();
+			}
+		});
+		[ 'a', 'b', 'c', 'd' ].forEach(listener.write);
+		expect(listener.bufferedDataCount).to.equal(3);
+		var resolveNext = function() {
+			if (deferreds.length) {
+				var deferred = deferreds.shift();
+				deferred.resolve();
+				when(deferred.promise, resolveNext);
+			}
+		};
+		resolveNext();
+	});
+
+	it('bounds the buffer when pausing a follower of a file that is much larger than the buffer limit', function(done) {
+		var logDir = file.path.abspath('temp/logs');
+		var logFile = path.join(logDir, 'tail-listener.log');
+		var fileSize = 4 * 1024 * 1024;
+		var receivedSize = 0;
+		var maxBufferedDataCount = 0;
+		var follower;
+		var listener = new TailListener({
+			bufferLimit : 4,
+			overflow : 'pause',
+			onDataCallback : function(data) {
+				receivedSize += data.length;
+				if (receivedSize === fileSize) {
+					follower.close();
+					fs.unlink(logFile, function() {
+						// the chunk that is being read when the follower is paused can be delivered as 2 reads of the stream's buffer pool
+						expect(maxBufferedDataCount).to.be.at.most(listener.bufferLimit + 2);
+						done();
+					});
+				}
+				// a slow listener, so that the follower reads faster than the data is delivered
+				return when.promise(function(resolve) {
+					setTimeout(resolve, 1);
+				});
+			},
+			onPauseCallback : function() {
+				follower.pause();
+			},
+			onResumeCallback : function() {
+				follower.resume();
+			}
+		});
+
+		fs.writeFile(logFile, new Buffer(fileSize).fill('x'), function(err) {
+			if (err) {
+				done(err);
+				return;
+			}
+			follower = fileReader.follow({
+				file : logFile,
+				offset : 0,
+				onDataCallback : function(data) {
+					listener.write(data);
+					maxBufferedDataCount = Math.max(maxBufferedDataCount, listener.bufferedDataCount);
+				}
+			});
+		});
+	});
+
+	it('disconnects the listener when the buffer overflows, if the overflow policy is disconnect', function() {
+		var received = [];
+		var disconnectError;
+		var listener = new TailListener({
+			bufferLimit : 1,
+			overflow : 'disconnect',
+			onDataCallback : function(data) {
+				received.push(data);
+				return when.defer().promise;
+			},
+			onDisconnectCallback : function(err) {
+				disconnectError = err;
+			}
+		});
+		[ 'a', 'b', 'c', 'd' ].forEach(listener.write);
+		expect(received).to.eql([ 'a' ]);
+		expect(disconnectError).to.be.instanceOf(Error);
+		expect(listener.buffer).to.eql([]);
+	});
+
+	it('validates the overflow policy', function() {
+		expect(function() {
+			return new TailListener({
+				overflow : 'block',
+				onDataCallback : function() {
+					return undefined;
+				}
+			});
+		}).to.throw(/overflow/);
+	});
+});
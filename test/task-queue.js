@@ -0,0 +1,122 @@
+/**
+ * Copyright [2013] [runrightfast.co]
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may not
+ * use this file except in compliance with the License. You may obtain a copy of
+ * the License at
+ * 
+ * http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations under
+ * the License.
+ */
+
+'use strict';
+var expect = require('chai').expect;
+
+var TaskQueue = require('../lib/task-queue');
+var when = require('when');
+
+describe('TaskQueue', function() {
+
+	/**
+	 * 
+	 * @returns a task that resolves when task.deferred is resolved
+	 */
+	var deferredTask = function(log, name) {
+		var deferred = when.defer();
+		var task = function() {
+			log.push(name);
+			return deferred.promise;
+		};
+		task.deferred = deferred;
+		return task;
+	};
+
+	it('runs at most concurrency tasks at the same time, in the order they were pushed', function(done) {
+		var queue = new TaskQueue(2);
+		var started = [];
+		var tasks = [ 'a', 'b', 'c', 'd' ].map(function(name) {
+			return deferredTask(started, name);
+		});
+		var promises = tasks.map(function(task, i) {
+			return queue.push('key-' + i, task);
+		});
+
+		expect(started).to.eql([ 'a', 'b' ]);
+		expect(queue.running).to.equal(2);
+		expect(queue.depth()).to.equal(2);
+		expect(queue.pending().map(function(item) {
+			return item.key + ':' + item.state;
+		})).to.eql([ 'key-0:running', 'key-1:running', 'key-2:queued', 'key-3:queued' ]);
+
+		tasks[1].deferred.resolve('b done');
+		when(promises[1], function(result) {
+			expect(result).to.equal('b done');
+			expect(started).to.eql([ 'a', 'b', 'c' ]);
+			expect(queue.depth()).to.equal(1);
+			tasks[0].deferred.reject(new Error('a failed'));
+			return promises[0];
+		}).then(function() {
+			done(new Error('expected task a to fail'));
+		}, function(err) {
+			expect(err.message).to.equal('a failed');
+			expect(started).to.eql([ 'a', 'b', 'c', 'd' ]);
+			tasks[2].deferred.resolve();
+			tasks[3].deferred.resolve();
+			return when.all(promises.slice(2));
+		}).then(function() {
+			expect(queue.running).to.equal(0);
+			expect(queue.depth()).to.equal(0);
+			expect(queue.pending()).to.eql([]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('shares the promise of a queued or running task with the same key', function(done) {
+		var queue = new TaskQueue(1);
+		var started = [];
+		var first = deferredTask(started, 'first');
+		var duplicate = deferredTask(started, 'duplicate');
+
+		var promise = queue.push('/logs/ops.1.log.001', first);
+		expect(queue.has('/logs/ops.1.log.001')).to.equal(true);
+		expect(queue.push('/logs/ops.1.log.001', duplicate)).to.equal(promise);
+		first.deferred.resolve();
+
+		when(promise, function() {
+			expect(started).to.eql([ 'first' ]);
+			expect(queue.has('/logs/ops.1.log.001')).to.equal(false);
+			// once the task is done, the key can be queued again
+			var again = queue.push('/logs/ops.1.log.001', duplicate);
+			duplicate.deferred.resolve();
+			return again;
+		}).then(function() {
+			expect(started).to.eql([ 'first', 'duplicate' ]);
+			done();
+		}).otherwise(done);
+	});
+
+	it('rejects the promise if the task throws', function(done) {
+		var queue = new TaskQueue(1);
+		when(queue.push('key', function() {
+			throw new Error('task failed');
+		}), function() {
+			done(new Error('expected the task to fail'));
+		}, function(err) {
+			expect(err.message).to.equal('task failed');
+			expect(queue.running).to.equal(0);
+			done();
+		}).otherwise(done);
+	});
+
+	it('validates the concurrency', function() {
+		expect(function() {
+			return new TaskQueue(0);
+		}).to.throw(/concurrency/);
+	});
+
+});